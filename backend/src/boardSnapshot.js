@@ -0,0 +1,270 @@
+// Portable JSON snapshot of a room's board, used to download a board and
+// upload it into another room.
+//
+// Format (version 1):
+// {
+//   "format": "collaborative-canvas/board",
+//   "version": 1,
+//   "exportedAt": "2025-01-01T12:00:00.000Z",
+//   "room": "design-review",
+//   "board": { "width": 1920, "height": 1080 },
+//   "operations": [
+//     {
+//       "tool": "brush",              // see ALLOWED_TOOLS
+//       "color": "#3b82f6",
+//       "width": 5,
+//       "points": [{ "x": 10, "y": 20 }, ...],
+//       "author": { "id": "abc123", "username": "Ada" },
+//       "timestamp": 1735732800000
+//     }
+//   ],
+//   "comments": [                     // optional
+//     {
+//       "x": 640, "y": 360,           // pin position in board coordinates
+//       "resolved": false,
+//       "createdAt": 1735732800000,
+//       "comments": [
+//         { "author": { "id": "abc123", "username": "Ada" }, "color": "#3b82f6", "text": "Make this bigger", "at": 1735732800000 }
+//       ]
+//     }
+//   ]
+// }
+//
+// Text operations additionally have "text" (string) and "fontSize" (8-200);
+// their single point is the top-left corner of the first line.
+// Closed shapes (rect, circle, ellipse, roundrect, triangle, star, polygon) may
+// have "fillColor" (#rrggbb, or null for no fill) and "stroke" (false for fill
+// only). Polygons list their corners; other shapes have two points.
+// Freehand points may also have pen pressure "p" (0-1) and tilt "tx"/"ty"
+// (degrees), see strokePoint.js.
+// Fill operations have two points (opposite corners of the filled area) and a
+// "mask" describing the area, see fillMask.js.
+// Operations are listed in drawing order, active operations only. Comment
+// threads (see commentThreads.js) are listed oldest first, each with at least
+// one comment.
+
+import { normalizeFillMask } from './fillMask.js';
+import { normalizePoint } from './strokePoint.js';
+import { MAX_COMMENT_LENGTH } from './commentThreads.js';
+
+export const SNAPSHOT_FORMAT = 'collaborative-canvas/board';
+export const SNAPSHOT_VERSION = 1;
+
+const ALLOWED_TOOLS = new Set([
+  'brush', 'eraser', 'line', 'rect', 'circle', 'text', 'fill',
+  'ellipse', 'roundrect', 'triangle', 'star', 'polygon', 'arrow', 'double-arrow'
+]);
+const FILLABLE_TOOLS = new Set(['rect', 'circle', 'ellipse', 'roundrect', 'triangle', 'star', 'polygon']);
+const MAX_OPERATIONS = 20000;
+const MAX_POINTS_PER_OPERATION = 50000;
+const MAX_TOTAL_POINTS = 2000000;
+const MAX_WIDTH = 200;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+const MAX_TEXT_LENGTH = 1000;
+const MIN_FONT_SIZE = 8;
+const MAX_FONT_SIZE = 200;
+const MAX_THREADS = 500;
+const MAX_COMMENTS_PER_THREAD = 200;
+
+export class SnapshotValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SnapshotValidationError';
+  }
+}
+
+// Build a snapshot from a room's board, active operations and comment threads
+export function createBoardSnapshot(roomId, board, operations, comments = []) {
+  return {
+    format: SNAPSHOT_FORMAT,
+    version: SNAPSHOT_VERSION,
+    exportedAt: new Date().toISOString(),
+    room: roomId,
+    board: { width: board.width, height: board.height },
+    operations: operations.map(op => {
+      const entry = {
+        tool: op.type,
+        color: op.color,
+        width: op.width,
+        points: op.points.map(p => normalizePoint(p) || { x: p.x, y: p.y }),
+        author: { id: op.userId, username: op.username },
+        timestamp: op.timestamp
+      };
+      if (op.type === 'text') {
+        entry.text = op.text;
+        entry.fontSize = op.fontSize;
+      }
+      if (op.type === 'fill') {
+        entry.mask = op.mask;
+      }
+      if (FILLABLE_TOOLS.has(op.type)) {
+        entry.fillColor = op.fillColor ?? null;
+        entry.stroke = op.stroke !== false;
+      }
+      return entry;
+    }),
+    comments: comments.map(thread => ({
+      x: thread.x,
+      y: thread.y,
+      resolved: thread.resolved,
+      createdAt: thread.createdAt,
+      comments: thread.comments.map(comment => ({
+        author: { id: comment.userId, username: comment.username },
+        color: comment.color,
+        text: comment.text,
+        at: comment.at
+      }))
+    }))
+  };
+}
+
+function fail(message) {
+  throw new SnapshotValidationError(message);
+}
+
+function parsePoints(points, index) {
+  if (!Array.isArray(points) || points.length === 0) {
+    fail(`operations[${index}].points must be a non-empty array`);
+  }
+  if (points.length > MAX_POINTS_PER_OPERATION) {
+    fail(`operations[${index}] has too many points (max ${MAX_POINTS_PER_OPERATION})`);
+  }
+  return points.map((p, i) => {
+    const point = normalizePoint(p);
+    if (!point) {
+      fail(`operations[${index}].points[${i}] must have numeric x and y`);
+    }
+    return point;
+  });
+}
+
+function parseOperation(op, index) {
+  if (!op || typeof op !== 'object') {
+    fail(`operations[${index}] must be an object`);
+  }
+  if (!ALLOWED_TOOLS.has(op.tool)) {
+    fail(`operations[${index}].tool "${op.tool}" is not supported`);
+  }
+  if (typeof op.color !== 'string' || !COLOR_PATTERN.test(op.color)) {
+    fail(`operations[${index}].color must be a #rrggbb color`);
+  }
+  if (!Number.isFinite(op.width) || op.width <= 0 || op.width > MAX_WIDTH) {
+    fail(`operations[${index}].width must be between 0 and ${MAX_WIDTH}`);
+  }
+
+  const author = op.author && typeof op.author === 'object' ? op.author : {};
+  const parsed = {
+    type: op.tool,
+    color: op.color,
+    width: op.width,
+    points: parsePoints(op.points, index),
+    userId: typeof author.id === 'string' ? author.id.slice(0, 64) : null,
+    username: typeof author.username === 'string' ? author.username.slice(0, 20) : 'Imported',
+    timestamp: Number.isFinite(op.timestamp) ? op.timestamp : Date.now()
+  };
+
+  if (op.tool === 'text') {
+    if (typeof op.text !== 'string' || !op.text.trim() || op.text.length > MAX_TEXT_LENGTH) {
+      fail(`operations[${index}].text must be a non-empty string of at most ${MAX_TEXT_LENGTH} characters`);
+    }
+    if (!Number.isFinite(op.fontSize) || op.fontSize < MIN_FONT_SIZE || op.fontSize > MAX_FONT_SIZE) {
+      fail(`operations[${index}].fontSize must be between ${MIN_FONT_SIZE} and ${MAX_FONT_SIZE}`);
+    }
+    parsed.text = op.text;
+    parsed.fontSize = op.fontSize;
+  }
+
+  if (FILLABLE_TOOLS.has(op.tool)) {
+    if (op.fillColor != null && (typeof op.fillColor !== 'string' || !COLOR_PATTERN.test(op.fillColor))) {
+      fail(`operations[${index}].fillColor must be a #rrggbb color or null`);
+    }
+    if (op.stroke !== undefined && typeof op.stroke !== 'boolean') {
+      fail(`operations[${index}].stroke must be a boolean`);
+    }
+    parsed.fillColor = op.fillColor ?? null;
+    parsed.stroke = op.stroke !== false || !parsed.fillColor;
+  }
+
+  if (op.tool === 'polygon' && parsed.points.length < 3) {
+    fail(`operations[${index}] (polygon) must have at least three points`);
+  }
+
+  if (op.tool === 'fill') {
+    parsed.mask = normalizeFillMask(op.mask);
+    if (parsed.points.length !== 2 || !parsed.mask) {
+      fail(`operations[${index}] must have two points and a valid mask`);
+    }
+  }
+
+  return parsed;
+}
+
+function parseCommentThread(thread, index) {
+  if (!thread || typeof thread !== 'object') {
+    fail(`comments[${index}] must be an object`);
+  }
+  if (!Number.isFinite(thread.x) || !Number.isFinite(thread.y)) {
+    fail(`comments[${index}] must have numeric x and y`);
+  }
+  if (!Array.isArray(thread.comments) || thread.comments.length === 0 || thread.comments.length > MAX_COMMENTS_PER_THREAD) {
+    fail(`comments[${index}].comments must have 1 to ${MAX_COMMENTS_PER_THREAD} entries`);
+  }
+
+  return {
+    x: thread.x,
+    y: thread.y,
+    resolved: thread.resolved === true,
+    createdAt: Number.isFinite(thread.createdAt) ? thread.createdAt : Date.now(),
+    comments: thread.comments.map((comment, i) => {
+      if (!comment || typeof comment.text !== 'string' || !comment.text.trim() || comment.text.length > MAX_COMMENT_LENGTH) {
+        fail(`comments[${index}].comments[${i}].text must be a non-empty string of at most ${MAX_COMMENT_LENGTH} characters`);
+      }
+      const author = comment.author && typeof comment.author === 'object' ? comment.author : {};
+      return {
+        userId: typeof author.id === 'string' ? author.id.slice(0, 64) : null,
+        username: typeof author.username === 'string' ? author.username.slice(0, 20) : 'Imported',
+        color: typeof comment.color === 'string' && COLOR_PATTERN.test(comment.color) ? comment.color : '#64748b',
+        text: comment.text,
+        at: Number.isFinite(comment.at) ? comment.at : Date.now()
+      };
+    })
+  };
+}
+
+// Validate an uploaded snapshot and return { board, operations, comments } ready
+// for DrawingState.importOperations and CommentThreads.import. Throws
+// SnapshotValidationError on bad input.
+export function parseBoardSnapshot(data) {
+  if (!data || typeof data !== 'object') {
+    fail('Snapshot must be a JSON object');
+  }
+  if (data.format !== SNAPSHOT_FORMAT) {
+    fail(`Unrecognized snapshot format (expected "${SNAPSHOT_FORMAT}")`);
+  }
+  if (data.version !== SNAPSHOT_VERSION) {
+    fail(`Unsupported snapshot version ${data.version} (expected ${SNAPSHOT_VERSION})`);
+  }
+  if (!Array.isArray(data.operations)) {
+    fail('Snapshot operations must be an array');
+  }
+  if (data.operations.length > MAX_OPERATIONS) {
+    fail(`Snapshot has too many operations (max ${MAX_OPERATIONS})`);
+  }
+
+  const operations = data.operations.map(parseOperation);
+  const totalPoints = operations.reduce((sum, op) => sum + op.points.length, 0);
+  if (totalPoints > MAX_TOTAL_POINTS) {
+    fail(`Snapshot has too many points (max ${MAX_TOTAL_POINTS})`);
+  }
+
+  if (data.comments !== undefined && (!Array.isArray(data.comments) || data.comments.length > MAX_THREADS)) {
+    fail(`Snapshot comments must be an array of at most ${MAX_THREADS} threads`);
+  }
+  const comments = (data.comments || []).map(parseCommentThread);
+
+  const board = data.board && typeof data.board === 'object'
+    ? { width: data.board.width, height: data.board.height }
+    : null;
+
+  return { board, operations, comments };
+}
@@ -0,0 +1,40 @@
+// Room chat. Messages are relayed to everyone in the room and the most recent
+// ones kept (and saved) with the room, so people joining later see them in
+// room-state. A message is { id, userId, username, color, text, at }, with the
+// sender's name and assigned color as they were when it was sent.
+
+import { randomUUID } from 'crypto';
+
+export const MAX_CHAT_LENGTH = 500;
+export const MAX_CHAT_HISTORY = 100;
+
+// A message from a user, or null if there is nothing to send once trimmed
+export function createChatMessage(user, text) {
+  const trimmed = text.trim().slice(0, MAX_CHAT_LENGTH);
+  if (!trimmed) return null;
+
+  return {
+    id: randomUUID(),
+    userId: user.id,
+    username: user.username,
+    color: user.color,
+    text: trimmed,
+    at: Date.now()
+  };
+}
+
+// Append a message, dropping the oldest ones past the limit
+export function addToHistory(history, message) {
+  history.push(message);
+  if (history.length > MAX_CHAT_HISTORY) {
+    history.splice(0, history.length - MAX_CHAT_HISTORY);
+  }
+}
+
+// History read back from storage; rooms saved before chat have none
+export function restoreChatHistory(data) {
+  if (!Array.isArray(data)) return [];
+  return data
+    .filter(m => m && typeof m.text === 'string' && typeof m.username === 'string' && Number.isFinite(m.at))
+    .slice(-MAX_CHAT_HISTORY);
+}
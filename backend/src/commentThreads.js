@@ -0,0 +1,117 @@
+// Comment threads pinned to spots on the board, for review feedback. A thread is
+// { id, x, y, resolved, createdAt, comments } with x/y in board coordinates, and
+// each comment { id, userId, username, color, text, at }; the first comment is
+// the one that opened the thread. Threads are saved with the room and included
+// in board snapshots (see boardSnapshot.js).
+
+import { randomUUID } from 'crypto';
+import { ActionRejectedError } from './utils/errors.js';
+
+export const MAX_COMMENT_LENGTH = 1000;
+const MAX_THREADS = 500;
+const MAX_COMMENTS_PER_THREAD = 200;
+
+function createComment(user, text) {
+  const trimmed = typeof text === 'string' ? text.trim().slice(0, MAX_COMMENT_LENGTH) : '';
+  if (!trimmed) {
+    throw new ActionRejectedError('Comments cannot be empty');
+  }
+  return {
+    id: randomUUID(),
+    userId: user.id,
+    username: user.username,
+    color: user.color,
+    text: trimmed,
+    at: Date.now()
+  };
+}
+
+class CommentThreads {
+  constructor() {
+    this.threads = new Map(); // threadId -> thread, oldest first
+  }
+
+  list() {
+    return Array.from(this.threads.values());
+  }
+
+  get(threadId) {
+    const thread = this.threads.get(threadId);
+    if (!thread) {
+      throw new ActionRejectedError('That comment thread no longer exists');
+    }
+    return thread;
+  }
+
+  // Open a thread at (x, y) under the id the client chose
+  create(threadId, user, { x, y, text }) {
+    if (this.threads.has(threadId)) {
+      throw new ActionRejectedError('Comment thread id is already in use');
+    }
+    if (this.threads.size >= MAX_THREADS) {
+      throw new ActionRejectedError(`A board can have at most ${MAX_THREADS} comment threads`);
+    }
+
+    const thread = {
+      id: threadId,
+      x,
+      y,
+      resolved: false,
+      createdAt: Date.now(),
+      comments: [createComment(user, text)]
+    };
+    this.threads.set(threadId, thread);
+    return thread;
+  }
+
+  reply(threadId, user, text) {
+    const thread = this.get(threadId);
+    if (thread.comments.length >= MAX_COMMENTS_PER_THREAD) {
+      throw new ActionRejectedError(`A thread can have at most ${MAX_COMMENTS_PER_THREAD} comments`);
+    }
+    thread.comments.push(createComment(user, text));
+    return thread;
+  }
+
+  setResolved(threadId, resolved) {
+    const thread = this.get(threadId);
+    thread.resolved = resolved;
+    return thread;
+  }
+
+  remove(threadId) {
+    return this.threads.delete(threadId);
+  }
+
+  // Threads from a board snapshot, with new ids; replace drops the existing ones first
+  import(threads, { replace = false } = {}) {
+    if (replace) {
+      this.threads.clear();
+    }
+    threads.slice(0, MAX_THREADS - this.threads.size).forEach(thread => {
+      const id = `thread-${randomUUID()}`;
+      this.threads.set(id, {
+        ...thread,
+        id,
+        comments: thread.comments.map(comment => ({ ...comment, id: randomUUID() }))
+      });
+    });
+  }
+
+  toJSON() {
+    return this.list();
+  }
+
+  // Restore from storage; rooms saved before comments have none
+  static fromJSON(data) {
+    const comments = new CommentThreads();
+    if (!Array.isArray(data)) return comments;
+
+    data
+      .filter(t => t && typeof t.id === 'string' && Number.isFinite(t.x) && Number.isFinite(t.y) && Array.isArray(t.comments))
+      .forEach(thread => comments.threads.set(thread.id, thread));
+    return comments;
+  }
+}
+
+export default CommentThreads;
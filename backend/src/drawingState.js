@@ -1,15 +1,110 @@
+import { randomUUID } from 'crypto';
 import { logger } from './utils/logger.js';
+import { ActionRejectedError } from './utils/errors.js';
+import { normalizeFillMask } from './fillMask.js';
+import { normalizePoint } from './strokePoint.js';
+import { simplifyStroke, isPackedType, packOperation, unpackOperation } from './strokeCompression.js';
+import ReplayHistory from './replayHistory.js';
+
+const MAX_TEXT_LENGTH = 1000;
+const MIN_FONT_SIZE = 8;
+const MAX_FONT_SIZE = 200;
+
+// Text content is stored verbatim but bounded in length
+const normalizeText = (text) => (typeof text === 'string' ? text.slice(0, MAX_TEXT_LENGTH) : '');
+
+const normalizeFontSize = (size) => {
+  const n = Number(size);
+  return Number.isFinite(n) ? Math.min(MAX_FONT_SIZE, Math.max(MIN_FONT_SIZE, n)) : 24;
+};
+
+const MAX_POINTS_PER_OPERATION = 50000;
+
+// How long after draw-end a stroke's author may still send points that were in flight
+const LATE_POINTS_GRACE_MS = 2000;
+
+// Operation ids chosen by clients: "op-" and a random UUID or hex string
+const OPERATION_ID_PATTERN = /^op-[0-9a-zA-Z-]{16,64}$/;
+
+// Transformed geometry from clients: finite x/y pairs (keeping pen pressure/tilt), or null if unusable
+const normalizePoints = (points) => {
+  if (!Array.isArray(points) || points.length === 0 || points.length > MAX_POINTS_PER_OPERATION) return null;
+  const normalized = points.map(normalizePoint);
+  return normalized.every(Boolean) ? normalized : null;
+};
+
+// Closed shapes carry a fill colour (null for outline only) and whether they are outlined
+const FILLABLE_TYPES = new Set(['rect', 'circle', 'ellipse', 'roundrect', 'triangle', 'star', 'polygon']);
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+const normalizeFillColor = (color) => (typeof color === 'string' && COLOR_PATTERN.test(color) ? color : null);
+
+// Operations that exist only as history entries and are never drawn
+const isRenderable = (op) => op.type !== 'delete';
+
+const MAX_LAYERS = 32;
+const MAX_LAYER_NAME_LENGTH = 40;
+
+const createLayer = (id, name) => ({ id, name, visible: true, locked: false });
+
+const normalizeLayerName = (name) => (typeof name === 'string' ? name.trim().slice(0, MAX_LAYER_NAME_LENGTH) : '');
+
+// Layers from storage: keep well-formed entries, always at least one
+const normalizeLayers = (layers) => {
+  const valid = Array.isArray(layers)
+    ? layers.filter(l => l && typeof l.id === 'string' && normalizeLayerName(l.name))
+    : [];
+  if (valid.length === 0) return [createLayer('layer-1', 'Layer 1')];
+  return valid.slice(0, MAX_LAYERS).map(l => ({
+    id: l.id,
+    name: normalizeLayerName(l.name),
+    visible: l.visible !== false,
+    locked: l.locked === true
+  }));
+};
 
 class DrawingState {
   constructor() {
-    this.operations = []; // All operations (active and undone)
-    this.currentIndex = -1; // Index of last active operation
+    this.operations = []; // All operations (active and undone), in commit order
+    this.layers = normalizeLayers(null); // Bottom-to-top; every operation belongs to one
+    this.userHistory = new Map(); // userId -> { undoStack, redoStack } of operation ids
     this.activeOperations = new Map(); // operationId -> operation (for in-progress operations)
+    this.recentlyEnded = new Map(); // operationId -> when it was finished, for late points
+    this.onChange = null; // Called after every mutation of the finalized history
+    this.simplifyStrokes = true; // Simplify freehand strokes as they are finished
+    this.onStrokeSimplified = null; // Called with the point counts before and after simplifying
+    this.changes = []; // Changes clients haven't been sent yet (see takeChanges)
+    this.replay = new ReplayHistory(); // The same changes, kept per action for time-lapse replay
+    this.nextSeq = 0; // Commit order, so clients can put restored operations back in place
+  }
+
+  // Notify the owner (RoomManager) that persisted state changed
+  notifyChange() {
+    if (this.onChange) {
+      this.onChange();
+    }
   }
 
   // Start a new operation
   startOperation(data) {
-    const operationId = `op-${data.userId}-${Date.now()}`;
+    // Text edits stay on the layer of the text they replace
+    const replaced = data.tool === 'text' && typeof data.replaces === 'string'
+      ? this.findOperation(data.replaces)
+      : null;
+    const layerId = replaced ? this.getLayerId(replaced) : this.resolveLayerId(data.layerId);
+    this.assertLayerEditable(layerId);
+
+    // Clients choose the id so they never wait for the server; it must be new.
+    // The same user's unfinished operation with that id is being sent again after
+    // a reconnect, and the new copy simply replaces it.
+    const operationId = data.operationId;
+    if (typeof operationId !== 'string' || !OPERATION_ID_PATTERN.test(operationId)) {
+      throw new ActionRejectedError('Invalid operation id');
+    }
+    const unfinished = this.activeOperations.get(operationId);
+    if (this.findOperation(operationId) || (unfinished && unfinished.userId !== data.userId)) {
+      throw new ActionRejectedError('Operation id is already in use');
+    }
     
     const operation = {
       id: operationId,
@@ -18,49 +113,140 @@ class DrawingState {
       type: data.tool,
       color: data.color,
       width: data.width,
-      points: [{ x: data.x, y: data.y }],
+      points: [normalizePoint(data) || { x: data.x, y: data.y }],
+      layerId,
       timestamp: Date.now(),
       status: 'in-progress'
     };
+
+    // Text objects carry their content and size; an edit of existing text
+    // references the operation it replaces once committed
+    if (data.tool === 'text') {
+      operation.text = normalizeText(data.text);
+      operation.fontSize = normalizeFontSize(data.fontSize);
+      operation.replaces = typeof data.replaces === 'string' ? [data.replaces] : null;
+    }
+
+    if (FILLABLE_TYPES.has(data.tool)) {
+      operation.fillColor = normalizeFillColor(data.fillColor);
+      // A shape with neither fill nor outline would be invisible
+      operation.stroke = data.stroke !== false || !operation.fillColor;
+    }
+
+    // Fills carry the region computed by the client; the box corner follows as a second point
+    if (data.tool === 'fill') {
+      operation.mask = normalizeFillMask(data.mask);
+      if (!operation.mask) {
+        throw new ActionRejectedError('Fill area is too large or invalid');
+      }
+    }
     
     this.activeOperations.set(operationId, operation);
     
+    const [first] = operation.points;
     return {
       operationId,
       x: data.x,
       y: data.y,
+      p: first.p,
+      tx: first.tx,
+      ty: first.ty,
       color: data.color,
       width: data.width,
-      tool: data.tool
+      tool: data.tool,
+      layerId,
+      text: operation.text,
+      fontSize: operation.fontSize,
+      replaces: operation.replaces ? operation.replaces[0] : null,
+      mask: operation.mask,
+      fillColor: operation.fillColor,
+      stroke: operation.stroke
     };
   }
 
-  // Add points to an operation
-  addPoints(operationId, points) {
+  // A user's operations that are still in progress
+  getUnfinishedOperations(userId) {
+    return Array.from(this.activeOperations.values()).filter(op => op.userId === userId);
+  }
+
+  // Drop one of a user's unfinished operations. Returns whether there was one.
+  discardActiveOperation(userId, operationId) {
+    const operation = this.activeOperations.get(operationId);
+    if (!operation || operation.userId !== userId) return false;
+    return this.activeOperations.delete(operationId);
+  }
+
+  // Drop a user's unfinished operations (they left for good). Returns the ids
+  // that were dropped.
+  discardActiveOperations(userId) {
+    const discarded = [];
+    this.activeOperations.forEach((operation, operationId) => {
+      if (operation.userId === userId) {
+        this.activeOperations.delete(operationId);
+        discarded.push(operationId);
+      }
+    });
+    return discarded;
+  }
+
+  // Only whoever started an operation may continue or finish it
+  assertOwnOperation(operation, userId) {
+    if (operation.userId !== userId) {
+      throw new ActionRejectedError('That operation belongs to someone else');
+    }
+  }
+
+  // Replace the content of the user's in-progress text operation (sent while typing)
+  updateText(operationId, userId, text) {
+    const operation = this.activeOperations.get(operationId);
+    if (!operation || operation.type !== 'text') {
+      logger.warn(`Text operation ${operationId} not found in active operations`);
+      return null;
+    }
+    this.assertOwnOperation(operation, userId);
+
+    operation.text = normalizeText(text);
+    return operation.text;
+  }
+
+  // Add points to the user's operation. Returns the points as stored (malformed ones dropped).
+  addPoints(operationId, userId, points) {
+    points = Array.isArray(points) ? points.map(normalizePoint).filter(Boolean) : [];
+
     // First check active operations
     let operation = this.activeOperations.get(operationId);
     
-    // If not in active operations, check if it was recently finalized
+    // If not in active operations, check if it was finalized moments ago
     if (!operation) {
-      // Look for the operation in the completed operations array
-      operation = this.operations.find(op => op.id === operationId);
+      const endedAt = this.recentlyEnded.get(operationId);
+      operation = endedAt !== undefined && Date.now() - endedAt <= LATE_POINTS_GRACE_MS
+        ? this.findOperation(operationId)
+        : null;
       
       if (operation && operation.status === 'active') {
-        // Operation was already finalized, but we can still add late-arriving points
+        this.assertOwnOperation(operation, userId);
+        // Operation was already finalized, but its author's in-flight points still count
         logger.debug(`Adding late points to finalized operation ${operationId}`);
         operation.points.push(...points);
-        return;
+        // Re-sent whole; clients replace their copy, and the replay its copy in the stroke's own event
+        const change = { type: 'added', operation: this.toClientOperation(operation) };
+        this.changes.push(change);
+        this.replay.amend(change, operation);
+        this.notifyChange();
+        return points;
       }
       
       logger.warn(`Operation ${operationId} not found in active operations`);
-      return;
+      return [];
     }
+    this.assertOwnOperation(operation, userId);
     
     operation.points.push(...points);
+    return points;
   }
 
-  // End an operation (finalize it)
-  endOperation(operationId) {
+  // End the user's operation (finalize it)
+  endOperation(operationId, userId) {
     const operation = this.activeOperations.get(operationId);
     if (!operation) {
       // Check if it's already been finalized
@@ -73,87 +259,520 @@ class DrawingState {
       logger.warn(`Operation ${operationId} not found`);
       return;
     }
-    
-    operation.status = 'active';
-    
-    // Remove any undone operations after current index
-    this.operations = this.operations.slice(0, this.currentIndex + 1);
-    
-    // Add the new operation
-    this.operations.push(operation);
-    this.currentIndex++;
+    this.assertOwnOperation(operation, userId);
+
+    // Committing empty text (or cancelling an edit) leaves the board unchanged
+    if (operation.type === 'text' && !operation.text.trim()) {
+      this.activeOperations.delete(operationId);
+      logger.debug(`Discarded empty text operation ${operationId}`);
+      return;
+    }
+
+    // A fill without its box corner can't be drawn
+    if (operation.type === 'fill' && operation.points.length < 2) {
+      this.activeOperations.delete(operationId);
+      logger.warn(`Discarded incomplete fill operation ${operationId}`);
+      return;
+    }
     
     // Remove from active operations
     this.activeOperations.delete(operationId);
+    this.rememberEnded(operationId);
+
+    if (this.simplifyStrokes && isPackedType(operation.type)) {
+      const before = operation.points.length;
+      operation.points = simplifyStroke(operation.points, operation.width);
+      if (this.onStrokeSimplified) {
+        this.onStrokeSimplified(before, operation.points.length);
+      }
+    }
     
+    this.commitOperations(operation.userId, [operation]);
     logger.debug(`Operation ${operationId} completed. Total operations: ${this.operations.length}`);
   }
 
-  // Undo the last active operation
-  undo() {
-    if (this.currentIndex < 0) {
-      logger.debug('Nothing to undo');
-      return null;
+  // Note when an operation was finished, forgetting those past the late-points grace
+  rememberEnded(operationId) {
+    const now = Date.now();
+    this.recentlyEnded.forEach((endedAt, id) => {
+      if (now - endedAt > LATE_POINTS_GRACE_MS) this.recentlyEnded.delete(id);
+    });
+    this.recentlyEnded.set(operationId, now);
+  }
+
+  // Operation as clients see it (history bookkeeping left out)
+  toClientOperation(operation) {
+    const { status, replaces, groupId, ...op } = operation;
+    return { ...op, layerId: this.getLayerId(operation) };
+  }
+
+  // Changes to what clients can see are collected as:
+  //   { type: 'added', operation }            new (or re-sent) active operation
+  //   { type: 'status', id, status, operation? } undone/replaced, or active again (with the operation)
+  //   { type: 'removed', id }                 gone from the history altogether
+  // and handed out by takeChanges() after each action. The replay history gets
+  // them too, grouped into one event per action.
+  pushChange(change) {
+    this.changes.push(change);
+    this.replay.collect(change);
+  }
+
+  recordAdded(operation) {
+    if (isRenderable(operation)) {
+      this.pushChange({ type: 'added', operation: this.toClientOperation(operation) });
     }
+  }
+
+  setStatus(operation, status) {
+    operation.status = status;
+    if (!isRenderable(operation)) return;
+    this.pushChange(status === 'active'
+      ? { type: 'status', id: operation.id, status, operation: this.toClientOperation(operation) }
+      : { type: 'status', id: operation.id, status });
+  }
+
+  // Drop operations from the history for good
+  removeOperations(predicate) {
+    this.operations = this.operations.filter(op => {
+      if (!predicate(op)) return true;
+      if (isRenderable(op)) this.pushChange({ type: 'removed', id: op.id });
+      return false;
+    });
+  }
+
+  // Changes recorded since the last call, oldest first
+  takeChanges() {
+    const changes = this.changes;
+    this.changes = [];
+    return changes;
+  }
+
+  // Append operations to the shared list as one undoable entry in the user's history.
+  // replayKind names the action in the replay history when it isn't a plain
+  // draw, edit or delete.
+  commitOperations(userId, operations, replayKind = null) {
+    // A new entry invalidates only its author's redo stack; other users keep theirs
+    const history = this.getUserHistory(userId);
+    if (history.redoStack.length > 0) {
+      const discarded = new Set(history.redoStack);
+      this.removeOperations(op => discarded.has(op.id));
+      history.redoStack = [];
+    }
+
+    operations.forEach(operation => {
+      operation.status = 'active';
+      operation.seq = this.nextSeq++;
+
+      // Edits hide the versions they replace (restored again on undo)
+      if (operation.replaces) {
+        operation.replaces = operation.replaces.filter(id => {
+          const replaced = this.findOperation(id);
+          return replaced && replaced.status === 'active';
+        });
+        this.setReplacedStatus(operation, 'replaced');
+      }
+
+      this.operations.push(operation);
+      history.undoStack.push(operation.id);
+      this.recordAdded(operation);
+    });
+
+    const [first] = operations;
+    const kind = replayKind || (first.type === 'delete' ? 'delete' : first.replaces ? 'edit' : 'draw');
+    this.replay.record(kind, first);
+    this.notifyChange();
+  }
+
+  // Move/scale existing operations. Every point goes through the transform
+  // (x * scaleX + translateX, likewise for y), except that text, which only clients
+  // can measure, brings its new corner and font size in its change ({ id, points?,
+  // fontSize? }). Each change commits a transformed copy that replaces the original;
+  // copies made together undo together. Returns [{ from, to }] so the caller can
+  // follow the new ids.
+  transformOperations(userId, username, transform, changes) {
+    const groupId = changes.length > 1 ? `grp-${randomUUID()}` : null;
+    const created = [];
+    const { scaleX, scaleY, translateX, translateY } = transform || {};
+    const map = (p) => ({ ...p, x: p.x * scaleX + translateX, y: p.y * scaleY + translateY });
+
+    changes.forEach(change => {
+      const original = this.findOperation(change?.id);
+      if (!original || original.status !== 'active' || !isRenderable(original)) return;
+      const points = normalizePoints(original.type === 'text' ? change.points : original.points.map(map));
+      if (!points) return;
+      if (!this.isLayerEditable(this.getLayerId(original))) return;
+
+      const { status, ...rest } = original;
+      const copy = {
+        ...rest,
+        id: `op-${randomUUID()}`,
+        userId,
+        username,
+        points,
+        timestamp: Date.now(),
+        replaces: [original.id],
+        groupId
+      };
+      if (original.type === 'text' && change.fontSize !== undefined) {
+        copy.fontSize = normalizeFontSize(change.fontSize);
+      }
+      created.push(copy);
+    });
+
+    if (created.length === 0) return [];
+
+    this.commitOperations(userId, created);
+    logger.debug(`User ${userId} transformed ${created.length} operations`);
+    return created.map(op => ({ from: op.replaces[0], to: op.id }));
+  }
+
+  // Delete existing operations by committing a marker entry that replaces them
+  deleteOperations(userId, username, operationIds) {
+    const ids = Array.isArray(operationIds) ? operationIds : [];
+    const targets = ids.filter(id => {
+      const op = this.findOperation(id);
+      return op && op.status === 'active' && isRenderable(op) && this.isLayerEditable(this.getLayerId(op));
+    });
+    if (targets.length === 0) return null;
+
+    const marker = {
+      id: `op-${randomUUID()}`,
+      userId,
+      username,
+      type: 'delete',
+      points: [],
+      timestamp: Date.now(),
+      replaces: targets,
+      groupId: null
+    };
+
+    this.commitOperations(userId, [marker]);
+    logger.debug(`User ${userId} deleted ${targets.length} operations`);
+    return marker;
+  }
+
+  // Put the board back to a checkpoint's operations as one undoable entry: a
+  // delete marker for what is on the board now, and copies of the checkpoint's
+  // operations. As with clear, operations on locked layers stay as they are, and
+  // checkpoint operations on those layers are left out. Returns the number of
+  // operations restored, or null if the board already had nothing to change.
+  restoreOperations(userId, username, operations) {
+    const groupId = `grp-${randomUUID()}`;
+    const targets = this.operations
+      .filter(op => op.status === 'active' && isRenderable(op) && !this.isOnLockedLayer(op))
+      .map(op => op.id);
+
+    const copies = operations
+      .map(unpackOperation)
+      .filter(op => !this.isOnLockedLayer(op))
+      .map(op => ({
+        ...op,
+        id: `op-${randomUUID()}`,
+        userId,
+        username,
+        timestamp: Date.now(),
+        replaces: null,
+        groupId
+      }));
+    if (targets.length === 0 && copies.length === 0) return null;
+
+    const marker = {
+      id: `op-${randomUUID()}`,
+      userId,
+      username,
+      type: 'delete',
+      points: [],
+      timestamp: Date.now(),
+      replaces: targets,
+      groupId
+    };
+
+    this.commitOperations(userId, [marker, ...copies], 'restore');
+    logger.debug(`User ${userId} restored ${copies.length} operations from a checkpoint`);
+    return copies.length;
+  }
+
+  // Per-user undo/redo stacks, rebuilt from the operations list the first time
+  // a user is seen (e.g. after the room was loaded from storage)
+  getUserHistory(userId) {
+    let history = this.userHistory.get(userId);
+    if (!history) {
+      const own = this.operations.filter(op => op.userId === userId);
+      history = {
+        undoStack: own.filter(op => op.status === 'active' || op.status === 'replaced').map(op => op.id),
+        // Most recently undone (i.e. oldest) operation sits on top of the stack
+        redoStack: own.filter(op => op.status === 'undone').map(op => op.id).reverse()
+      };
+      this.userHistory.set(userId, history);
+    }
+    return history;
+  }
+
+  findOperation(operationId) {
+    return this.operations.find(op => op.id === operationId);
+  }
+
+  // Toggle the operations an edit replaced when the edit itself is undone/redone
+  setReplacedStatus(operation, status) {
+    if (!operation.replaces) return;
+    const expected = status === 'active' ? 'replaced' : 'active';
+    operation.replaces.forEach(id => {
+      const replaced = this.findOperation(id);
+      if (replaced && replaced.status === expected) {
+        this.setStatus(replaced, status);
+      }
+    });
+  }
+
+  // All operations that undo/redo together with this one (same group, same status)
+  getHistoryEntry(operation) {
+    if (!operation.groupId) return [operation];
+    return this.operations.filter(op => op.groupId === operation.groupId && op.status === operation.status);
+  }
+
+  // Undo the requesting user's last history entry (a stroke, an edit, a move or a delete)
+  undo(userId) {
+    const history = this.getUserHistory(userId);
     
-    // Find the last active operation
-    while (this.currentIndex >= 0) {
-      const operation = this.operations[this.currentIndex];
-      if (operation.status === 'active') {
-        operation.status = 'undone';
-        this.currentIndex--;
-        logger.debug(`Undone operation ${operation.id}`);
-        return operation;
+    // Operations someone else's edit replaced are skipped but kept, so they
+    // can be undone again once that edit is undone
+    for (let i = history.undoStack.length - 1; i >= 0; i--) {
+      const operation = this.findOperation(history.undoStack[i]);
+      if (operation && operation.status === 'replaced') continue;
+      if (!operation || operation.status !== 'active') {
+        history.undoStack.splice(i, 1);
+        continue;
       }
-      this.currentIndex--;
+
+      // Refuse (leaving the stack intact) if the entry touches a locked layer
+      const entry = this.getHistoryEntry(operation);
+      this.assertEntryEditable(entry);
+
+      const ids = new Set(entry.map(op => op.id));
+      history.undoStack = history.undoStack.filter(id => !ids.has(id));
+      entry.forEach(op => {
+        this.setStatus(op, 'undone');
+        this.setReplacedStatus(op, 'active');
+        history.redoStack.push(op.id);
+      });
+      logger.debug(`User ${userId} undid operation ${operation.id}`);
+      this.replay.record('undo', operation);
+      this.notifyChange();
+      return operation;
     }
     
+    logger.debug(`Nothing to undo for user ${userId}`);
     return null;
   }
 
-  // Redo the next undone operation
-  redo() {
-    if (this.currentIndex >= this.operations.length - 1) {
-      logger.debug('Nothing to redo');
-      return null;
-    }
+  // Redo the requesting user's most recently undone history entry
+  redo(userId) {
+    const history = this.getUserHistory(userId);
     
-    // Find the next undone operation
-    for (let i = this.currentIndex + 1; i < this.operations.length; i++) {
-      const operation = this.operations[i];
-      if (operation.status === 'undone') {
-        operation.status = 'active';
-        this.currentIndex = i;
-        logger.debug(`Redone operation ${operation.id}`);
-        return operation;
+    while (history.redoStack.length > 0) {
+      const operation = this.findOperation(history.redoStack[history.redoStack.length - 1]);
+      if (!operation || operation.status !== 'undone') {
+        history.redoStack.pop();
+        continue;
       }
+
+      const entry = this.getHistoryEntry(operation);
+      this.assertEntryEditable(entry);
+
+      const ids = new Set(entry.map(op => op.id));
+      history.redoStack = history.redoStack.filter(id => !ids.has(id));
+      entry.forEach(op => {
+        this.setStatus(op, 'active');
+        this.setReplacedStatus(op, 'replaced');
+        history.undoStack.push(op.id);
+      });
+      logger.debug(`User ${userId} redid operation ${operation.id}`);
+      this.replay.record('redo', operation);
+      this.notifyChange();
+      return operation;
     }
     
+    logger.debug(`Nothing to redo for user ${userId}`);
     return null;
   }
 
-  // Get all active operations
+  // Layer of an operation; operations from before layers existed, or whose
+  // layer is gone, belong to the bottom layer
+  getLayerId(operation) {
+    return this.getLayer(operation.layerId) ? operation.layerId : this.layers[0].id;
+  }
+
+  getLayer(layerId) {
+    return this.layers.find(layer => layer.id === layerId);
+  }
+
+  // Layer requested by a client, falling back to the bottom layer
+  resolveLayerId(layerId) {
+    return this.getLayer(layerId) ? layerId : this.layers[0].id;
+  }
+
+  isLayerEditable(layerId) {
+    const layer = this.getLayer(layerId);
+    return !!layer && !layer.locked;
+  }
+
+  assertLayerEditable(layerId) {
+    if (!this.isLayerEditable(layerId)) {
+      throw new ActionRejectedError(`Layer "${this.getLayer(layerId)?.name ?? layerId}" is locked`);
+    }
+  }
+
+  // A history entry can only be undone/redone if neither its operations nor
+  // the ones they replace sit on a locked layer
+  assertEntryEditable(entry) {
+    entry.forEach(op => {
+      if (isRenderable(op)) this.assertLayerEditable(this.getLayerId(op));
+      (op.replaces || []).forEach(id => {
+        const replaced = this.findOperation(id);
+        if (replaced) this.assertLayerEditable(this.getLayerId(replaced));
+      });
+    });
+  }
+
+  getLayers() {
+    return this.layers.map(layer => ({ ...layer }));
+  }
+
+  // Add a new layer on top of the stack
+  addLayer(name) {
+    if (this.layers.length >= MAX_LAYERS) {
+      throw new ActionRejectedError(`A board can have at most ${MAX_LAYERS} layers`);
+    }
+
+    const layer = createLayer(`layer-${randomUUID()}`, normalizeLayerName(name) || `Layer ${this.layers.length + 1}`);
+    this.layers.push(layer);
+    logger.debug(`Added layer ${layer.id}`);
+    this.notifyChange();
+    return layer;
+  }
+
+  // Rename, show/hide or lock/unlock a layer
+  updateLayer(layerId, changes) {
+    const layer = this.getLayer(layerId);
+    if (!layer) {
+      logger.warn(`Layer ${layerId} not found`);
+      return null;
+    }
+
+    const name = normalizeLayerName(changes?.name);
+    if (name) layer.name = name;
+    if (typeof changes?.visible === 'boolean') layer.visible = changes.visible;
+    if (typeof changes?.locked === 'boolean') layer.locked = changes.locked;
+
+    this.notifyChange();
+    return layer;
+  }
+
+  // Reorder layers; layerIds must list every layer exactly once, bottom to top
+  reorderLayers(layerIds) {
+    const ids = Array.isArray(layerIds) ? layerIds : [];
+    const layers = ids.map(id => this.getLayer(id));
+    if (layers.length !== this.layers.length || new Set(ids).size !== ids.length || layers.includes(undefined)) {
+      logger.warn('Ignoring invalid layer order');
+      return false;
+    }
+
+    this.layers = layers;
+    this.notifyChange();
+    return true;
+  }
+
+  // Get all active operations in drawing order: by layer (bottom first), then by commit order
   getActiveOperations() {
+    const order = new Map(this.layers.map((layer, index) => [layer.id, index]));
     return this.operations
-      .filter(op => op.status === 'active')
-      .map(op => ({
-        id: op.id,
-        userId: op.userId,
-        username: op.username,
-        type: op.type,
-        color: op.color,
-        width: op.width,
-        points: op.points,
-        timestamp: op.timestamp
-      }));
+      .filter(op => op.status === 'active' && isRenderable(op))
+      .map(op => this.toClientOperation(op))
+      .sort((a, b) => order.get(a.layerId) - order.get(b.layerId));
+  }
+
+  // Active operations on visible layers, i.e. what the board looks like
+  getVisibleOperations() {
+    return this.getActiveOperations().filter(op => this.getLayer(op.layerId).visible);
   }
 
-  // Clear all operations
-  clear() {
-    this.operations = [];
-    this.currentIndex = -1;
+  // Operations on locked layers survive clearing and replacing the board
+  isOnLockedLayer(operation) {
+    return !this.isLayerEditable(this.getLayerId(operation));
+  }
+
+  // Clear all operations (except those on locked layers); user ({ userId, username })
+  // is who cleared, for the replay
+  clear(user = {}) {
+    this.removeOperations(op => !this.isOnLockedLayer(op));
+    this.userHistory.clear();
     this.activeOperations.clear();
     logger.debug('Canvas cleared');
+    this.replay.record('clear', user);
+    this.notifyChange();
+  }
+
+  // Imported operations land on the lowest layer that isn't locked
+  getImportLayerId() {
+    const layer = this.layers.find(l => !l.locked);
+    if (!layer) {
+      throw new ActionRejectedError('Every layer is locked; unlock one to import onto it');
+    }
+    return layer.id;
+  }
+
+  // Load operations from an imported snapshot, either replacing the board or
+  // drawing on top of it. Imported operations get fresh ids and are active.
+  importOperations(operations, { replace = false } = {}) {
+    const layerId = this.getImportLayerId();
+    if (replace) {
+      this.removeOperations(op => !this.isOnLockedLayer(op));
+    }
+
+    operations.forEach(op => {
+      const operation = {
+        ...op,
+        id: `op-${randomUUID()}`,
+        layerId,
+        status: 'active',
+        seq: this.nextSeq++
+      };
+      this.operations.push(operation);
+      this.recordAdded(operation);
+    });
+
+    // Stacks were built from the old list; rebuild them lazily on next use
+    this.userHistory.clear();
+
+    logger.debug(`Imported ${operations.length} operations (${replace ? 'replace' : 'append'})`);
+    this.replay.record('import');
+    this.notifyChange();
+  }
+
+  // Serialize finalized history for storage (in-progress strokes are not persisted)
+  toJSON() {
+    return {
+      layers: this.layers,
+      operations: this.operations.map(packOperation),
+      replay: this.replay.toJSON()
+    };
+  }
+
+  // Rebuild a DrawingState from a snapshot produced by toJSON()
+  static fromJSON(data) {
+    const state = new DrawingState();
+    state.layers = normalizeLayers(data?.layers);
+    if (data && Array.isArray(data.operations)) {
+      state.operations = data.operations.map(unpackOperation);
+    }
+    // The list is in commit order
+    state.operations.forEach(op => {
+      op.seq = state.nextSeq++;
+    });
+    state.replay = data?.replay
+      ? ReplayHistory.fromJSON(data.replay)
+      : ReplayHistory.fromOperations(state.operations, op => state.toClientOperation(op));
+    return state;
   }
 
   // Get operation count
@@ -163,7 +782,7 @@ class DrawingState {
 
   // Get active operation count
   getActiveOperationCount() {
-    return this.operations.filter(op => op.status === 'active').length;
+    return this.operations.filter(op => op.status === 'active' && isRenderable(op)).length;
   }
 }
 
@@ -0,0 +1,259 @@
+import { Resvg } from '@resvg/resvg-js';
+import { fillMaskPath } from './fillMask.js';
+import { hasPressure, pressureWidth } from './strokePoint.js';
+
+// Renders a room's active operations without a browser.
+// The drawing rules mirror CanvasManager.drawOperation on the frontend so an
+// export looks the same as the live board.
+
+const ERASER_COLOR = '#ffffff';
+
+// Text layout constants, shared with the canvas renderer
+const TEXT_FONT_FAMILY = 'Helvetica, Arial, sans-serif';
+const TEXT_LINE_HEIGHT = 1.2; // multiple of font size
+const TEXT_BASELINE = 0.95; // first baseline below the text's top edge, multiple of font size
+
+// Shape geometry constants, shared with the canvas renderer (SHAPE_STYLE)
+const SHAPE_CORNER_RADIUS = 0.2; // rounded rectangle corners, fraction of the shorter side
+const STAR_POINTS = 5;
+const STAR_INNER_RADIUS = 0.5; // inner star vertices, fraction of the outer radius
+const ARROW_HEAD_SCALE = 3; // arrow head length, multiple of the stroke width
+const ARROW_HEAD_MIN = 10;
+const ARROW_HEAD_ANGLE = Math.PI / 6;
+
+// Keep numbers short in the output; strokes don't need sub-0.01 precision
+const num = (value) => Math.round(Number(value) * 100) / 100;
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function dot(point, width, color) {
+  return `<circle cx="${num(point.x)}" cy="${num(point.y)}" r="${num(width / 2)}" fill="${color}"/>`;
+}
+
+// Smoothed freehand path using the same midpoint quadratic curves as the canvas
+function freehandPath(points) {
+  const first = points[0];
+  let d = `M${num(first.x)} ${num(first.y)}`;
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    d += ` Q${num(a.x)} ${num(a.y)} ${num((a.x + b.x) / 2)} ${num((a.y + b.y) / 2)}`;
+  }
+  const last = points[points.length - 1];
+  d += ` L${num(last.x)} ${num(last.y)}`;
+  return d;
+}
+
+// Pen strokes: the same curves, but each piece is stroked at the width of its
+// control point's pressure (the canvas draws them piece by piece the same way)
+function pressureStroke(points, width, color) {
+  const attrs = (w) => `stroke="${color}" stroke-width="${num(w)}" stroke-linecap="round" fill="none"`;
+  let svg = dot(points[0], pressureWidth(width, points[0]), color);
+  if (points.length === 1) return svg;
+  let from = points[0];
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    const to = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+    svg += `<path d="M${num(from.x)} ${num(from.y)} Q${num(a.x)} ${num(a.y)} ${num(to.x)} ${num(to.y)}" ${attrs(pressureWidth(width, a))}/>`;
+    from = to;
+  }
+  const last = points[points.length - 1];
+  svg += `<line x1="${num(from.x)}" y1="${num(from.y)}" x2="${num(last.x)}" y2="${num(last.y)}" ${attrs(pressureWidth(width, last))}/>`;
+  return svg;
+}
+
+const pointList = (points) => points.map(p => `${num(p.x)},${num(p.y)}`).join(' ');
+
+// Corners of straight-edged shapes; triangles and stars fit the box between the two points
+function shapeVertices(operation) {
+  const pts = operation.points;
+  if (operation.type === 'polygon') return pts;
+
+  const [p0, p1] = pts;
+  if (operation.type === 'triangle') {
+    return [{ x: (p0.x + p1.x) / 2, y: p0.y }, { x: p1.x, y: p1.y }, { x: p0.x, y: p1.y }];
+  }
+
+  // Star
+  const cx = (p0.x + p1.x) / 2;
+  const cy = (p0.y + p1.y) / 2;
+  const rx = Math.abs(p1.x - p0.x) / 2;
+  const ry = Math.abs(p1.y - p0.y) / 2;
+  return Array.from({ length: STAR_POINTS * 2 }, (_, i) => {
+    const angle = -Math.PI / 2 + (i * Math.PI) / STAR_POINTS;
+    const k = i % 2 === 0 ? 1 : STAR_INNER_RADIUS;
+    return { x: cx + Math.cos(angle) * rx * k, y: cy + Math.sin(angle) * ry * k };
+  });
+}
+
+// Shaft end points (pulled back under the head) and head triangles, as on the canvas
+function arrowGeometry(operation) {
+  const [p0, p1] = operation.points;
+  const size = Math.max(ARROW_HEAD_MIN, operation.width * ARROW_HEAD_SCALE);
+  const angle = Math.atan2(p1.y - p0.y, p1.x - p0.x);
+  const back = size * Math.cos(ARROW_HEAD_ANGLE);
+
+  const head = (tip, dir) => [
+    tip,
+    { x: tip.x - size * Math.cos(dir - ARROW_HEAD_ANGLE), y: tip.y - size * Math.sin(dir - ARROW_HEAD_ANGLE) },
+    { x: tip.x - size * Math.cos(dir + ARROW_HEAD_ANGLE), y: tip.y - size * Math.sin(dir + ARROW_HEAD_ANGLE) }
+  ];
+  const pull = (tip, dir) => ({ x: tip.x - back * Math.cos(dir), y: tip.y - back * Math.sin(dir) });
+
+  if (operation.type === 'double-arrow') {
+    return {
+      start: pull(p0, angle + Math.PI),
+      end: pull(p1, angle),
+      heads: [head(p1, angle), head(p0, angle + Math.PI)]
+    };
+  }
+  return { start: p0, end: pull(p1, angle), heads: [head(p1, angle)] };
+}
+
+// Fill and outline attributes of a closed shape
+function shapePaint(operation, color, width) {
+  const fill = operation.fillColor ? escapeXml(operation.fillColor) : 'none';
+  if (operation.stroke === false) return `fill="${fill}"`;
+  return `stroke="${color}" stroke-width="${width}" stroke-linecap="round" stroke-linejoin="round" fill="${fill}"`;
+}
+
+// Convert one operation to SVG markup (empty string if there is nothing to draw)
+export function operationToSvg(operation) {
+  if (!operation || !operation.points || operation.points.length === 0) return '';
+
+  const type = operation.type || operation.tool || 'brush';
+  const color = escapeXml(type === 'eraser' ? ERASER_COLOR : operation.color);
+  const width = num(operation.width);
+  const stroke = `stroke="${color}" stroke-width="${width}" stroke-linecap="round" stroke-linejoin="round" fill="none"`;
+  const pts = operation.points;
+
+  if (type === 'brush' || type === 'eraser') {
+    if (hasPressure(pts)) {
+      return pressureStroke(pts, operation.width, color);
+    }
+    let svg = dot(pts[0], width, color);
+    if (pts.length > 1) {
+      svg += `<path d="${freehandPath(pts)}" ${stroke}/>`;
+    }
+    return svg;
+  }
+
+  if (type === 'line') {
+    if (pts.length < 2) return '';
+    const [p0, p1] = pts;
+    return `<line x1="${num(p0.x)}" y1="${num(p0.y)}" x2="${num(p1.x)}" y2="${num(p1.y)}" ${stroke}/>`;
+  }
+
+  if (type === 'rect' || type === 'rectangle' || type === 'roundrect') {
+    if (pts.length < 2) return '';
+    const [p0, p1] = pts;
+    const x = Math.min(p0.x, p1.x);
+    const y = Math.min(p0.y, p1.y);
+    const w = Math.abs(p1.x - p0.x);
+    const h = Math.abs(p1.y - p0.y);
+    const r = type === 'roundrect' ? ` rx="${num(Math.min(w, h) * SHAPE_CORNER_RADIUS)}"` : '';
+    return `<rect x="${num(x)}" y="${num(y)}" width="${num(w)}" height="${num(h)}"${r} ${shapePaint(operation, color, width)}/>`;
+  }
+
+  if (type === 'ellipse') {
+    if (pts.length < 2) return '';
+    const [p0, p1] = pts;
+    const cx = (p0.x + p1.x) / 2;
+    const cy = (p0.y + p1.y) / 2;
+    return `<ellipse cx="${num(cx)}" cy="${num(cy)}" rx="${num(Math.abs(p1.x - p0.x) / 2)}" ry="${num(Math.abs(p1.y - p0.y) / 2)}" ${shapePaint(operation, color, width)}/>`;
+  }
+
+  if (type === 'triangle' || type === 'star' || type === 'polygon') {
+    if (pts.length < 2) return '';
+    return `<polygon points="${pointList(shapeVertices({ ...operation, type }))}" ${shapePaint(operation, color, width)}/>`;
+  }
+
+  if (type === 'arrow' || type === 'double-arrow') {
+    if (pts.length < 2) return '';
+    const { start, end, heads } = arrowGeometry({ ...operation, type });
+    const shaft = `<line x1="${num(start.x)}" y1="${num(start.y)}" x2="${num(end.x)}" y2="${num(end.y)}" ${stroke}/>`;
+    return shaft + heads.map(h => `<polygon points="${pointList(h)}" fill="${color}"/>`).join('');
+  }
+
+  if (type === 'text') {
+    if (!operation.text) return '';
+    const { x, y } = pts[0];
+    const size = operation.fontSize;
+    const lines = operation.text.split('\n').map((line, i) => {
+      const baseline = y + size * TEXT_BASELINE + i * size * TEXT_LINE_HEIGHT;
+      return `<tspan x="${num(x)}" y="${num(baseline)}">${escapeXml(line)}</tspan>`;
+    });
+    return `<text font-family="${TEXT_FONT_FAMILY}" font-size="${num(size)}" fill="${color}" xml:space="preserve">${lines.join('')}</text>`;
+  }
+
+  if (type === 'fill') {
+    if (pts.length < 2 || !operation.mask) return '';
+    // Mask cells are stretched over the box between the two points
+    const [p0, p1] = pts;
+    const { columns, rows } = operation.mask;
+    const sx = (p1.x - p0.x) / columns;
+    const sy = (p1.y - p0.y) / rows;
+    return `<path d="${fillMaskPath(operation.mask)}" transform="translate(${num(p0.x)} ${num(p0.y)}) scale(${sx} ${sy})" fill="${color}"/>`;
+  }
+
+  if (type === 'circle') {
+    if (pts.length < 2) return '';
+    const [p0, p1] = pts;
+    const r = Math.hypot(p1.x - p0.x, p1.y - p0.y);
+    return `<circle cx="${num(p0.x)}" cy="${num(p0.y)}" r="${num(r)}" ${shapePaint(operation, color, width)}/>`;
+  }
+
+  // Unknown types fall back to a dot at the first point, like the canvas
+  return dot(pts[0], width, color);
+}
+
+// Comment pins as on the live board: numbered in the order the threads were
+// opened, with the thread's comments as the pin's tooltip. Resolved threads are left out.
+const COMMENT_PIN_RADIUS = 14;
+const COMMENT_PIN_COLOR = '#f59e0b';
+
+function commentPinsToSvg(comments) {
+  return comments.map((thread, index) => {
+    if (thread.resolved) return '';
+    const title = thread.comments.map(c => `${c.username}: ${c.text}`).join('\n');
+    return `<g>
+<title>${escapeXml(title)}</title>
+<circle cx="${num(thread.x)}" cy="${num(thread.y)}" r="${COMMENT_PIN_RADIUS}" fill="${COMMENT_PIN_COLOR}" stroke="#ffffff" stroke-width="3"/>
+<text x="${num(thread.x)}" y="${num(thread.y)}" font-family="${TEXT_FONT_FAMILY}" font-size="13" font-weight="bold" fill="#ffffff" text-anchor="middle" dominant-baseline="central">${index + 1}</text>
+</g>`;
+  }).filter(Boolean).join('\n');
+}
+
+// Render the board (white background, board-sized viewBox) as an SVG document,
+// with the open comment threads' pins on top when `comments` are given
+export function renderSvg(board, operations, { comments = [] } = {}) {
+  const { width, height } = board;
+  const body = [operations.map(operationToSvg).join('\n'), commentPinsToSvg(comments)].filter(Boolean).join('\n');
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+<rect width="100%" height="100%" fill="#ffffff"/>
+${body}
+</svg>
+`;
+}
+
+// Largest PNG rendered, in pixels; bigger requests are scaled down to fit
+const MAX_PNG_PIXELS = 16000000;
+
+// Rasterize the SVG rendering; scale lets callers request a smaller or larger bitmap
+export function renderPng(board, operations, scale = 1, options = {}) {
+  const fit = Math.sqrt(MAX_PNG_PIXELS / (board.width * board.height));
+  const resvg = new Resvg(renderSvg(board, operations, options), {
+    fitTo: { mode: 'zoom', value: Math.min(scale, fit) },
+    background: '#ffffff'
+  });
+  return resvg.render().asPng();
+}
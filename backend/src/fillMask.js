@@ -0,0 +1,44 @@
+// Fill (paint bucket) operations store the filled region as a run-length
+// encoded mask: a grid of `columns` x `rows` cells stretched over the box
+// between the operation's two points. `runs` is a flat list of
+// [row, column, length] triples, one per horizontal run of filled cells.
+// Drawing those runs as rectangles gives the same shape on every client and
+// in exports, whatever the zoom level or the order things are redrawn in.
+
+export const MAX_FILL_GRID_SIZE = 10000; // cells per side
+// A run takes at most 16 characters of JSON, so a draw-start carrying the
+// largest mask stays under Socket.IO's 1 MB message limit
+export const MAX_FILL_RUNS = 50000;
+
+const isCount = (value, max) => Number.isInteger(value) && value >= 1 && value <= max;
+
+// A well-formed copy of a mask from a client or a snapshot, or null if unusable
+export function normalizeFillMask(mask) {
+  if (!mask || typeof mask !== 'object') return null;
+
+  const { columns, rows, runs } = mask;
+  if (!isCount(columns, MAX_FILL_GRID_SIZE) || !isCount(rows, MAX_FILL_GRID_SIZE)) return null;
+  if (!Array.isArray(runs) || runs.length === 0 || runs.length % 3 !== 0 || runs.length > MAX_FILL_RUNS * 3) {
+    return null;
+  }
+
+  for (let i = 0; i < runs.length; i += 3) {
+    const row = runs[i];
+    const column = runs[i + 1];
+    const length = runs[i + 2];
+    if (!Number.isInteger(row) || row < 0 || row >= rows) return null;
+    if (!Number.isInteger(column) || column < 0 || !isCount(length, columns - column)) return null;
+  }
+
+  return { columns, rows, runs: runs.slice() };
+}
+
+// SVG path data for a mask in grid coordinates (one rectangle per run)
+export function fillMaskPath(mask) {
+  const { runs } = mask;
+  let d = '';
+  for (let i = 0; i < runs.length; i += 3) {
+    d += `M${runs[i + 1]} ${runs[i]}h${runs[i + 2]}v1h-${runs[i + 2]}z`;
+  }
+  return d;
+}
@@ -0,0 +1,97 @@
+// Flood protection for one socket connection. Every inbound event takes a token
+// from the bucket of its kind; buckets refill continuously up to their size, so
+// short bursts are fine but a sustained flood runs dry. Events arriving at an
+// empty bucket are dropped, and a connection that keeps pushing is muted
+// (everything it sends is dropped) for a while.
+
+// Bucket size and refill rate (tokens per second) for each kind of event.
+// Drawing streams point batches at up to ~60 per second, and a client that
+// reconnects replays its queued operations all at once. Joins are few, and slow
+// enough that passwords can't be guessed quickly. Chat (and comments) allow a
+// short burst and then about a message a second. Replay histories can be large,
+// so they are sent only now and then.
+const LIMITS = {
+  join: { capacity: 5, refillPerSecond: 0.2 },
+  draw: { capacity: 600, refillPerSecond: 150 },
+  cursor: { capacity: 60, refillPerSecond: 40 },
+  chat: { capacity: 5, refillPerSecond: 1 },
+  replay: { capacity: 3, refillPerSecond: 0.1 },
+  action: { capacity: 30, refillPerSecond: 10 }
+};
+
+const EVENT_KINDS = {
+  'join-room': 'join',
+  'draw-start': 'draw',
+  'draw-move': 'draw',
+  'text-update': 'draw',
+  'draw-end': 'draw',
+  'cursor-move': 'cursor',
+  'chat-message': 'chat',
+  'comment-create': 'chat',
+  'comment-reply': 'chat',
+  'request-replay': 'replay'
+};
+
+const MUTE_AFTER_DROPS = 100; // dropped events within DROP_WINDOW_MS
+const DROP_WINDOW_MS = 10 * 1000;
+export const MUTE_DURATION_MS = 30 * 1000;
+
+export class TokenBucket {
+  constructor(capacity, refillPerSecond, now = Date.now()) {
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.tokens = capacity;
+    this.updatedAt = now;
+  }
+
+  // Take one token if there is one
+  take(now = Date.now()) {
+    const refill = ((now - this.updatedAt) / 1000) * this.refillPerSecond;
+    this.tokens = Math.min(this.capacity, this.tokens + refill);
+    this.updatedAt = now;
+
+    if (this.tokens < 1) return false;
+    this.tokens -= 1;
+    return true;
+  }
+}
+
+export class SocketRateLimiter {
+  constructor() {
+    this.buckets = new Map(); // event kind -> TokenBucket
+    this.drops = 0; // events dropped in the current window
+    this.windowStart = 0;
+    this.mutedUntil = 0;
+  }
+
+  // Whether an event may be handled. Refusals carry `report` when they are worth
+  // logging: 'limited' for the first drop in a window, 'muted' when a mute starts.
+  check(event, now = Date.now()) {
+    if (now < this.mutedUntil) {
+      return { allowed: false, report: null };
+    }
+
+    const kind = EVENT_KINDS[event] || 'action';
+    let bucket = this.buckets.get(kind);
+    if (!bucket) {
+      bucket = new TokenBucket(LIMITS[kind].capacity, LIMITS[kind].refillPerSecond, now);
+      this.buckets.set(kind, bucket);
+    }
+    if (bucket.take(now)) {
+      return { allowed: true, report: null };
+    }
+
+    if (now - this.windowStart > DROP_WINDOW_MS) {
+      this.windowStart = now;
+      this.drops = 0;
+    }
+    this.drops++;
+
+    if (this.drops >= MUTE_AFTER_DROPS) {
+      this.mutedUntil = now + MUTE_DURATION_MS;
+      this.drops = 0;
+      return { allowed: false, report: 'muted' };
+    }
+    return { allowed: false, report: this.drops === 1 ? 'limited' : null };
+  }
+}
@@ -0,0 +1,137 @@
+// The order in which a board came together, for time-lapse replay.
+//
+// Every action that changes what the board shows is logged as an event
+// { kind, at, userId, username, changes }: kind is 'draw', 'edit', 'delete',
+// 'undo', 'redo', 'clear', 'import' or 'restore' (a checkpoint), and changes
+// are the client-visible changes it made, in the same form as an
+// operations-delta (see DrawingState.recordAdded), with freehand points packed.
+// Added operations keep their start timestamp, so a replay can draw them over
+// the time they took.
+//
+// Only the most recent events are kept, and only as many as fit in
+// MAX_EVENTS_SIZE, since the history is saved with the room on every change.
+// Older ones are folded into `base`, the operations that were active before the
+// first event still kept. An operation that becomes active again later comes
+// with its change, so inactive ones needn't be kept there.
+
+import { packOperation } from './strokeCompression.js';
+
+const MAX_EVENTS = 2000;
+const MAX_EVENTS_SIZE = 1000000; // characters of JSON
+
+const eventSize = (event) => JSON.stringify(event).length;
+
+const packChange = (change) => (change.operation ? { ...change, operation: packOperation(change.operation) } : change);
+
+class ReplayHistory {
+  constructor() {
+    this.base = new Map(); // operationId -> { operation, active }
+    this.events = []; // oldest first
+    this.collected = []; // changes of the action in progress, until record()
+    this.eventsSize = 0; // JSON size of the events
+  }
+
+  // A change made by the action in progress
+  collect(change) {
+    this.collected.push(packChange(change));
+  }
+
+  // Close the action in progress as an event, if it changed anything
+  record(kind, { userId = null, username = null } = {}, at = Date.now()) {
+    if (this.collected.length === 0) return;
+
+    const event = { kind, at, userId, username, changes: this.collected };
+    this.events.push(event);
+    this.eventsSize += eventSize(event);
+    this.collected = [];
+    this.trim();
+  }
+
+  // A finished operation sent again with more points (they arrived late): update
+  // it in the event that drew it, so the replay keeps that event's author and
+  // time, or log it as a draw of its own if that event is no longer kept
+  amend(change, user) {
+    const packed = packChange(change);
+    const isDrawing = (c) => c.type === 'added' && c.operation.id === packed.operation.id;
+    const event = this.events.findLast(e => e.changes.some(isDrawing));
+    if (!event) {
+      this.collected.push(packed);
+      this.record('draw', user);
+      return;
+    }
+
+    this.eventsSize -= eventSize(event);
+    event.changes = event.changes.map(c => (isDrawing(c) ? packed : c));
+    this.eventsSize += eventSize(event);
+    this.trim();
+  }
+
+  // Fold the oldest events into the base until the rest fit
+  trim() {
+    while (this.events.length > MAX_EVENTS || (this.eventsSize > MAX_EVENTS_SIZE && this.events.length > 1)) {
+      const event = this.events.shift();
+      this.eventsSize -= eventSize(event);
+      this.applyToBase(event);
+    }
+  }
+
+  applyToBase(event) {
+    event.changes.forEach(change => {
+      if (change.operation) {
+        this.base.set(change.operation.id, { operation: change.operation, active: true });
+      } else {
+        this.base.delete(change.id);
+      }
+    });
+  }
+
+  // What a client replays: base operations in commit order and the events
+  describe() {
+    return {
+      base: Array.from(this.base.values()),
+      events: this.events
+    };
+  }
+
+  toJSON() {
+    return this.describe();
+  }
+
+  static fromJSON(data) {
+    const history = new ReplayHistory();
+    if (!data || typeof data !== 'object') return history;
+
+    if (Array.isArray(data.base)) {
+      data.base
+        .filter(entry => entry && typeof entry.operation?.id === 'string' && entry.active !== false)
+        .forEach(entry => history.base.set(entry.operation.id, { operation: entry.operation, active: true }));
+    }
+    if (Array.isArray(data.events)) {
+      history.events = data.events
+        .filter(e => e && typeof e.kind === 'string' && Number.isFinite(e.at) && Array.isArray(e.changes));
+      history.eventsSize = history.events.reduce((size, event) => size + eventSize(event), 0);
+      history.trim();
+    }
+    return history;
+  }
+
+  // Best guess for rooms saved before replay existed: the operations still in
+  // the history, each drawn when it was started. Undo, redo and clear leave no
+  // trace there, so the replay only shows how the current board was built.
+  static fromOperations(operations, toClientOperation) {
+    const history = new ReplayHistory();
+    operations
+      .filter(op => op.status !== 'undone')
+      .forEach(op => {
+        if (op.type !== 'delete') {
+          history.collect({ type: 'added', operation: toClientOperation(op) });
+        }
+        (op.replaces || []).forEach(id => history.collect({ type: 'status', id, status: 'replaced' }));
+        const kind = op.type === 'delete' ? 'delete' : op.replaces?.length ? 'edit' : 'draw';
+        history.record(kind, op, Number.isFinite(op.timestamp) ? op.timestamp : Date.now());
+      });
+    return history;
+  }
+}
+
+export default ReplayHistory;
@@ -0,0 +1,219 @@
+// Who may join a room. A room is open to anyone until its owner sets a
+// password; after that a new user needs the password or an invite link.
+//
+// Invite tokens are "<payload>.<signature>": payload is base64url JSON
+// { "room", "id", "exp" } and the signature an HMAC-SHA256 of it with a secret
+// kept with the room. The invite record (expiry, use limit, uses so far) lives
+// with the room too, so revoking it or using it up stops the token working.
+//
+// The owner is whoever holds the room's owner key, handed to the person who
+// created (or first joined) the room and kept by their browser. The password
+// and owner key are only stored as hashes.
+//
+// Password attempts are limited per address and for the room as a whole, so
+// opening new connections doesn't buy more guesses. The counts live in memory
+// only.
+
+import { createHash, createHmac, randomBytes, scrypt, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+import { AccessDeniedError } from './utils/errors.js';
+import { TokenBucket } from './rateLimiter.js';
+import { identityHashes } from './roomModeration.js';
+
+const scryptAsync = promisify(scrypt);
+
+export const MIN_PASSWORD_LENGTH = 4;
+export const MAX_PASSWORD_LENGTH = 100;
+export const MAX_INVITE_LIFETIME_MS = 30 * 24 * 60 * 60 * 1000;
+export const MAX_INVITE_USES = 1000;
+const MAX_INVITES = 50;
+const PASSWORD_KEY_LENGTH = 32;
+
+// A few tries in a row, then one a minute from each address (ten a minute for
+// the room), forgotten after an hour without any
+const PASSWORD_ATTEMPTS = {
+  perAddress: { capacity: 5, refillPerSecond: 1 / 60 },
+  perRoom: { capacity: 30, refillPerSecond: 10 / 60 },
+  forgetAfterMs: 60 * 60 * 1000
+};
+
+const sha256 = (value) => createHash('sha256').update(value).digest('base64url');
+
+// Constant-time comparison of two base64url strings
+function sameDigest(a, b) {
+  const bufferA = Buffer.from(a, 'base64url');
+  const bufferB = Buffer.from(b, 'base64url');
+  return bufferA.length === bufferB.length && timingSafeEqual(bufferA, bufferB);
+}
+
+async function hashPassword(password, salt) {
+  const key = await scryptAsync(password, salt, PASSWORD_KEY_LENGTH);
+  return key.toString('base64url');
+}
+
+class RoomAccess {
+  constructor() {
+    this.secret = randomBytes(32).toString('base64url'); // Signs invite tokens
+    this.ownerKeyHash = null;
+    this.password = null; // { salt, hash }
+    this.invites = []; // { id, expiresAt, maxUses, uses }
+    this.roomAttempts = new TokenBucket(PASSWORD_ATTEMPTS.perRoom.capacity, PASSWORD_ATTEMPTS.perRoom.refillPerSecond);
+    this.addressAttempts = new Map(); // address hash -> TokenBucket
+  }
+
+  hasOwner() {
+    return this.ownerKeyHash !== null;
+  }
+
+  isOwnerKey(key) {
+    return this.hasOwner() && typeof key === 'string' && sameDigest(sha256(key), this.ownerKeyHash);
+  }
+
+  // Make the caller the owner; returns the owner key to hand to them
+  claimOwnership() {
+    const key = randomBytes(24).toString('base64url');
+    this.ownerKeyHash = sha256(key);
+    return key;
+  }
+
+  hasPassword() {
+    return this.password !== null;
+  }
+
+  // Set the join password, or remove it with an empty one
+  async setPassword(password) {
+    if (!password) {
+      this.password = null;
+      return;
+    }
+    if (password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+      throw new AccessDeniedError('invalid-password', `Passwords must be ${MIN_PASSWORD_LENGTH} to ${MAX_PASSWORD_LENGTH} characters`);
+    }
+    const salt = randomBytes(16).toString('base64url');
+    this.password = { salt, hash: await hashPassword(password, salt) };
+  }
+
+  // Count a password attempt from an address; false if it, or the room as a
+  // whole, has tried too often lately
+  takePasswordAttempt(address, now = Date.now()) {
+    this.addressAttempts.forEach((bucket, key) => {
+      if (now - bucket.updatedAt > PASSWORD_ATTEMPTS.forgetAfterMs) this.addressAttempts.delete(key);
+    });
+
+    const key = identityHashes({ address }).addressHash || 'unknown';
+    let bucket = this.addressAttempts.get(key);
+    if (!bucket) {
+      bucket = new TokenBucket(PASSWORD_ATTEMPTS.perAddress.capacity, PASSWORD_ATTEMPTS.perAddress.refillPerSecond, now);
+      this.addressAttempts.set(key, bucket);
+    }
+    return bucket.take(now) && this.roomAttempts.take(now);
+  }
+
+  async checkPassword(password) {
+    if (!this.password || typeof password !== 'string') return false;
+    return sameDigest(await hashPassword(password, this.password.salt), this.password.hash);
+  }
+
+  sign(payload) {
+    return createHmac('sha256', this.secret).update(payload).digest('base64url');
+  }
+
+  tokenFor(roomId, invite) {
+    const payload = Buffer.from(JSON.stringify({ room: roomId, id: invite.id, exp: invite.expiresAt })).toString('base64url');
+    return `${payload}.${this.sign(payload)}`;
+  }
+
+  // New invite valid for expiresInMs, optionally limited to maxUses joins
+  createInvite({ expiresInMs, maxUses = null }) {
+    this.pruneInvites();
+    if (this.invites.length >= MAX_INVITES) {
+      throw new AccessDeniedError('too-many-invites', `A room can have at most ${MAX_INVITES} invite links`);
+    }
+
+    const invite = {
+      id: randomBytes(9).toString('base64url'),
+      expiresAt: Date.now() + Math.min(MAX_INVITE_LIFETIME_MS, Math.max(60 * 1000, expiresInMs)),
+      maxUses: maxUses ? Math.min(MAX_INVITE_USES, Math.max(1, Math.round(maxUses))) : null,
+      uses: 0
+    };
+    this.invites.push(invite);
+    return invite;
+  }
+
+  revokeInvite(inviteId) {
+    const count = this.invites.length;
+    this.invites = this.invites.filter(invite => invite.id !== inviteId);
+    return this.invites.length !== count;
+  }
+
+  // Check an invite token for this room and count one use of it.
+  // Throws AccessDeniedError if it is forged, revoked, expired or used up.
+  useInvite(roomId, token) {
+    const [payload, signature] = typeof token === 'string' ? token.split('.') : [];
+    if (!payload || !signature || !sameDigest(this.sign(payload), signature)) {
+      throw new AccessDeniedError('invite-invalid', 'This invite link is not valid');
+    }
+
+    let claims;
+    try {
+      claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+      throw new AccessDeniedError('invite-invalid', 'This invite link is not valid');
+    }
+
+    const invite = this.invites.find(i => i.id === claims.id);
+    if (claims.room !== roomId || !invite) {
+      throw new AccessDeniedError('invite-invalid', 'This invite link is not valid');
+    }
+    if (Date.now() > invite.expiresAt) {
+      throw new AccessDeniedError('invite-expired', 'This invite link has expired');
+    }
+    if (invite.maxUses !== null && invite.uses >= invite.maxUses) {
+      throw new AccessDeniedError('invite-used-up', 'This invite link has been used up');
+    }
+
+    invite.uses++;
+  }
+
+  // Forget invites that have expired
+  pruneInvites() {
+    const now = Date.now();
+    this.invites = this.invites.filter(invite => invite.expiresAt > now);
+  }
+
+  // What the owner sees: whether there is a password, and the live invites with their tokens
+  describe(roomId) {
+    this.pruneInvites();
+    return {
+      hasPassword: this.hasPassword(),
+      invites: this.invites.map(invite => ({ ...invite, token: this.tokenFor(roomId, invite) }))
+    };
+  }
+
+  toJSON() {
+    return {
+      secret: this.secret,
+      ownerKeyHash: this.ownerKeyHash,
+      password: this.password,
+      invites: this.invites
+    };
+  }
+
+  // Restore from storage; rooms saved before access control are open and ownerless
+  static fromJSON(data) {
+    const access = new RoomAccess();
+    if (!data || typeof data !== 'object') return access;
+
+    if (typeof data.secret === 'string') access.secret = data.secret;
+    if (typeof data.ownerKeyHash === 'string') access.ownerKeyHash = data.ownerKeyHash;
+    if (typeof data.password?.salt === 'string' && typeof data.password?.hash === 'string') {
+      access.password = { salt: data.password.salt, hash: data.password.hash };
+    }
+    if (Array.isArray(data.invites)) {
+      access.invites = data.invites.filter(i => i && typeof i.id === 'string' && Number.isFinite(i.expiresAt));
+    }
+    return access;
+  }
+}
+
+export default RoomAccess;
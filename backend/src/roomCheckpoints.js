@@ -0,0 +1,77 @@
+// Named versions of a room's board ("v1 before client review") to come back to.
+// A checkpoint is { id, name, createdAt, createdBy, operations }: the board's
+// active operations when it was made, as clients see them, with freehand points
+// packed. Restoring one goes through DrawingState.restoreOperations, so it can
+// be undone like any other change. Checkpoints are saved with the room.
+
+import { randomBytes } from 'crypto';
+import { packOperation } from './strokeCompression.js';
+import { ActionRejectedError } from './utils/errors.js';
+
+export const MAX_CHECKPOINT_NAME_LENGTH = 60;
+const MAX_CHECKPOINTS = 50;
+
+class RoomCheckpoints {
+  constructor() {
+    this.checkpoints = []; // oldest first
+  }
+
+  // Everything but the operations, for listing
+  list() {
+    return this.checkpoints.map(({ operations, ...checkpoint }) => ({
+      ...checkpoint,
+      operationCount: operations.length
+    }));
+  }
+
+  get(checkpointId) {
+    const checkpoint = this.checkpoints.find(c => c.id === checkpointId);
+    if (!checkpoint) {
+      throw new ActionRejectedError('That checkpoint no longer exists');
+    }
+    return checkpoint;
+  }
+
+  create(name, user, operations) {
+    const trimmed = typeof name === 'string' ? name.trim().slice(0, MAX_CHECKPOINT_NAME_LENGTH) : '';
+    if (!trimmed) {
+      throw new ActionRejectedError('Checkpoints need a name');
+    }
+    if (this.checkpoints.length >= MAX_CHECKPOINTS) {
+      throw new ActionRejectedError(`A room can have at most ${MAX_CHECKPOINTS} checkpoints; delete one first`);
+    }
+
+    const checkpoint = {
+      id: randomBytes(9).toString('base64url'),
+      name: trimmed,
+      createdAt: Date.now(),
+      createdBy: { id: user.id, username: user.username },
+      operations: operations.map(packOperation)
+    };
+    this.checkpoints.push(checkpoint);
+    return checkpoint;
+  }
+
+  remove(checkpointId) {
+    const checkpoint = this.get(checkpointId);
+    this.checkpoints = this.checkpoints.filter(c => c !== checkpoint);
+    return checkpoint;
+  }
+
+  toJSON() {
+    return this.checkpoints;
+  }
+
+  // Restore from storage; rooms saved before checkpoints have none
+  static fromJSON(data) {
+    const checkpoints = new RoomCheckpoints();
+    if (!Array.isArray(data)) return checkpoints;
+
+    checkpoints.checkpoints = data
+      .filter(c => c && typeof c.id === 'string' && typeof c.name === 'string' && Array.isArray(c.operations))
+      .slice(-MAX_CHECKPOINTS);
+    return checkpoints;
+  }
+}
+
+export default RoomCheckpoints;
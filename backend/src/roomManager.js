@@ -1,9 +1,65 @@
+import { randomBytes, randomUUID } from 'crypto';
 import DrawingState from './drawingState.js';
+import RoomAccess from './roomAccess.js';
+import RoomModeration, { banMessage } from './roomModeration.js';
+import { createChatMessage, addToHistory, restoreChatHistory } from './chat.js';
+import CommentThreads from './commentThreads.js';
+import RoomCheckpoints from './roomCheckpoints.js';
+import { packOperation } from './strokeCompression.js';
 import { logger } from './utils/logger.js';
+import { ActionRejectedError, AccessDeniedError } from './utils/errors.js';
+
+// Snapshot format version written to storage
+const SNAPSHOT_VERSION = 1;
+
+// Logical board size (in board units) used when a room is created without one
+const DEFAULT_BOARD = {
+  width: parseInt(process.env.BOARD_WIDTH, 10) || 1920,
+  height: parseInt(process.env.BOARD_HEIGHT, 10) || 1080
+};
+const MIN_BOARD_SIDE = 100;
+const MAX_BOARD_SIDE = 10000;
+
+// Clamp a requested board size to sane limits, falling back to the default
+function normalizeBoard(board) {
+  const clamp = (value, fallback) => {
+    const n = Math.round(Number(value));
+    if (!Number.isFinite(n)) return fallback;
+    return Math.min(MAX_BOARD_SIDE, Math.max(MIN_BOARD_SIDE, n));
+  };
+  return {
+    width: clamp(board?.width, DEFAULT_BOARD.width),
+    height: clamp(board?.height, DEFAULT_BOARD.height)
+  };
+}
+
+// What each role may do. The owner is whoever holds the room's owner key (see
+// roomAccess.js); everyone else joins as an editor until the owner changes that.
+// Viewers can still talk and leave review comments. Muting stops a user changing
+// the board, whatever their role; they can still chat and comment.
+const PERMISSIONS = {
+  owner: ['draw', 'edit-layers', 'chat', 'comment', 'clear', 'manage'],
+  editor: ['draw', 'edit-layers', 'chat', 'comment'],
+  viewer: ['chat', 'comment']
+};
+
+const MUTED_PERMISSIONS = ['draw', 'edit-layers'];
+
+const isMutedFrom = (user, permission) => user.muted && MUTED_PERMISSIONS.includes(permission);
+
+const can = (user, permission) => Boolean(user && !isMutedFrom(user, permission) && PERMISSIONS[user.role]?.includes(permission));
 
 class RoomManager {
-  constructor() {
+  constructor(storage, options = {}) {
+    this.storage = storage;
+    this.idleTimeout = options.idleTimeout ?? 5 * 60 * 1000; // Evict empty rooms after 5 minutes
+    this.sessionTimeout = options.sessionTimeout ?? 60 * 1000; // Sessions can be resumed for a minute
+    this.onOperationsDiscarded = null; // (roomId, userId, operationIds) when an expired session's strokes are dropped
+    this.simplifyStrokes = options.simplifyStrokes ?? true;
+    // Points received in finished freehand strokes vs. points kept after simplifying
+    this.strokeStats = { strokes: 0, pointsReceived: 0, pointsStored: 0 };
     this.rooms = new Map(); // roomId -> { drawingState, users }
+    this.loading = new Map(); // roomId -> Promise (rooms currently being read from storage)
     this.userColors = [
       '#3b82f6', // blue
       '#ef4444', // red
@@ -16,119 +72,873 @@ class RoomManager {
     ];
   }
 
-  // Get or create a room
+  // Build the in-memory room record around a drawing state
+  createRoom(roomId, drawingState = new DrawingState(), board = DEFAULT_BOARD, access = new RoomAccess(), moderation = new RoomModeration()) {
+    const room = {
+      drawingState,
+      board: normalizeBoard(board),
+      access, // Owner, password and invites (see roomAccess.js)
+      moderation, // Bans and the moderation log (see roomModeration.js)
+      chat: [], // Recent chat messages, oldest first (see chat.js)
+      comments: new CommentThreads(), // Comment threads pinned to the board
+      checkpoints: new RoomCheckpoints(), // Named versions of the board (see roomCheckpoints.js)
+      users: new Map(), // userId -> user data (connected users)
+      sessions: new Map(), // session token -> { user, connectionId, address, expireTimer }
+      colorIndex: 0,
+      revision: 0, // Bumped for every delta of operation changes sent to clients
+      evictTimer: null,
+      saving: null, // Promise of the save in flight
+      saveQueued: false
+    };
+    drawingState.onChange = () => this.saveRoom(roomId);
+    drawingState.simplifyStrokes = this.simplifyStrokes;
+    drawingState.onStrokeSimplified = (before, after) => {
+      this.strokeStats.strokes++;
+      this.strokeStats.pointsReceived += before;
+      this.strokeStats.pointsStored += after;
+    };
+    this.rooms.set(roomId, room);
+    return room;
+  }
+
+  // Load a room into memory from storage (or create it), deduplicating concurrent loads.
+  // options.board only applies when the room does not exist yet.
+  async loadRoom(roomId, options = {}) {
+    if (this.rooms.has(roomId)) {
+      return this.rooms.get(roomId);
+    }
+    if (this.loading.has(roomId)) {
+      return this.loading.get(roomId);
+    }
+
+    const pending = (async () => {
+      let snapshot = null;
+      if (this.storage) {
+        snapshot = await this.storage.load(roomId);
+      }
+
+      // Another caller may have created the room while storage was being read
+      if (this.rooms.has(roomId)) {
+        return this.rooms.get(roomId);
+      }
+
+      if (snapshot) {
+        const room = this.createRoom(
+          roomId,
+          DrawingState.fromJSON(snapshot.drawingState),
+          snapshot.board,
+          RoomAccess.fromJSON(snapshot.access),
+          RoomModeration.fromJSON(snapshot.moderation)
+        );
+        room.chat = restoreChatHistory(snapshot.chat);
+        room.comments = CommentThreads.fromJSON(snapshot.comments);
+        room.checkpoints = RoomCheckpoints.fromJSON(snapshot.checkpoints);
+        logger.info(`Loaded room ${roomId} from storage (${room.drawingState.getOperationCount()} operations)`);
+        return room;
+      }
+
+      const room = this.createRoom(roomId, new DrawingState(), options.board);
+      logger.info(`Created new room: ${roomId} (${room.board.width}x${room.board.height})`);
+      this.saveRoom(roomId);
+      return room;
+    })();
+
+    this.loading.set(roomId, pending);
+    try {
+      return await pending;
+    } finally {
+      this.loading.delete(roomId);
+    }
+  }
+
+  // Read a room's board, active operations, comments and checkpoints without loading it into memory.
+  // visibleOperations leaves out hidden layers; hasPassword says whether reading
+  // it needs a session in the room, hasOwner whether changing it needs a role. Returns null if the room doesn't exist anywhere.
+  async peekRoom(roomId) {
+    const room = this.rooms.get(roomId);
+    if (room) {
+      return {
+        board: room.board,
+        hasPassword: room.access.hasPassword(),
+        hasOwner: room.access.hasOwner(),
+        userCount: room.users.size,
+        operations: room.drawingState.getActiveOperations(),
+        visibleOperations: room.drawingState.getVisibleOperations(),
+        comments: room.comments.list(),
+        checkpoints: room.checkpoints.list()
+      };
+    }
+
+    const snapshot = this.storage ? await this.storage.load(roomId) : null;
+    if (!snapshot) return null;
+
+    const drawingState = DrawingState.fromJSON(snapshot.drawingState);
+    const access = RoomAccess.fromJSON(snapshot.access);
+    return {
+      board: normalizeBoard(snapshot.board),
+      hasPassword: access.hasPassword(),
+      hasOwner: access.hasOwner(),
+      userCount: 0,
+      operations: drawingState.getActiveOperations(),
+      visibleOperations: drawingState.getVisibleOperations(),
+      comments: CommentThreads.fromJSON(snapshot.comments).list(),
+      checkpoints: RoomCheckpoints.fromJSON(snapshot.checkpoints).list()
+    };
+  }
+
+  // Whether a session token belongs to someone admitted to a room (in it, or able to resume)
+  hasSession(roomId, sessionToken) {
+    const room = this.rooms.get(roomId);
+    return Boolean(room && typeof sessionToken === 'string' && room.sessions.has(sessionToken));
+  }
+
+  // Id of the user in the room a session token belongs to, or null
+  getSessionUserId(roomId, sessionToken) {
+    const room = this.rooms.get(roomId);
+    const session = room && typeof sessionToken === 'string' ? room.sessions.get(sessionToken) : null;
+    return session ? session.user.id : null;
+  }
+
+  // Whether the user a session token belongs to has a permission in the room
+  sessionCan(roomId, sessionToken, permission) {
+    const room = this.rooms.get(roomId);
+    const session = room && typeof sessionToken === 'string' ? room.sessions.get(sessionToken) : null;
+    return can(session?.user, permission);
+  }
+
+  // Get a room that is already in memory, creating an empty one if needed
   getRoom(roomId) {
     if (!this.rooms.has(roomId)) {
-      this.rooms.set(roomId, {
-        drawingState: new DrawingState(),
-        users: new Map(), // userId -> user data
-        colorIndex: 0
-      });
       logger.info(`Created new room: ${roomId}`);
+      this.createRoom(roomId);
     }
     return this.rooms.get(roomId);
   }
 
-  // Add user to room
-  addUser(roomId, userId, username) {
+  // Serialize everything about a room that should survive a restart
+  serializeRoom(room) {
+    return {
+      version: SNAPSHOT_VERSION,
+      savedAt: Date.now(),
+      board: room.board,
+      access: room.access.toJSON(),
+      moderation: room.moderation.toJSON(),
+      chat: room.chat,
+      comments: room.comments.toJSON(),
+      checkpoints: room.checkpoints.toJSON(),
+      drawingState: room.drawingState.toJSON()
+    };
+  }
+
+  // Write a room through to storage. Saves never overlap: changes made while a
+  // save is in flight are coalesced into one follow-up save. Resolves once the
+  // room's state as of the call is stored (or the save failed).
+  saveRoom(roomId) {
+    const room = this.rooms.get(roomId);
+    if (!room || !this.storage) return Promise.resolve();
+
+    if (room.saving) {
+      room.saveQueued = true;
+      return room.saving;
+    }
+
+    room.saving = (async () => {
+      try {
+        do {
+          room.saveQueued = false;
+          await this.storage.save(roomId, this.serializeRoom(room));
+        } while (room.saveQueued);
+      } catch (error) {
+        logger.error(`Failed to save room ${roomId}:`, error.message);
+      } finally {
+        room.saving = null;
+      }
+    })();
+    return room.saving;
+  }
+
+  // Persist every room in memory (used on shutdown)
+  async flushAll() {
+    await Promise.all(Array.from(this.rooms.keys()).map(roomId => this.saveRoom(roomId)));
+  }
+
+  // Drop an idle room from memory once its state is safely stored
+  async evictRoom(roomId) {
+    const room = this.rooms.get(roomId);
+    if (!room || room.users.size > 0) return;
+
+    await this.saveRoom(roomId);
+
+    // Someone may have joined while we were saving
+    if (room.users.size > 0 || this.rooms.get(roomId) !== room) return;
+
+    this.rooms.delete(roomId);
+    logger.info(`Room ${roomId} evicted from memory (idle)`);
+  }
+
+  // Decide whether a joining connection may enter a loaded room; call before
+  // addUser. Resumed sessions and the owner always may, and the first person to
+  // join a room without an owner becomes it. Anyone else banned by session or
+  // address is kept out. A password-protected room also lets
+  // in anyone with the password or a valid invite. Everyone else joins as an
+  // editor unless the owner gave them another role, and muted if the owner muted
+  // them. Returns { role, muted, ownerKey }
+  // (ownerKey only when this join claimed the room) or throws AccessDeniedError.
+  async admitUser(roomId, { sessionToken, ownerKey, password, invite, address } = {}) {
+    const room = this.getRoom(roomId);
+    const { access } = room;
+
+    const session = typeof sessionToken === 'string' ? room.sessions.get(sessionToken) : null;
+    if (session) {
+      return { role: session.user.role, muted: session.user.muted, ownerKey: null };
+    }
+    if (access.isOwnerKey(ownerKey)) {
+      return { role: 'owner', muted: false, ownerKey: null };
+    }
+    if (!access.hasOwner()) {
+      const key = access.claimOwnership();
+      this.saveRoom(roomId);
+      return { role: 'owner', muted: false, ownerKey: key };
+    }
+
+    const ban = room.moderation.findBan({ sessionToken, address });
+    if (ban) {
+      throw new AccessDeniedError('banned', banMessage(ban.until));
+    }
+
+    if (access.hasPassword()) {
+      if (invite) {
+        access.useInvite(roomId, invite);
+        this.saveRoom(roomId);
+      } else if (!password) {
+        throw new AccessDeniedError('password-required', 'This room is password protected');
+      } else if (!access.takePasswordAttempt(address)) {
+        throw new AccessDeniedError('too-many-attempts', 'Too many password attempts; wait a minute and try again');
+      } else if (!(await access.checkPassword(password))) {
+        throw new AccessDeniedError('wrong-password', 'Wrong password');
+      }
+    }
+    return {
+      role: room.moderation.findRole({ sessionToken, address }) || 'editor',
+      muted: room.moderation.isMuted({ sessionToken, address }),
+      ownerKey: null
+    };
+  }
+
+  // Add a connection to a room as a user. A session token from an earlier join of
+  // this room resumes that user (same id and color, unfinished strokes kept);
+  // without one a new user and token are created, with the `role` and `muted` admitUser decided.
+  // `address` is where the connection comes from, for bans.
+  // Returns { user, sessionToken, resumed, replacedConnectionId }, the last being
+  // a connection that still held the resumed user (a reconnect noticed before the
+  // old connection timed out).
+  addUser(roomId, connectionId, username, { sessionToken = null, role = 'editor', muted = false, address = null } = {}) {
     const room = this.getRoom(roomId);
+
+    // Room is in use again, cancel any pending eviction
+    clearTimeout(room.evictTimer);
+    room.evictTimer = null;
+
+    const session = typeof sessionToken === 'string' ? room.sessions.get(sessionToken) : null;
+    if (session) {
+      clearTimeout(session.expireTimer);
+      session.expireTimer = null;
+      const replacedConnectionId = session.connectionId;
+      session.connectionId = connectionId;
+      session.address = address;
+      session.user.username = username;
+
+      room.users.set(session.user.id, session.user);
+      logger.info(`User ${username} (${session.user.id}) resumed their session in room ${roomId}`);
+
+      return { user: session.user, sessionToken, resumed: true, replacedConnectionId };
+    }
     
     // Assign color to user
     const color = this.userColors[room.colorIndex % this.userColors.length];
     room.colorIndex++;
     
     const user = {
-      id: userId,
+      id: randomUUID(),
       username,
       color,
+      role,
+      muted,
       joinedAt: Date.now()
     };
     
-    room.users.set(userId, user);
-    logger.info(`User ${username} (${userId}) added to room ${roomId}`);
+    const token = randomBytes(24).toString('base64url');
+    room.sessions.set(token, { user, connectionId, address, expireTimer: null });
+    // A role or mute given earlier follows the user to their new session
+    if (role === 'viewer') {
+      room.moderation.setRole({ username, sessionToken: token, address }, role);
+    }
+    if (muted) {
+      room.moderation.setMuted({ username, sessionToken: token, address }, true);
+    }
+    room.users.set(user.id, user);
+    logger.info(`User ${username} (${user.id}) added to room ${roomId}`);
     
-    return user;
+    return { user, sessionToken: token, resumed: false, replacedConnectionId: null };
   }
 
-  // Remove user from room
-  removeUser(roomId, userId) {
+  // Remove a connection's user from a room. Its session can be resumed for a
+  // while and keeps the user's unfinished strokes until then. Returns the user,
+  // or null if the connection no longer held it (the session was resumed elsewhere).
+  removeUser(roomId, connectionId) {
     const room = this.rooms.get(roomId);
-    if (!room) return;
-    
-    room.users.delete(userId);
+    if (!room) return null;
+
+    const entry = Array.from(room.sessions).find(([, session]) => session.connectionId === connectionId);
+    if (!entry) return null;
+
+    const [token, session] = entry;
+    session.connectionId = null;
+    session.expireTimer = setTimeout(() => this.expireSession(roomId, token), this.sessionTimeout);
+    room.users.delete(session.user.id);
     
-    // Clean up empty rooms
+    // Keep empty rooms around for a while, then evict them from memory
+    if (room.users.size === 0) {
+      this.scheduleEviction(roomId);
+    }
+    return session.user;
+  }
+
+  // Forget a session that was not resumed in time and drop its unfinished strokes
+  expireSession(roomId, sessionToken) {
+    const room = this.rooms.get(roomId);
+    const session = room?.sessions.get(sessionToken);
+    if (!session || session.connectionId) return;
+
+    this.endSession(roomId, sessionToken);
+  }
+
+  // Forget a session, its user and the user's unfinished strokes
+  endSession(roomId, sessionToken) {
+    const room = this.rooms.get(roomId);
+    const session = room.sessions.get(sessionToken);
+    clearTimeout(session.expireTimer);
+    room.sessions.delete(sessionToken);
+    if (room.users.delete(session.user.id) && room.users.size === 0) {
+      this.scheduleEviction(roomId);
+    }
+
+    this.discardUnfinishedOperations(roomId, session.user.id);
+  }
+
+  // Drop one of a user's strokes still in progress (part of it was refused)
+  discardOperation(roomId, userId, operationId) {
+    const room = this.rooms.get(roomId);
+    if (room?.drawingState.discardActiveOperation(userId, operationId) && this.onOperationsDiscarded) {
+      this.onOperationsDiscarded(roomId, userId, [operationId]);
+    }
+  }
+
+  // Drop a user's strokes still in progress (they left, or may no longer draw)
+  discardUnfinishedOperations(roomId, userId) {
+    const room = this.rooms.get(roomId);
+    const discarded = room.drawingState.discardActiveOperations(userId);
+    if (discarded.length > 0 && this.onOperationsDiscarded) {
+      this.onOperationsDiscarded(roomId, userId, discarded);
+    }
+  }
+
+  // A user's strokes still in progress, with how many points the server has of each
+  getUnfinishedOperations(roomId, userId) {
+    const room = this.rooms.get(roomId);
+    if (!room) return [];
+
+    return room.drawingState.getUnfinishedOperations(userId).map(op => ({
+      operationId: op.id,
+      pointCount: op.points.length
+    }));
+  }
+
+  scheduleEviction(roomId) {
+    const room = this.rooms.get(roomId);
+    if (!room) return;
+
+    clearTimeout(room.evictTimer);
+    room.evictTimer = setTimeout(() => this.evictRoom(roomId), this.idleTimeout);
+    logger.info(`Room ${roomId} is empty, evicting in ${Math.round(this.idleTimeout / 1000)}s`);
+  }
+
+  // Join password and invite links, for the owner's settings panel
+  getAccessSettings(roomId) {
+    const room = this.rooms.get(roomId);
+    return room ? room.access.describe(roomId) : null;
+  }
+
+  // Throw ActionRejectedError with `message` unless the user is in the room with the permission
+  assertPermission(room, userId, permission, message) {
+    const user = room.users.get(userId);
+    if (!user) {
+      throw new ActionRejectedError('You are not in this room');
+    }
+    if (isMutedFrom(user, permission)) {
+      throw new ActionRejectedError('The room owner has muted you');
+    }
+    if (!can(user, permission)) {
+      throw new ActionRejectedError(message);
+    }
+  }
+
+  // Make another user in the room an editor or a viewer (owner only). The role
+  // is kept with the room, matched by the user's session and address, so it also
+  // applies when they join again. Returns the updated user.
+  setUserRole(roomId, userId, targetUserId, role) {
+    const room = this.rooms.get(roomId);
+    if (!room) return null;
+    this.assertPermission(room, userId, 'manage', 'Only the room owner can change roles');
+
+    const entry = Array.from(room.sessions).find(([, session]) => session.user.id === targetUserId);
+    const target = room.users.get(targetUserId);
+    if (!target || !entry) {
+      throw new ActionRejectedError('That user is no longer in the room');
+    }
+    if (target.role === 'owner') {
+      throw new ActionRejectedError('The owner\'s role cannot be changed');
+    }
+    if (role !== 'editor' && role !== 'viewer') {
+      throw new ActionRejectedError(`Unknown role "${role}"`);
+    }
+
+    target.role = role;
+    const [sessionToken, session] = entry;
+    room.moderation.setRole({ username: target.username, sessionToken, address: session.address }, role);
+    this.saveRoom(roomId);
+    if (role === 'viewer') {
+      this.discardUnfinishedOperations(roomId, targetUserId);
+    }
+    logger.info(`User ${target.username} (${target.id}) is now ${role} in room ${roomId}`);
+    return target;
+  }
+
+  // Set the room's join password, or remove it with an empty one (owner only)
+  async setRoomPassword(roomId, userId, password) {
+    const room = this.rooms.get(roomId);
+    if (!room) return;
+    this.assertPermission(room, userId, 'manage', 'Only the room owner can change who may join');
+
+    await room.access.setPassword(password);
+    this.saveRoom(roomId);
+    logger.info(`Password ${password ? 'set' : 'removed'} for room ${roomId}`);
+  }
+
+  // Create an invite link valid for expiresInMs, optionally limited to maxUses joins (owner only)
+  createInvite(roomId, userId, { expiresInMs, maxUses }) {
+    const room = this.rooms.get(roomId);
+    if (!room) return null;
+    this.assertPermission(room, userId, 'manage', 'Only the room owner can change who may join');
+
+    const invite = room.access.createInvite({ expiresInMs, maxUses });
+    this.saveRoom(roomId);
+    return { ...invite, token: room.access.tokenFor(roomId, invite) };
+  }
+
+  // Stop an invite link from working (owner only)
+  revokeInvite(roomId, userId, inviteId) {
+    const room = this.rooms.get(roomId);
+    if (!room) return;
+    this.assertPermission(room, userId, 'manage', 'Only the room owner can change who may join');
+
+    if (room.access.revokeInvite(inviteId)) {
+      this.saveRoom(roomId);
+    }
+  }
+
+  // Bans still running and the moderation log, for the owner's panel
+  getModeration(roomId) {
+    const room = this.rooms.get(roomId);
+    return room ? room.moderation.describe() : null;
+  }
+
+  // The session of a user the owner (userId) wants to moderate
+  findModerationTarget(room, userId, targetUserId) {
+    this.assertPermission(room, userId, 'manage', 'Only the room owner can moderate');
+
+    const entry = Array.from(room.sessions).find(([, session]) => session.user.id === targetUserId);
+    if (!entry || !room.users.has(targetUserId)) {
+      throw new ActionRejectedError('That user is no longer in the room');
+    }
+    if (entry[1].user.role === 'owner') {
+      throw new ActionRejectedError('The room owner cannot be moderated');
+    }
+    return entry;
+  }
+
+  // Remove a user from the room and end their session (owner only); they can join
+  // again as someone new. With banForMs they are also kept out that long, matched
+  // by their session token and address. Returns { user, connectionId, until } so
+  // the caller can tell and disconnect them.
+  kickUser(roomId, userId, targetUserId, { banForMs = null } = {}) {
+    const room = this.rooms.get(roomId);
+    if (!room) return null;
+    const [token, session] = this.findModerationTarget(room, userId, targetUserId);
+    const by = room.users.get(userId).username;
+
+    let until = null;
+    if (banForMs) {
+      ({ until } = room.moderation.addBan({
+        username: session.user.username,
+        sessionToken: token,
+        address: session.address,
+        durationMs: banForMs
+      }));
+      room.moderation.record('ban', { username: session.user.username, by, until });
+    } else {
+      room.moderation.record('kick', { username: session.user.username, by });
+    }
+
+    this.endSession(roomId, token);
+    this.saveRoom(roomId);
+    logger.info(`User ${session.user.username} (${session.user.id}) ${until ? 'banned from' : 'kicked from'} room ${roomId}`);
+    return { user: session.user, connectionId: session.connectionId, until };
+  }
+
+  // Stop a user from drawing or editing anything, or let them again (owner only).
+  // Kept with the room by session and address until unmuted. Returns the updated user.
+  setUserMuted(roomId, userId, targetUserId, muted) {
+    const room = this.rooms.get(roomId);
+    if (!room) return null;
+    const [sessionToken, session] = this.findModerationTarget(room, userId, targetUserId);
+
+    session.user.muted = muted;
+    room.moderation.setMuted({ username: session.user.username, sessionToken, address: session.address }, muted);
+    if (muted) {
+      this.discardUnfinishedOperations(roomId, targetUserId);
+    }
+    room.moderation.record(muted ? 'mute' : 'unmute', {
+      username: session.user.username,
+      by: room.users.get(userId).username
+    });
+    this.saveRoom(roomId);
+    return session.user;
+  }
+
+  // End a ban early (owner only)
+  liftBan(roomId, userId, banId) {
+    const room = this.rooms.get(roomId);
+    if (!room) return;
+    this.assertPermission(room, userId, 'manage', 'Only the room owner can moderate');
+
+    const ban = room.moderation.liftBan(banId);
+    if (ban) {
+      room.moderation.record('unban', { username: ban.username, by: room.users.get(userId).username });
+      this.saveRoom(roomId);
+    }
+  }
+
+  // Import parsed snapshot operations into a room (created with the snapshot's board if new)
+  async importSnapshot(roomId, snapshot, { replace = false } = {}) {
+    const room = await this.loadRoom(roomId, { board: snapshot.board });
+    // Refuse before anything changes; then comments first, as importing the
+    // operations saves the room
+    room.drawingState.getImportLayerId();
+    room.comments.import(snapshot.comments, { replace });
+    room.drawingState.importOperations(snapshot.operations, { replace });
+
     if (room.users.size === 0) {
-      this.rooms.delete(roomId);
-      logger.info(`Room ${roomId} deleted (no users)`);
+      this.scheduleEviction(roomId);
     }
+    return room;
   }
 
-  // Get room state
+  // Get room state (freehand strokes packed for sending, see strokeCompression.js)
   getRoomState(roomId) {
     const room = this.getRoom(roomId);
     return {
-      operations: room.drawingState.getActiveOperations(),
-      users: Array.from(room.users.values())
+      board: room.board,
+      layers: room.drawingState.getLayers(),
+      revision: room.revision,
+      operations: room.drawingState.getActiveOperations().map(packOperation),
+      users: Array.from(room.users.values()),
+      chat: room.chat,
+      comments: room.comments.list(),
+      checkpoints: room.checkpoints.list()
+    };
+  }
+
+  // Open a comment thread at a point on the board. Returns the thread.
+  addCommentThread(roomId, userId, { threadId, x, y, text }) {
+    const room = this.rooms.get(roomId);
+    if (!room) return null;
+    this.assertPermission(room, userId, 'comment', 'You cannot comment in this room');
+
+    const clamp = (value, max) => Math.min(max, Math.max(0, value));
+    const thread = room.comments.create(threadId, room.users.get(userId), {
+      x: clamp(x, room.board.width),
+      y: clamp(y, room.board.height),
+      text
+    });
+    this.saveRoom(roomId);
+    return thread;
+  }
+
+  replyToComment(roomId, userId, threadId, text) {
+    const room = this.rooms.get(roomId);
+    if (!room) return null;
+    this.assertPermission(room, userId, 'comment', 'You cannot comment in this room');
+
+    const thread = room.comments.reply(threadId, room.users.get(userId), text);
+    this.saveRoom(roomId);
+    return thread;
+  }
+
+  // Mark a thread resolved (or open it again); anyone who may comment can
+  resolveCommentThread(roomId, userId, threadId, resolved) {
+    const room = this.rooms.get(roomId);
+    if (!room) return null;
+    this.assertPermission(room, userId, 'comment', 'You cannot comment in this room');
+
+    const thread = room.comments.setResolved(threadId, resolved);
+    this.saveRoom(roomId);
+    return thread;
+  }
+
+  // Delete a thread; only whoever opened it, or the owner, may
+  deleteCommentThread(roomId, userId, threadId) {
+    const room = this.rooms.get(roomId);
+    if (!room) return false;
+    this.assertPermission(room, userId, 'comment', 'You cannot comment in this room');
+
+    const thread = room.comments.get(threadId);
+    if (thread.comments[0]?.userId !== userId && !can(room.users.get(userId), 'manage')) {
+      throw new ActionRejectedError('Only whoever started a thread, or the room owner, can delete it');
+    }
+    room.comments.remove(threadId);
+    this.saveRoom(roomId);
+    return true;
+  }
+
+  // The room's checkpoints, without their operations; null if the room isn't loaded
+  listCheckpoints(roomId) {
+    const room = this.rooms.get(roomId);
+    return room ? room.checkpoints.list() : null;
+  }
+
+  // Save the board as it is now under a name. Returns the checkpoint as listed.
+  createCheckpoint(roomId, userId, name) {
+    const room = this.rooms.get(roomId);
+    if (!room) return null;
+    this.assertPermission(room, userId, 'draw', 'Viewers cannot create checkpoints');
+
+    const checkpoint = room.checkpoints.create(name, room.users.get(userId), room.drawingState.getActiveOperations());
+    this.saveRoom(roomId);
+    logger.info(`Checkpoint "${checkpoint.name}" created in room ${roomId}`);
+    return room.checkpoints.list().find(c => c.id === checkpoint.id);
+  }
+
+  // Put the board back to a checkpoint, as one entry in the user's undo history.
+  // Returns the checkpoint restored (as listed).
+  restoreCheckpoint(roomId, userId, checkpointId) {
+    const room = this.rooms.get(roomId);
+    if (!room) return null;
+    this.assertPermission(room, userId, 'draw', 'Viewers cannot restore checkpoints');
+
+    const checkpoint = room.checkpoints.get(checkpointId);
+    const user = room.users.get(userId);
+    room.drawingState.restoreOperations(userId, user.username, checkpoint.operations);
+    logger.info(`Checkpoint "${checkpoint.name}" restored in room ${roomId}`);
+    return room.checkpoints.list().find(c => c.id === checkpointId);
+  }
+
+  // Delete a checkpoint; only whoever created it, or the owner, may
+  deleteCheckpoint(roomId, userId, checkpointId) {
+    const room = this.rooms.get(roomId);
+    if (!room) return null;
+    this.assertPermission(room, userId, 'draw', 'Viewers cannot delete checkpoints');
+
+    const checkpoint = room.checkpoints.get(checkpointId);
+    if (checkpoint.createdBy?.id !== userId && !can(room.users.get(userId), 'manage')) {
+      throw new ActionRejectedError('Only whoever created a checkpoint, or the room owner, can delete it');
+    }
+    room.checkpoints.remove(checkpointId);
+    this.saveRoom(roomId);
+    return checkpoint;
+  }
+
+  // Everything a time-lapse replay of the room needs (see replayHistory.js)
+  getReplayHistory(roomId) {
+    const room = this.rooms.get(roomId);
+    if (!room) return null;
+    return room.drawingState.replay.describe();
+  }
+
+  // Add a chat message from a user to the room's history. Returns the message to
+  // relay, or null if it was empty.
+  addChatMessage(roomId, userId, text) {
+    const room = this.rooms.get(roomId);
+    if (!room) return null;
+    this.assertPermission(room, userId, 'chat', 'You cannot chat in this room');
+
+    const message = createChatMessage(room.users.get(userId), text);
+    if (!message) return null;
+
+    addToHistory(room.chat, message);
+    this.saveRoom(roomId);
+    return message;
+  }
+
+  // Collect the operation changes made since the last call into one numbered delta
+  // (null if nothing changed). Clients apply deltas in revision order and ask for
+  // the full list if they miss one.
+  takeDelta(roomId) {
+    const room = this.rooms.get(roomId);
+    if (!room) return null;
+
+    const changes = room.drawingState.takeChanges();
+    if (changes.length === 0) return null;
+
+    room.revision++;
+    return {
+      revision: room.revision,
+      changes: changes.map(change => (change.operation ? { ...change, operation: packOperation(change.operation) } : change))
     };
   }
 
   // Start a new drawing operation
   startOperation(roomId, userId, data) {
     const room = this.getRoom(roomId);
+    this.assertPermission(room, userId, 'draw', 'Viewers cannot draw in this room');
     const user = room.users.get(userId);
-    
+
     const operation = room.drawingState.startOperation({
+      operationId: data.operationId,
       userId,
       username: user.username,
       x: data.x,
       y: data.y,
+      p: data.p,
+      tx: data.tx,
+      ty: data.ty,
       color: data.color,
       width: data.width,
-      tool: data.tool
+      tool: data.tool,
+      layerId: data.layerId,
+      text: data.text,
+      fontSize: data.fontSize,
+      replaces: data.replaces,
+      mask: data.mask,
+      fillColor: data.fillColor,
+      stroke: data.stroke
     });
     
     return operation;
   }
 
-  // Add points to an operation
-  addPoints(roomId, operationId, points) {
+  // Update the content of the user's in-progress text operation
+  updateText(roomId, userId, operationId, text) {
     const room = this.rooms.get(roomId);
-    if (!room) return;
+    if (!room) return null;
+    this.assertPermission(room, userId, 'draw', 'Viewers cannot draw in this room');
+    
+    return room.drawingState.updateText(operationId, userId, text);
+  }
+
+  // Add points to the user's operation, returning them as stored
+  addPoints(roomId, userId, operationId, points) {
+    const room = this.rooms.get(roomId);
+    if (!room) return [];
+    this.assertPermission(room, userId, 'draw', 'Viewers cannot draw in this room');
     
-    room.drawingState.addPoints(operationId, points);
+    return room.drawingState.addPoints(operationId, userId, points);
   }
 
-  // End an operation
-  endOperation(roomId, operationId) {
+  // End the user's operation
+  endOperation(roomId, userId, operationId) {
     const room = this.rooms.get(roomId);
     if (!room) return;
+    this.assertPermission(room, userId, 'draw', 'Viewers cannot draw in this room');
     
-    room.drawingState.endOperation(operationId);
+    room.drawingState.endOperation(operationId, userId);
   }
 
-  // Undo last operation
-  undo(roomId) {
+  // Move/scale operations as one undoable entry for the user
+  transformOperations(roomId, userId, transform, changes) {
+    const room = this.rooms.get(roomId);
+    if (!room) return [];
+    this.assertPermission(room, userId, 'draw', 'Viewers cannot edit this room');
+    const user = room.users.get(userId);
+    
+    return room.drawingState.transformOperations(userId, user?.username, transform, changes);
+  }
+
+  // Delete operations as one undoable entry for the user
+  deleteOperations(roomId, userId, operationIds) {
+    const room = this.rooms.get(roomId);
+    if (!room) return null;
+    this.assertPermission(room, userId, 'draw', 'Viewers cannot edit this room');
+    const user = room.users.get(userId);
+    
+    return room.drawingState.deleteOperations(userId, user?.username, operationIds);
+  }
+
+  // Undo the user's last operation
+  undo(roomId, userId) {
     const room = this.rooms.get(roomId);
     if (!room) return null;
+    this.assertPermission(room, userId, 'draw', 'Viewers cannot undo in this room');
     
-    return room.drawingState.undo();
+    return room.drawingState.undo(userId);
   }
 
-  // Redo last undone operation
-  redo(roomId) {
+  // Redo the user's last undone operation
+  redo(roomId, userId) {
     const room = this.rooms.get(roomId);
     if (!room) return null;
+    this.assertPermission(room, userId, 'draw', 'Viewers cannot redo in this room');
     
-    return room.drawingState.redo();
+    return room.drawingState.redo(userId);
+  }
+
+  // Add a layer on top of the room's layer stack
+  addLayer(roomId, userId, name) {
+    const room = this.rooms.get(roomId);
+    if (!room) return null;
+    this.assertPermission(room, userId, 'edit-layers', 'Viewers cannot change layers');
+
+    return room.drawingState.addLayer(name);
+  }
+
+  // Rename, show/hide or lock/unlock a layer
+  updateLayer(roomId, userId, layerId, changes) {
+    const room = this.rooms.get(roomId);
+    if (!room) return null;
+    this.assertPermission(room, userId, 'edit-layers', 'Viewers cannot change layers');
+
+    return room.drawingState.updateLayer(layerId, changes);
   }
 
-  // Clear canvas
-  clearCanvas(roomId) {
+  // Set the bottom-to-top layer order
+  reorderLayers(roomId, userId, layerIds) {
+    const room = this.rooms.get(roomId);
+    if (!room) return false;
+    this.assertPermission(room, userId, 'edit-layers', 'Viewers cannot change layers');
+
+    return room.drawingState.reorderLayers(layerIds);
+  }
+
+  // Clear canvas (owner only)
+  clearCanvas(roomId, userId) {
     const room = this.rooms.get(roomId);
     if (!room) return;
+    this.assertPermission(room, userId, 'clear', 'Only the room owner can clear the canvas');
     
-    room.drawingState.clear();
+    const { username } = room.users.get(userId);
+    room.drawingState.clear({ userId, username });
+  }
+
+  // Stroke simplification totals since the server started (for /health)
+  getStrokeStats() {
+    const { strokes, pointsReceived, pointsStored } = this.strokeStats;
+    return {
+      simplification: this.simplifyStrokes ? 'on' : 'off',
+      strokes,
+      pointsReceived,
+      pointsStored,
+      pointsSaved: pointsReceived - pointsStored
+    };
   }
 
   // Get room count
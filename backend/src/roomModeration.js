@@ -0,0 +1,160 @@
+// Temporary bans in a room, the roles the owner gave people, who is muted, and
+// the log of moderation actions the owner sees.
+//
+// A ban matches the banned user's session token and the address they connected
+// from, so neither resuming the old session nor joining again as someone new
+// gets them back in before it ends. Roles and mutes are matched the same way, so
+// a viewer doesn't become an editor again, nor a muted user unmuted, by
+// rejoining. Tokens and addresses are only stored as hashes. Kicks don't
+// outlive the user's session and are only recorded in the log.
+
+import { createHash, randomBytes } from 'crypto';
+
+export const MIN_BAN_DURATION_MS = 60 * 1000;
+export const MAX_BAN_DURATION_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_BANS = 200;
+const MAX_ROLES = 500;
+const MAX_MUTES = 500;
+const MAX_LOG_ENTRIES = 100;
+
+const sha256 = (value) => createHash('sha256').update(value).digest('base64url');
+
+// Who someone is, as stored: hashes of their session token and address
+export const identityHashes = ({ sessionToken, address }) => ({
+  sessionHash: typeof sessionToken === 'string' ? sha256(sessionToken) : null,
+  addressHash: typeof address === 'string' ? sha256(address) : null
+});
+
+const matchesIdentity = (entry, { sessionHash, addressHash }) =>
+  Boolean((sessionHash && entry.sessionHash === sessionHash) || (addressHash && entry.addressHash === addressHash));
+
+// What a banned user is told, e.g. "You are banned from this room for another 2 hours"
+export function banMessage(until) {
+  const minutes = Math.max(1, Math.ceil((until - Date.now()) / 60000));
+  const left = minutes < 120 ? `${minutes} minute${minutes === 1 ? '' : 's'}` : `${Math.round(minutes / 60)} hours`;
+  return `You are banned from this room for another ${left}`;
+}
+
+class RoomModeration {
+  constructor() {
+    this.bans = []; // { id, username, sessionHash, addressHash, until }
+    this.roles = []; // { username, sessionHash, addressHash, role }, for roles other than editor
+    this.mutes = []; // { username, sessionHash, addressHash }
+    this.log = []; // { action, username, by, at, until }, oldest first
+  }
+
+  // The ban keeping out a joiner with this session token or address, if any
+  findBan({ sessionToken, address }) {
+    this.pruneBans();
+    const identity = identityHashes({ sessionToken, address });
+    return this.bans.find(ban => matchesIdentity(ban, identity)) || null;
+  }
+
+  addBan({ username, sessionToken, address, durationMs }) {
+    this.pruneBans();
+    const ban = {
+      id: randomBytes(9).toString('base64url'),
+      username,
+      ...identityHashes({ sessionToken, address }),
+      until: Date.now() + Math.min(MAX_BAN_DURATION_MS, Math.max(MIN_BAN_DURATION_MS, durationMs))
+    };
+    this.bans.push(ban);
+    if (this.bans.length > MAX_BANS) this.bans.shift();
+    return ban;
+  }
+
+  // End a ban early; returns it, or null if there was no such ban
+  liftBan(banId) {
+    const ban = this.bans.find(b => b.id === banId);
+    if (!ban) return null;
+    this.bans = this.bans.filter(b => b !== ban);
+    return ban;
+  }
+
+  // The role the owner gave whoever joins with this session token or address, if any
+  findRole({ sessionToken, address }) {
+    const identity = identityHashes({ sessionToken, address });
+    return this.roles.find(entry => matchesIdentity(entry, identity))?.role || null;
+  }
+
+  // Remember a user's role by their session token and address; editor, the
+  // role everyone joins with, needs no entry
+  setRole({ username, sessionToken, address }, role) {
+    const identity = identityHashes({ sessionToken, address });
+    this.roles = this.roles.filter(entry => !matchesIdentity(entry, identity));
+    if (role === 'editor') return;
+
+    this.roles.push({ username, ...identity, role });
+    if (this.roles.length > MAX_ROLES) this.roles.shift();
+  }
+
+  // Whether whoever joins with this session token or address is muted
+  isMuted({ sessionToken, address }) {
+    const identity = identityHashes({ sessionToken, address });
+    return this.mutes.some(entry => matchesIdentity(entry, identity));
+  }
+
+  // Mute a user by their session token and address until unmuted
+  setMuted({ username, sessionToken, address }, muted) {
+    const identity = identityHashes({ sessionToken, address });
+    this.mutes = this.mutes.filter(entry => !matchesIdentity(entry, identity));
+    if (!muted) return;
+
+    this.mutes.push({ username, ...identity });
+    if (this.mutes.length > MAX_MUTES) this.mutes.shift();
+  }
+
+  pruneBans() {
+    const now = Date.now();
+    this.bans = this.bans.filter(ban => ban.until > now);
+  }
+
+  // Add an entry to the log ('kick', 'ban', 'unban', 'mute' or 'unmute'),
+  // keeping only the most recent ones
+  record(action, { username, by, until = null }) {
+    this.log.push({ action, username, by, at: Date.now(), until });
+    if (this.log.length > MAX_LOG_ENTRIES) {
+      this.log.splice(0, this.log.length - MAX_LOG_ENTRIES);
+    }
+  }
+
+  // What the owner sees: the bans still running (without their hashes) and the log
+  describe() {
+    this.pruneBans();
+    return {
+      bans: this.bans.map(({ id, username, until }) => ({ id, username, until })),
+      log: this.log
+    };
+  }
+
+  toJSON() {
+    return {
+      bans: this.bans,
+      roles: this.roles,
+      mutes: this.mutes,
+      log: this.log
+    };
+  }
+
+  // Restore from storage; rooms saved before moderation have no bans, roles, mutes or log
+  static fromJSON(data) {
+    const moderation = new RoomModeration();
+    if (!data || typeof data !== 'object') return moderation;
+
+    if (Array.isArray(data.bans)) {
+      moderation.bans = data.bans.filter(b => b && typeof b.id === 'string' && Number.isFinite(b.until));
+    }
+    if (Array.isArray(data.roles)) {
+      moderation.roles = data.roles.filter(r => r && typeof r.role === 'string').slice(-MAX_ROLES);
+    }
+    if (Array.isArray(data.mutes)) {
+      moderation.mutes = data.mutes.filter(entry => entry && typeof entry === 'object').slice(-MAX_MUTES);
+    }
+    if (Array.isArray(data.log)) {
+      moderation.log = data.log.filter(e => e && typeof e.action === 'string' && Number.isFinite(e.at)).slice(-MAX_LOG_ENTRIES);
+    }
+    return moderation;
+  }
+}
+
+export default RoomModeration;
@@ -6,7 +6,14 @@ import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import RoomManager from './roomManager.js';
+import { renderSvg, renderPng } from './exporter.js';
+import { createBoardSnapshot, parseBoardSnapshot, SnapshotValidationError } from './boardSnapshot.js';
+import { createStorage } from './storage/index.js';
+import { validatePayload, PayloadValidationError, isValidRoomId } from './socketSchemas.js';
+import { SocketRateLimiter, MUTE_DURATION_MS } from './rateLimiter.js';
+import { banMessage } from './roomModeration.js';
 import { logger } from './utils/logger.js';
+import { ActionRejectedError, AccessDeniedError } from './utils/errors.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -19,12 +26,13 @@ const httpServer = createServer(app);
 // CORS configuration
 const corsOptions = {
   origin: process.env.CORS_ORIGIN || 'http://localhost:5173',
-  methods: ['GET', 'POST'],
+  methods: ['GET', 'POST', 'DELETE'],
   credentials: true
 };
 
 app.use(cors(corsOptions));
-app.use(express.json());
+// Board snapshots can be large, so allow bigger JSON bodies than the default
+app.use(express.json({ limit: process.env.MAX_UPLOAD_SIZE || '10mb' }));
 
 // Socket.IO setup
 const io = new Server(httpServer, {
@@ -33,18 +41,266 @@ const io = new Server(httpServer, {
   pingInterval: 25000
 });
 
-// Initialize room manager
-const roomManager = new RoomManager();
+// Initialize room manager with durable storage
+const roomManager = new RoomManager(createStorage(), {
+  idleTimeout: parseInt(process.env.ROOM_IDLE_TIMEOUT_MS, 10) || undefined,
+  simplifyStrokes: process.env.SIMPLIFY_STROKES !== 'false',
+  sessionTimeout: parseInt(process.env.SESSION_RESUME_MS, 10) || undefined
+});
+
+// A user who didn't come back in time: others stop showing their unfinished strokes
+roomManager.onOperationsDiscarded = (roomId, userId, operationIds) => {
+  operationIds.forEach(operationId => {
+    io.to(roomId).emit('remote-draw-end', { userId, operationId });
+  });
+};
+
+// Where a connection comes from, for bans. Behind a reverse proxy (TRUST_PROXY=true)
+// that is the first X-Forwarded-For entry, since every socket comes from the proxy.
+const clientAddress = (socket) => {
+  const forwarded = process.env.TRUST_PROXY === 'true' && socket.handshake.headers['x-forwarded-for'];
+  return forwarded ? forwarded.split(',')[0].trim() : socket.handshake.address;
+};
+
+// Tell the client why its action was refused; anything else is a server bug
+const reportError = (socket, event, error) => {
+  if (error instanceof ActionRejectedError) {
+    socket.emit('error', { message: error.message });
+    return;
+  }
+  logger.error(`Error in ${event}:`, error);
+};
+
+// Events that start, continue or finish an operation
+const OPERATION_EVENTS = new Set(['draw-start', 'draw-move', 'text-update', 'draw-end']);
+
+// A refused step of an operation in progress also tells the sender to drop it
+const rejectOperation = (socket, event, data, error) => {
+  if (error instanceof ActionRejectedError) {
+    socket.emit('operation-rejected', { operationId: data?.operationId });
+  }
+  reportError(socket, event, error);
+};
+
+// Send everyone in a room the operation changes made by the last action
+const broadcastDelta = (roomId) => {
+  const delta = roomManager.takeDelta(roomId);
+  if (delta) {
+    io.to(roomId).emit('operations-delta', delta);
+  }
+};
+
+// Full operations list for one client that is out of step (or whose preview must be undone)
+const sendOperations = (socket, roomId) => {
+  const { revision, operations } = roomManager.getRoomState(roomId);
+  socket.emit('operations-updated', { revision, operations });
+};
+
+// Password-protected rooms can only be read over HTTP with the session token of
+// someone admitted to the room (X-Session-Token header or ?session=)
+const sessionTokenOf = (req) => req.get('x-session-token') || req.query.session;
+
+const isReadable = (req, roomId, room) => {
+  if (!room.hasPassword) return true;
+  return roomManager.hasSession(roomId, sessionTokenOf(req));
+};
+
+// Everyone in a room gets its checkpoint list after it changed
+const broadcastCheckpoints = (roomId) => {
+  io.to(roomId).emit('checkpoints', { checkpoints: roomManager.listCheckpoints(roomId) });
+};
+
+// A restored checkpoint reaches everyone as the operation changes it made
+const broadcastRestore = (roomId, checkpoint, userId) => {
+  broadcastDelta(roomId);
+  io.to(roomId).emit('checkpoint-restored', { checkpoint, userId });
+};
+
+// Checkpoints are changed over HTTP on behalf of someone in the room, who must
+// send their session token; a checkpoint that doesn't exist is a 404
+const checkpointRoute = (handler) => async (req, res) => {
+  const { roomId, checkpointId } = req.params;
+  const userId = roomManager.getSessionUserId(roomId, sessionTokenOf(req));
+  if (!userId) {
+    return res.status(403).json({ error: 'Checkpoints can only be changed with the session token of someone in the room' });
+  }
+  if (checkpointId && !roomManager.listCheckpoints(roomId).some(c => c.id === checkpointId)) {
+    return res.status(404).json({ error: 'Checkpoint not found' });
+  }
+
+  try {
+    await handler(req, res, userId);
+  } catch (error) {
+    if (error instanceof ActionRejectedError) {
+      return res.status(403).json({ error: error.message });
+    }
+    logger.error('Error changing checkpoints:', error.message);
+    res.status(500).json({ error: 'Failed to change checkpoints' });
+  }
+};
+
+// ?comments=true draws the room's open comment threads as pins on an export
+const exportOptions = (req, room) => ({
+  comments: req.query.comments === 'true' ? room.comments : []
+});
 
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ 
     status: 'ok', 
     rooms: roomManager.getRoomCount(),
-    connections: io.engine.clientsCount
+    connections: io.engine.clientsCount,
+    strokes: roomManager.getStrokeStats()
   });
 });
 
+// Board export endpoints (render the room's active operations server-side)
+app.get('/rooms/:roomId/export.svg', async (req, res) => {
+  try {
+    const room = await roomManager.peekRoom(req.params.roomId);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+    if (!isReadable(req, req.params.roomId, room)) {
+      return res.status(403).json({ error: 'This room is password protected' });
+    }
+
+    res.type('image/svg+xml');
+    res.attachment(`${req.params.roomId}.svg`);
+    res.send(renderSvg(room.board, room.visibleOperations, exportOptions(req, room)));
+  } catch (error) {
+    logger.error('Error exporting SVG:', error.message);
+    res.status(500).json({ error: 'Failed to export room' });
+  }
+});
+
+app.get('/rooms/:roomId/export.png', async (req, res) => {
+  try {
+    const room = await roomManager.peekRoom(req.params.roomId);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+    if (!isReadable(req, req.params.roomId, room)) {
+      return res.status(403).json({ error: 'This room is password protected' });
+    }
+
+    // Optional ?scale= (0.1 - 4) for thumbnails or high-resolution prints
+    const scale = Math.min(4, Math.max(0.1, parseFloat(req.query.scale) || 1));
+
+    res.type('image/png');
+    res.attachment(`${req.params.roomId}.png`);
+    res.send(renderPng(room.board, room.visibleOperations, scale, exportOptions(req, room)));
+  } catch (error) {
+    logger.error('Error exporting PNG:', error.message);
+    res.status(500).json({ error: 'Failed to export room' });
+  }
+});
+
+// Board snapshot download (documented JSON format, see boardSnapshot.js)
+app.get('/rooms/:roomId/snapshot.json', async (req, res) => {
+  try {
+    const room = await roomManager.peekRoom(req.params.roomId);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+    if (!isReadable(req, req.params.roomId, room)) {
+      return res.status(403).json({ error: 'This room is password protected' });
+    }
+
+    res.attachment(`${req.params.roomId}.board.json`);
+    res.json(createBoardSnapshot(req.params.roomId, room.board, room.operations, room.comments));
+  } catch (error) {
+    logger.error('Error exporting snapshot:', error.message);
+    res.status(500).json({ error: 'Failed to export room' });
+  }
+});
+
+// Board snapshot upload: ?mode=replace (default) or ?mode=append
+app.post('/rooms/:roomId/snapshot', async (req, res) => {
+  const { roomId } = req.params;
+  const mode = req.query.mode || 'replace';
+
+  if (mode !== 'replace' && mode !== 'append') {
+    return res.status(400).json({ error: 'mode must be "replace" or "append"' });
+  }
+  // The room may not exist yet; it must be one clients can join
+  if (!isValidRoomId(roomId)) {
+    return res.status(400).json({ error: 'Room names may only contain letters, digits, "-" and "_" (at most 64)' });
+  }
+
+  try {
+    const existing = await roomManager.peekRoom(roomId);
+    if (existing && !isReadable(req, roomId, existing)) {
+      return res.status(403).json({ error: 'This room is password protected' });
+    }
+    // Once a room has an owner or anyone in it, replacing its board takes the
+    // owner (it clears everything) and appending takes someone allowed to draw
+    const permission = mode === 'replace' ? 'clear' : 'draw';
+    const claimed = existing && (existing.hasOwner || existing.userCount > 0);
+    if (claimed && !roomManager.sessionCan(roomId, sessionTokenOf(req), permission)) {
+      return res.status(403).json({ error: mode === 'replace' ? 'Only the room owner can replace the board' : 'Viewers cannot add to this board' });
+    }
+
+    const snapshot = parseBoardSnapshot(req.body);
+    await roomManager.importSnapshot(roomId, snapshot, { replace: mode === 'replace' });
+
+    // Everyone in the room gets the imported operations and comments
+    broadcastDelta(roomId);
+    io.to(roomId).emit('comments-updated', { threads: roomManager.getRoomState(roomId).comments });
+
+    logger.info(`Imported ${snapshot.operations.length} operations into room ${roomId} (${mode})`);
+    res.json({ imported: snapshot.operations.length, mode });
+  } catch (error) {
+    if (error instanceof SnapshotValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error instanceof ActionRejectedError) {
+      return res.status(409).json({ error: error.message });
+    }
+    logger.error('Error importing snapshot:', error.message);
+    res.status(500).json({ error: 'Failed to import snapshot' });
+  }
+});
+
+// Named checkpoints of a room's board
+app.get('/rooms/:roomId/checkpoints', async (req, res) => {
+  try {
+    const room = await roomManager.peekRoom(req.params.roomId);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+    if (!isReadable(req, req.params.roomId, room)) {
+      return res.status(403).json({ error: 'This room is password protected' });
+    }
+
+    res.json({ checkpoints: room.checkpoints });
+  } catch (error) {
+    logger.error('Error listing checkpoints:', error.message);
+    res.status(500).json({ error: 'Failed to list checkpoints' });
+  }
+});
+
+app.post('/rooms/:roomId/checkpoints', checkpointRoute((req, res, userId) => {
+  const { roomId } = req.params;
+  const checkpoint = roomManager.createCheckpoint(roomId, userId, req.body?.name);
+  broadcastCheckpoints(roomId);
+  res.status(201).json(checkpoint);
+}));
+
+app.post('/rooms/:roomId/checkpoints/:checkpointId/restore', checkpointRoute((req, res, userId) => {
+  const { roomId, checkpointId } = req.params;
+  const checkpoint = roomManager.restoreCheckpoint(roomId, userId, checkpointId);
+  broadcastRestore(roomId, checkpoint, userId);
+  res.json(checkpoint);
+}));
+
+app.delete('/rooms/:roomId/checkpoints/:checkpointId', checkpointRoute((req, res, userId) => {
+  const { roomId, checkpointId } = req.params;
+  roomManager.deleteCheckpoint(roomId, userId, checkpointId);
+  broadcastCheckpoints(roomId);
+  res.status(204).end();
+}));
+
 // Socket.IO connection handling
 io.on('connection', (socket) => {
   logger.info(`New connection: ${socket.id}`);
@@ -52,37 +308,132 @@ io.on('connection', (socket) => {
   let currentRoom = null;
   let currentUser = null;
 
+  // Every event is rate limited and its payload checked before a handler sees it.
+  // A refused part of an operation also rejects the operation, so the sender drops
+  // its local copy; one already under way is dropped for everyone else too, rather
+  // than kept without the part the sender still shows.
+  const rateLimiter = new SocketRateLimiter();
+  socket.use((packet, next) => {
+    const [event, data] = packet;
+    const who = currentUser ? `${currentUser.username} (${socket.id})` : socket.id;
+    const refuse = () => {
+      if (!OPERATION_EVENTS.has(event) || typeof data?.operationId !== 'string') return;
+      if (currentRoom && event !== 'draw-start') {
+        roomManager.discardOperation(currentRoom, currentUser.id, data.operationId);
+      }
+      socket.emit('operation-rejected', { operationId: data.operationId });
+    };
+
+    const { allowed, report } = rateLimiter.check(event);
+    if (!allowed) {
+      if (report === 'limited') {
+        logger.warn(`Rate limit reached by ${who} (${event}), dropping events`);
+      } else if (report === 'muted') {
+        logger.warn(`Muting ${who} for ${MUTE_DURATION_MS / 1000}s after repeated flooding`);
+        socket.emit('error', { message: 'You are sending too much too fast and have been muted for a moment' });
+      }
+      refuse();
+      return;
+    }
+
+    try {
+      packet[1] = validatePayload(event, data);
+    } catch (error) {
+      if (error instanceof PayloadValidationError) {
+        logger.warn(`Invalid ${event} from ${who}: ${error.message}`);
+        socket.emit('error', { message: `Invalid ${event} message` });
+      } else {
+        logger.error(`Error validating ${event}:`, error);
+      }
+      refuse();
+      return;
+    }
+    next();
+  });
+
   // Handle user joining a room
-  socket.on('join-room', (data) => {
+  socket.on('join-room', async (data) => {
     try {
-      const { username, room = 'default' } = data;
+      const { username, board, sessionToken } = data;
+      const room = data.room || 'default';
       
       // Leave previous room if exists
       if (currentRoom) {
         roomManager.removeUser(currentRoom, socket.id);
         socket.leave(currentRoom);
+        currentRoom = null;
+        currentUser = null;
       }
 
+      // Make sure the room (and its saved drawing) is in memory before joining.
+      // The requested board size is only used if this creates the room.
+      await roomManager.loadRoom(room, { board });
+
+      // Ban, password and invite checks; throws AccessDeniedError if the user may not enter
+      const address = clientAddress(socket);
+      const admission = await roomManager.admitUser(room, {
+        sessionToken,
+        ownerKey: data.ownerKey,
+        password: data.password,
+        invite: data.invite,
+        address
+      });
+
       // Join new room
       currentRoom = room;
       socket.join(room);
       
-      // Add user to room (this assigns the display/cursor color)
-      currentUser = roomManager.addUser(room, socket.id, username || `User${socket.id.slice(0, 4)}`);
+      // Add user to room (this assigns the display/cursor color), or resume the
+      // user the client's session token belongs to
+      const joined = roomManager.addUser(room, socket.id, username || `User${socket.id.slice(0, 4)}`, {
+        sessionToken,
+        role: admission.role,
+        muted: admission.muted,
+        address
+      });
+      currentUser = joined.user;
+
+      // The user's old connection hasn't timed out yet; it is replaced by this one
+      if (joined.replacedConnectionId) {
+        io.sockets.sockets.get(joined.replacedConnectionId)?.disconnect(true);
+      }
       
-      // Send current state to joining user
+      // Send current state to joining user, with the token that resumes this user
+      // and the strokes it still has in progress
       const roomState = roomManager.getRoomState(room);
       socket.emit('room-state', {
         user: currentUser,
+        sessionToken: joined.sessionToken,
+        ownerKey: admission.ownerKey,
+        unfinishedOperations: roomManager.getUnfinishedOperations(room, currentUser.id),
+        board: roomState.board,
+        layers: roomState.layers,
+        revision: roomState.revision,
         operations: roomState.operations,
-        users: roomState.users
+        users: roomState.users,
+        chat: roomState.chat,
+        comments: roomState.comments,
+        checkpoints: roomState.checkpoints
       });
 
+      if (currentUser.role === 'owner') {
+        socket.emit('room-access', roomManager.getAccessSettings(room));
+        socket.emit('moderation', roomManager.getModeration(room));
+      }
+
       // Notify others in room (they'll get the user's assigned color via user object / cursor events)
-      socket.to(room).emit('user-joined', currentUser);
+      if (!joined.replacedConnectionId) {
+        socket.to(room).emit('user-joined', currentUser);
+      }
       
-      logger.info(`User ${currentUser.username} joined room ${room}`);
+      logger.info(`User ${currentUser.username} ${joined.resumed ? 'rejoined' : 'joined'} room ${room}`);
     } catch (error) {
+      // Tell the client what it needs (a password, a fresh invite) to try again
+      if (error instanceof AccessDeniedError) {
+        logger.info(`Join of room ${data.room || 'default'} refused (${error.reason})`);
+        socket.emit('join-rejected', { reason: error.reason, message: error.message });
+        return;
+      }
       logger.error('Error joining room:', error);
       socket.emit('error', { message: 'Failed to join room' });
     }
@@ -93,28 +444,52 @@ io.on('connection', (socket) => {
     try {
       if (!currentRoom) return;
 
-      // Start operation (uses data.color which is the drawer's chosen drawing color)
-      const operation = roomManager.startOperation(currentRoom, socket.id, data);
-      
-      // Send operation ID back to the sender so they can use it
-      socket.emit('operation-started', {
-        operationId: operation.operationId
-      });
+      // Start operation under the id the client chose (uses data.color, the drawer's chosen drawing color)
+      const operation = roomManager.startOperation(currentRoom, currentUser.id, data);
       
       // Broadcast to others: important — use data.color (the user's chosen drawing color) for strokes,
       // not the user's assigned display/cursor color.
       socket.to(currentRoom).emit('remote-draw-start', {
-        userId: socket.id,
+        userId: currentUser.id,
         username: currentUser.username,
         color: data.color,
         width: data.width,
         tool: data.tool,
+        layerId: operation.layerId,
         operationId: operation.operationId,
         x: data.x,
-        y: data.y
+        y: data.y,
+        p: operation.p,
+        tx: operation.tx,
+        ty: operation.ty,
+        text: operation.text,
+        fontSize: operation.fontSize,
+        replaces: operation.replaces,
+        mask: operation.mask,
+        fillColor: operation.fillColor,
+        stroke: operation.stroke
       });
     } catch (error) {
-      logger.error('Error in draw-start:', error);
+      // The sender is already drawing it locally; tell it to drop the operation
+      rejectOperation(socket, 'draw-start', data, error);
+    }
+  });
+
+  // Handle live text typing (full content each time, so late joiners of the edit stay in sync)
+  socket.on('text-update', (data) => {
+    try {
+      if (!currentRoom) return;
+
+      const text = roomManager.updateText(currentRoom, currentUser.id, data.operationId, data.text);
+      if (text === null) return;
+
+      socket.to(currentRoom).emit('remote-text-update', {
+        userId: currentUser.id,
+        operationId: data.operationId,
+        text
+      });
+    } catch (error) {
+      rejectOperation(socket, 'text-update', data, error);
     }
   });
 
@@ -123,14 +498,16 @@ io.on('connection', (socket) => {
     try {
       if (!currentRoom) return;
 
-      roomManager.addPoints(currentRoom, data.operationId, data.points);
+      const points = roomManager.addPoints(currentRoom, currentUser.id, data.operationId, data.points);
       socket.to(currentRoom).emit('remote-draw-move', {
-        userId: socket.id,
+        userId: currentUser.id,
         operationId: data.operationId,
-        points: data.points
+        points
       });
+      // Points arriving after the stroke was finished change a committed operation
+      broadcastDelta(currentRoom);
     } catch (error) {
-      logger.error('Error in draw-move:', error);
+      rejectOperation(socket, 'draw-move', data, error);
     }
   });
 
@@ -139,55 +516,373 @@ io.on('connection', (socket) => {
     try {
       if (!currentRoom) return;
 
-      roomManager.endOperation(currentRoom, data.operationId);
+      roomManager.endOperation(currentRoom, currentUser.id, data.operationId);
       socket.to(currentRoom).emit('remote-draw-end', {
-        userId: socket.id,
+        userId: currentUser.id,
         operationId: data.operationId
       });
 
-      // After finalizing an operation, broadcast updated operations to all clients in the room
-      // so their authoritative canvas state stays consistent.
-      const roomState = roomManager.getRoomState(currentRoom);
-      io.to(currentRoom).emit('operations-updated', {
-        operations: roomState.operations
-      });
+      // Everyone gets the committed operation (simplified, and in its final drawing order)
+      broadcastDelta(currentRoom);
+    } catch (error) {
+      rejectOperation(socket, 'draw-end', data, error);
+    }
+  });
+
+  // Handle moving/scaling selected operations (select tool)
+  socket.on('transform-operations', (data) => {
+    try {
+      if (!currentRoom || !Array.isArray(data?.changes)) return;
+
+      const replacements = roomManager.transformOperations(currentRoom, currentUser.id, data.transform, data.changes.slice(0, 1000));
+      if (replacements.length === 0) {
+        // Nothing could be moved (e.g. the layer was locked meanwhile): undo the sender's preview
+        sendOperations(socket, currentRoom);
+        return;
+      }
+
+      // Let the sender keep its selection on the new operation ids
+      socket.emit('operations-transformed', { replacements });
+      broadcastDelta(currentRoom);
+    } catch (error) {
+      // Put back what the sender's preview moved
+      if (error instanceof ActionRejectedError) {
+        sendOperations(socket, currentRoom);
+      }
+      reportError(socket, 'transform-operations', error);
+    }
+  });
+
+  // Handle deleting selected operations (select tool)
+  socket.on('delete-operations', (data) => {
+    try {
+      if (!currentRoom || !Array.isArray(data?.operationIds)) return;
+
+      const deleted = roomManager.deleteOperations(currentRoom, currentUser.id, data.operationIds.slice(0, 1000));
+      if (!deleted) {
+        sendOperations(socket, currentRoom);
+        return;
+      }
+
+      broadcastDelta(currentRoom);
     } catch (error) {
-      logger.error('Error in draw-end:', error);
+      if (error instanceof ActionRejectedError) {
+        sendOperations(socket, currentRoom);
+      }
+      reportError(socket, 'delete-operations', error);
     }
   });
 
-  // Handle undo
+  // Handle undo (only the requesting user's own operations)
   socket.on('undo', () => {
     try {
       if (!currentRoom) return;
 
-      const undoneOperation = roomManager.undo(currentRoom);
-      if (undoneOperation) {
-        // Broadcast authoritative operations list to all clients in room
-        const roomState = roomManager.getRoomState(currentRoom);
-        io.to(currentRoom).emit('operations-updated', {
-          operations: roomState.operations
-        });
-      }
+      roomManager.undo(currentRoom, currentUser.id);
+      broadcastDelta(currentRoom);
     } catch (error) {
-      logger.error('Error in undo:', error);
+      reportError(socket, 'undo', error);
     }
   });
 
-  // Handle redo
+  // Handle redo (only the requesting user's own operations)
   socket.on('redo', () => {
     try {
       if (!currentRoom) return;
 
-      const redoneOperation = roomManager.redo(currentRoom);
-      if (redoneOperation) {
-        const roomState = roomManager.getRoomState(currentRoom);
-        io.to(currentRoom).emit('operations-updated', {
-          operations: roomState.operations
-        });
+      roomManager.redo(currentRoom, currentUser.id);
+      broadcastDelta(currentRoom);
+    } catch (error) {
+      reportError(socket, 'redo', error);
+    }
+  });
+
+  // Layer changes are shared by the whole room
+  const broadcastLayers = (extra = {}) => {
+    const roomState = roomManager.getRoomState(currentRoom);
+    io.to(currentRoom).emit('layers-updated', {
+      layers: roomState.layers,
+      userId: currentUser.id,
+      ...extra
+    });
+  };
+
+  // Handle adding a layer (placed on top)
+  socket.on('layer-add', (data) => {
+    try {
+      if (!currentRoom) return;
+
+      const layer = roomManager.addLayer(currentRoom, currentUser.id, data?.name);
+      if (layer) {
+        broadcastLayers({ addedLayerId: layer.id });
       }
     } catch (error) {
-      logger.error('Error in redo:', error);
+      reportError(socket, 'layer-add', error);
+    }
+  });
+
+  // Handle renaming, hiding/showing and locking/unlocking a layer
+  socket.on('layer-update', (data) => {
+    try {
+      if (!currentRoom || !data?.layerId) return;
+
+      const layer = roomManager.updateLayer(currentRoom, currentUser.id, data.layerId, {
+        name: data.name,
+        visible: data.visible,
+        locked: data.locked
+      });
+      if (layer) {
+        broadcastLayers();
+      }
+    } catch (error) {
+      reportError(socket, 'layer-update', error);
+    }
+  });
+
+  // Handle reordering layers (full bottom-to-top list of layer ids)
+  socket.on('layer-reorder', (data) => {
+    try {
+      if (!currentRoom) return;
+
+      if (roomManager.reorderLayers(currentRoom, currentUser.id, data?.layerIds)) {
+        broadcastLayers();
+      }
+    } catch (error) {
+      reportError(socket, 'layer-reorder', error);
+    }
+  });
+
+  // Room access settings (owner only): join password and invite links
+  socket.on('room-password', async (data) => {
+    try {
+      if (!currentRoom) return;
+
+      await roomManager.setRoomPassword(currentRoom, currentUser.id, data.password);
+      socket.emit('room-access', roomManager.getAccessSettings(currentRoom));
+    } catch (error) {
+      reportError(socket, 'room-password', error);
+    }
+  });
+
+  socket.on('invite-create', (data) => {
+    try {
+      if (!currentRoom) return;
+
+      const invite = roomManager.createInvite(currentRoom, currentUser.id, {
+        expiresInMs: data.expiresIn,
+        maxUses: data.maxUses
+      });
+      socket.emit('room-access', { ...roomManager.getAccessSettings(currentRoom), createdInviteId: invite.id });
+    } catch (error) {
+      reportError(socket, 'invite-create', error);
+    }
+  });
+
+  socket.on('invite-revoke', (data) => {
+    try {
+      if (!currentRoom) return;
+
+      roomManager.revokeInvite(currentRoom, currentUser.id, data.inviteId);
+      socket.emit('room-access', roomManager.getAccessSettings(currentRoom));
+    } catch (error) {
+      reportError(socket, 'invite-revoke', error);
+    }
+  });
+
+  // Make another user an editor or a viewer (owner only); everyone sees the change
+  socket.on('user-role', (data) => {
+    try {
+      if (!currentRoom) return;
+
+      const user = roomManager.setUserRole(currentRoom, currentUser.id, data.userId, data.role);
+      if (user) {
+        io.to(currentRoom).emit('user-updated', user);
+      }
+    } catch (error) {
+      reportError(socket, 'user-role', error);
+    }
+  });
+
+  // Moderation (owner only). Someone kicked or banned is told why and
+  // disconnected, and everyone else sees them leave. The owner gets the updated
+  // bans and log after every action.
+  const removeFromRoom = (removed, notice) => {
+    const target = io.sockets.sockets.get(removed.connectionId);
+    if (target) {
+      target.emit('moderated', notice);
+      target.disconnect(true);
+    }
+    io.to(currentRoom).emit('user-left', {
+      userId: removed.user.id,
+      username: removed.user.username
+    });
+    socket.emit('moderation', roomManager.getModeration(currentRoom));
+  };
+
+  socket.on('user-kick', (data) => {
+    try {
+      if (!currentRoom) return;
+
+      const removed = roomManager.kickUser(currentRoom, currentUser.id, data.userId);
+      if (removed) {
+        removeFromRoom(removed, { action: 'kick', message: 'The room owner removed you from the room' });
+      }
+    } catch (error) {
+      reportError(socket, 'user-kick', error);
+    }
+  });
+
+  socket.on('user-ban', (data) => {
+    try {
+      if (!currentRoom) return;
+
+      const removed = roomManager.kickUser(currentRoom, currentUser.id, data.userId, { banForMs: data.duration });
+      if (removed) {
+        removeFromRoom(removed, { action: 'ban', until: removed.until, message: banMessage(removed.until) });
+      }
+    } catch (error) {
+      reportError(socket, 'user-ban', error);
+    }
+  });
+
+  // A muted user keeps watching but can't draw or edit; everyone sees the change
+  socket.on('user-mute', (data) => {
+    try {
+      if (!currentRoom) return;
+
+      const user = roomManager.setUserMuted(currentRoom, currentUser.id, data.userId, data.muted);
+      if (user) {
+        io.to(currentRoom).emit('user-updated', user);
+        socket.emit('moderation', roomManager.getModeration(currentRoom));
+      }
+    } catch (error) {
+      reportError(socket, 'user-mute', error);
+    }
+  });
+
+  socket.on('ban-lift', (data) => {
+    try {
+      if (!currentRoom) return;
+
+      roomManager.liftBan(currentRoom, currentUser.id, data.banId);
+      socket.emit('moderation', roomManager.getModeration(currentRoom));
+    } catch (error) {
+      reportError(socket, 'ban-lift', error);
+    }
+  });
+
+  // Chat: everyone in the room (the sender too) gets the message with its id and time
+  socket.on('chat-message', (data) => {
+    try {
+      if (!currentRoom) return;
+
+      const message = roomManager.addChatMessage(currentRoom, currentUser.id, data.text);
+      if (message) {
+        io.to(currentRoom).emit('chat-message', message);
+      }
+    } catch (error) {
+      reportError(socket, 'chat-message', error);
+    }
+  });
+
+  // Comment threads: everyone in the room gets each changed thread in full
+  socket.on('comment-create', (data) => {
+    try {
+      if (!currentRoom) return;
+
+      const thread = roomManager.addCommentThread(currentRoom, currentUser.id, data);
+      if (thread) {
+        io.to(currentRoom).emit('comment-thread', thread);
+      }
+    } catch (error) {
+      reportError(socket, 'comment-create', error);
+    }
+  });
+
+  socket.on('comment-reply', (data) => {
+    try {
+      if (!currentRoom) return;
+
+      const thread = roomManager.replyToComment(currentRoom, currentUser.id, data.threadId, data.text);
+      if (thread) {
+        io.to(currentRoom).emit('comment-thread', thread);
+      }
+    } catch (error) {
+      reportError(socket, 'comment-reply', error);
+    }
+  });
+
+  socket.on('comment-resolve', (data) => {
+    try {
+      if (!currentRoom) return;
+
+      const thread = roomManager.resolveCommentThread(currentRoom, currentUser.id, data.threadId, data.resolved);
+      if (thread) {
+        io.to(currentRoom).emit('comment-thread', thread);
+      }
+    } catch (error) {
+      reportError(socket, 'comment-resolve', error);
+    }
+  });
+
+  socket.on('comment-delete', (data) => {
+    try {
+      if (!currentRoom) return;
+
+      if (roomManager.deleteCommentThread(currentRoom, currentUser.id, data.threadId)) {
+        io.to(currentRoom).emit('comment-thread-deleted', { threadId: data.threadId });
+      }
+    } catch (error) {
+      reportError(socket, 'comment-delete', error);
+    }
+  });
+
+  // Checkpoints: named versions of the board. Restoring one is an undoable
+  // change that everyone receives as an operations-delta.
+  socket.on('checkpoint-create', (data) => {
+    try {
+      if (!currentRoom) return;
+
+      if (roomManager.createCheckpoint(currentRoom, currentUser.id, data.name)) {
+        broadcastCheckpoints(currentRoom);
+      }
+    } catch (error) {
+      reportError(socket, 'checkpoint-create', error);
+    }
+  });
+
+  socket.on('checkpoint-restore', (data) => {
+    try {
+      if (!currentRoom) return;
+
+      const checkpoint = roomManager.restoreCheckpoint(currentRoom, currentUser.id, data.checkpointId);
+      if (checkpoint) {
+        broadcastRestore(currentRoom, checkpoint, currentUser.id);
+      }
+    } catch (error) {
+      reportError(socket, 'checkpoint-restore', error);
+    }
+  });
+
+  socket.on('checkpoint-delete', (data) => {
+    try {
+      if (!currentRoom) return;
+
+      if (roomManager.deleteCheckpoint(currentRoom, currentUser.id, data.checkpointId)) {
+        broadcastCheckpoints(currentRoom);
+      }
+    } catch (error) {
+      reportError(socket, 'checkpoint-delete', error);
+    }
+  });
+
+  socket.on('request-checkpoints', () => {
+    try {
+      if (!currentRoom) return;
+
+      socket.emit('checkpoints', { checkpoints: roomManager.listCheckpoints(currentRoom) });
+    } catch (error) {
+      logger.error('Error in request-checkpoints:', error);
     }
   });
 
@@ -198,7 +893,7 @@ io.on('connection', (socket) => {
 
       // Broadcast cursor using the user's assigned display color (from roomManager)
       socket.to(currentRoom).emit('remote-cursor', {
-        userId: socket.id,
+        userId: currentUser.id,
         username: currentUser.username,
         color: currentUser.color,
         x: data.x,
@@ -214,28 +909,54 @@ io.on('connection', (socket) => {
     try {
       if (!currentRoom) return;
 
-      roomManager.clearCanvas(currentRoom);
+      roomManager.clearCanvas(currentRoom, currentUser.id);
 
       // Broadcast cleared canvas and updated operations list
       io.to(currentRoom).emit('canvas-cleared', {
-        userId: socket.id
+        userId: currentUser.id
       });
 
-      io.to(currentRoom).emit('operations-updated', {
-        operations: []
-      });
+      // Removes everything except operations on locked layers
+      broadcastDelta(currentRoom);
     } catch (error) {
-      logger.error('Error in clear-canvas:', error);
+      reportError(socket, 'clear-canvas', error);
+    }
+  });
+
+  // A client that missed a delta asks for the whole list again
+  socket.on('request-sync', () => {
+    try {
+      if (!currentRoom) return;
+
+      sendOperations(socket, currentRoom);
+    } catch (error) {
+      logger.error('Error in request-sync:', error);
+    }
+  });
+
+  // Time-lapse replay: only the asking client gets the history, and plays it
+  // back locally without touching the room
+  socket.on('request-replay', () => {
+    try {
+      if (!currentRoom) return;
+
+      const history = roomManager.getReplayHistory(currentRoom);
+      if (history) {
+        socket.emit('replay-history', history);
+      }
+    } catch (error) {
+      logger.error('Error in request-replay:', error);
     }
   });
 
   // Handle disconnection
   socket.on('disconnect', () => {
     try {
-      if (currentRoom && currentUser) {
-        roomManager.removeUser(currentRoom, socket.id);
+      // Nothing to announce if the user already resumed on a new connection.
+      // Unfinished strokes are kept until the session expires.
+      if (currentRoom && currentUser && roomManager.removeUser(currentRoom, socket.id)) {
         socket.to(currentRoom).emit('user-left', {
-          userId: socket.id,
+          userId: currentUser.id,
           username: currentUser.username
         });
         logger.info(`User ${currentUser.username} left room ${currentRoom}`);
@@ -252,3 +973,17 @@ httpServer.listen(PORT, () => {
   logger.info(`Server running on port ${PORT}`);
   logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
 });
+
+// Flush rooms to storage before exiting
+const shutdown = async (signal) => {
+  logger.info(`Received ${signal}, saving rooms...`);
+  try {
+    await roomManager.flushAll();
+  } catch (error) {
+    logger.error('Error saving rooms on shutdown:', error);
+  }
+  process.exit(0);
+};
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
@@ -0,0 +1,248 @@
+// Shapes of the payloads clients may send over the socket, checked before any
+// handler runs. A schema is a function (value, path) that returns the value to
+// hand on, keeping only the fields it knows, or throws PayloadValidationError.
+//
+// Limits keep every message small: a long stroke arrives as several draw-move
+// batches, and selections are capped at what the handlers would take anyway.
+// Finer rules (pressure ranges, fill masks, layer names) stay with the code that
+// applies them; this only guarantees types and sizes.
+
+import { normalizeFillMask } from './fillMask.js';
+import { MAX_PASSWORD_LENGTH, MAX_INVITE_LIFETIME_MS, MAX_INVITE_USES } from './roomAccess.js';
+import { MIN_BAN_DURATION_MS, MAX_BAN_DURATION_MS } from './roomModeration.js';
+import { MAX_CHAT_LENGTH } from './chat.js';
+import { MAX_COMMENT_LENGTH } from './commentThreads.js';
+import { MAX_CHECKPOINT_NAME_LENGTH } from './roomCheckpoints.js';
+
+const MAX_POINTS_PER_MESSAGE = 1000;
+const MAX_SELECTION = 1000;
+const MAX_LAYER_IDS = 100;
+const MAX_ID_LENGTH = 100;
+const MAX_COORDINATE = 1e6;
+const MAX_WIDTH = 200;
+
+const TOOLS = [
+  'brush', 'eraser', 'line', 'rect', 'circle', 'ellipse', 'roundrect', 'triangle',
+  'star', 'polygon', 'arrow', 'double-arrow', 'text', 'fill'
+];
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+const ROOM_PATTERN = /^[a-zA-Z0-9_-]*$/;
+const MAX_ROOM_ID_LENGTH = 64;
+
+// Room names clients can join, for routes that name a room too
+export const isValidRoomId = (roomId) =>
+  typeof roomId === 'string' && roomId.length <= MAX_ROOM_ID_LENGTH && ROOM_PATTERN.test(roomId);
+
+export class PayloadValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PayloadValidationError';
+  }
+}
+
+function fail(path, message) {
+  throw new PayloadValidationError(`${path} ${message}`);
+}
+
+// Missing and null are the same thing to every handler
+const optional = (schema) => (value, path) => (value == null ? undefined : schema(value, path));
+
+const string = ({ max, pattern } = {}) => (value, path) => {
+  if (typeof value !== 'string') fail(path, 'must be a string');
+  if (max !== undefined && value.length > max) fail(path, `must be at most ${max} characters`);
+  if (pattern && !pattern.test(value)) fail(path, 'has an invalid format');
+  return value;
+};
+
+const number = ({ min = -MAX_COORDINATE, max = MAX_COORDINATE } = {}) => (value, path) => {
+  if (!Number.isFinite(value) || value < min || value > max) fail(path, `must be a number from ${min} to ${max}`);
+  return value;
+};
+
+const boolean = () => (value, path) => {
+  if (typeof value !== 'boolean') fail(path, 'must be true or false');
+  return value;
+};
+
+const oneOf = (values) => (value, path) => {
+  if (!values.includes(value)) fail(path, `must be one of ${values.join(', ')}`);
+  return value;
+};
+
+const array = (item, { max, min = 0 }) => (value, path) => {
+  if (!Array.isArray(value)) fail(path, 'must be an array');
+  if (value.length < min || value.length > max) fail(path, `must have ${min} to ${max} items`);
+  return value.map((entry, i) => item(entry, `${path}[${i}]`));
+};
+
+const object = (fields) => (value, path) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) fail(path, 'must be an object');
+  const result = {};
+  Object.entries(fields).forEach(([key, schema]) => {
+    const field = schema(value[key], `${path}.${key}`);
+    if (field !== undefined) result[key] = field;
+  });
+  return result;
+};
+
+// Events that carry nothing: whatever was sent is ignored
+const none = () => () => undefined;
+
+const operationId = string({ max: MAX_ID_LENGTH });
+
+const point = object({
+  x: number(),
+  y: number(),
+  p: optional(number()),
+  tx: optional(number()),
+  ty: optional(number())
+});
+
+const fillMask = () => (value, path) => normalizeFillMask(value) || fail(path, 'is not a valid fill mask');
+
+const SCHEMAS = {
+  'join-room': object({
+    username: optional(string({ max: 20 })),
+    room: optional(string({ max: MAX_ROOM_ID_LENGTH, pattern: ROOM_PATTERN })),
+    board: optional(object({
+      width: optional(number()),
+      height: optional(number())
+    })),
+    sessionToken: optional(string({ max: 64 })),
+    ownerKey: optional(string({ max: 64 })),
+    password: optional(string({ max: MAX_PASSWORD_LENGTH })),
+    invite: optional(string({ max: 512 }))
+  }),
+  'draw-start': object({
+    operationId,
+    x: number(),
+    y: number(),
+    p: optional(number()),
+    tx: optional(number()),
+    ty: optional(number()),
+    color: string({ pattern: COLOR_PATTERN }),
+    width: number({ min: 0.1, max: MAX_WIDTH }),
+    tool: oneOf(TOOLS),
+    layerId: optional(string({ max: MAX_ID_LENGTH })),
+    text: optional(string({ max: 1000 })),
+    fontSize: optional(number()),
+    replaces: optional(operationId),
+    mask: optional(fillMask()),
+    fillColor: optional(string({ pattern: COLOR_PATTERN })),
+    stroke: optional(boolean())
+  }),
+  'draw-move': object({
+    operationId,
+    points: array(point, { max: MAX_POINTS_PER_MESSAGE })
+  }),
+  'text-update': object({
+    operationId,
+    text: string({ max: 1000 })
+  }),
+  'draw-end': object({ operationId }),
+  'transform-operations': object({
+    transform: object({
+      scaleX: number(),
+      scaleY: number(),
+      translateX: number(),
+      translateY: number()
+    }),
+    changes: array(object({
+      id: operationId,
+      points: optional(array(point, { min: 1, max: 1 })),
+      fontSize: optional(number())
+    }), { max: MAX_SELECTION })
+  }),
+  'delete-operations': object({
+    operationIds: array(operationId, { max: MAX_SELECTION })
+  }),
+  'layer-add': optional(object({
+    name: optional(string({ max: 100 }))
+  })),
+  'layer-update': object({
+    layerId: string({ max: MAX_ID_LENGTH }),
+    name: optional(string({ max: 100 })),
+    visible: optional(boolean()),
+    locked: optional(boolean())
+  }),
+  'layer-reorder': object({
+    layerIds: array(string({ max: MAX_ID_LENGTH }), { max: MAX_LAYER_IDS })
+  }),
+  'room-password': object({
+    password: optional(string({ max: MAX_PASSWORD_LENGTH }))
+  }),
+  'invite-create': object({
+    expiresIn: number({ min: 60 * 1000, max: MAX_INVITE_LIFETIME_MS }),
+    maxUses: optional(number({ min: 1, max: MAX_INVITE_USES }))
+  }),
+  'invite-revoke': object({
+    inviteId: string({ max: 64 })
+  }),
+  'user-role': object({
+    userId: string({ max: MAX_ID_LENGTH }),
+    role: oneOf(['editor', 'viewer'])
+  }),
+  'user-kick': object({
+    userId: string({ max: MAX_ID_LENGTH })
+  }),
+  'user-ban': object({
+    userId: string({ max: MAX_ID_LENGTH }),
+    duration: number({ min: MIN_BAN_DURATION_MS, max: MAX_BAN_DURATION_MS })
+  }),
+  'user-mute': object({
+    userId: string({ max: MAX_ID_LENGTH }),
+    muted: boolean()
+  }),
+  'ban-lift': object({
+    banId: string({ max: 64 })
+  }),
+  'chat-message': object({
+    text: string({ max: MAX_CHAT_LENGTH })
+  }),
+  'comment-create': object({
+    threadId: string({ max: MAX_ID_LENGTH }),
+    x: number(),
+    y: number(),
+    text: string({ max: MAX_COMMENT_LENGTH })
+  }),
+  'comment-reply': object({
+    threadId: string({ max: MAX_ID_LENGTH }),
+    text: string({ max: MAX_COMMENT_LENGTH })
+  }),
+  'comment-resolve': object({
+    threadId: string({ max: MAX_ID_LENGTH }),
+    resolved: boolean()
+  }),
+  'comment-delete': object({
+    threadId: string({ max: MAX_ID_LENGTH })
+  }),
+  'checkpoint-create': object({
+    name: string({ max: MAX_CHECKPOINT_NAME_LENGTH })
+  }),
+  'checkpoint-restore': object({
+    checkpointId: string({ max: MAX_ID_LENGTH })
+  }),
+  'checkpoint-delete': object({
+    checkpointId: string({ max: MAX_ID_LENGTH })
+  }),
+  'cursor-move': object({
+    x: number(),
+    y: number()
+  }),
+  'undo': none(),
+  'redo': none(),
+  'clear-canvas': none(),
+  'request-sync': none(),
+  'request-replay': none(),
+  'request-checkpoints': none()
+};
+
+// The checked payload of an inbound event. Throws PayloadValidationError for
+// unknown events and malformed payloads.
+export function validatePayload(event, data) {
+  const schema = SCHEMAS[event];
+  if (!schema) {
+    throw new PayloadValidationError(`Unknown event "${event}"`);
+  }
+  return schema(data, event);
+}
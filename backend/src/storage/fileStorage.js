@@ -0,0 +1,54 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+
+// Stores each room as a JSON file inside a data directory.
+// Writes go to a temp file first and are then renamed, so a crash mid-write
+// never leaves a half-written room behind.
+class FileStorage {
+  constructor(dataDir) {
+    this.dataDir = dataDir;
+    this.ready = null;
+  }
+
+  async ensureDir() {
+    if (!this.ready) {
+      this.ready = fs.mkdir(this.dataDir, { recursive: true });
+    }
+    return this.ready;
+  }
+
+  // Room names come from clients, so never use them as raw path segments
+  getFilePath(roomId) {
+    return path.join(this.dataDir, `${encodeURIComponent(roomId)}.json`);
+  }
+
+  async load(roomId) {
+    try {
+      const raw = await fs.readFile(this.getFilePath(roomId), 'utf8');
+      return JSON.parse(raw);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      logger.error(`Failed to load room ${roomId} from disk:`, error.message);
+      throw error;
+    }
+  }
+
+  async save(roomId, data) {
+    await this.ensureDir();
+    const filePath = this.getFilePath(roomId);
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(data), 'utf8');
+    await fs.rename(tmpPath, filePath);
+  }
+
+  async delete(roomId) {
+    try {
+      await fs.unlink(this.getFilePath(roomId));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+}
+
+export default FileStorage;
@@ -0,0 +1,29 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import FileStorage from './fileStorage.js';
+import MemoryStorage from './memoryStorage.js';
+import { logger } from '../utils/logger.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Storage backends share a tiny async interface:
+//   load(roomId) -> snapshot | null
+//   save(roomId, snapshot)
+//   delete(roomId)
+// Pick one with STORAGE_DRIVER ("file" by default, or "memory").
+export function createStorage(driver = process.env.STORAGE_DRIVER || 'file') {
+  switch (driver) {
+    case 'memory':
+      logger.info('Using in-memory room storage');
+      return new MemoryStorage();
+    case 'file': {
+      const dataDir = path.resolve(__dirname, '../..', process.env.DATA_DIR || 'data');
+      logger.info(`Using file room storage at ${dataDir}`);
+      return new FileStorage(dataDir);
+    }
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+}
+
+export { FileStorage, MemoryStorage };
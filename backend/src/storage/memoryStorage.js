@@ -0,0 +1,22 @@
+// Keeps room snapshots in process memory. Useful for local development and
+// for running without a writable disk; nothing survives a restart.
+class MemoryStorage {
+  constructor() {
+    this.rooms = new Map(); // roomId -> serialized snapshot
+  }
+
+  async load(roomId) {
+    const raw = this.rooms.get(roomId);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async save(roomId, data) {
+    this.rooms.set(roomId, JSON.stringify(data));
+  }
+
+  async delete(roomId) {
+    this.rooms.delete(roomId);
+  }
+}
+
+export default MemoryStorage;
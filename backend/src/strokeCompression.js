@@ -0,0 +1,146 @@
+// Finished freehand strokes are simplified and kept in a compact form.
+//
+// Simplification (Ramer–Douglas–Peucker) drops points that lie within a
+// tolerance of the line through the points kept around them. The tolerance
+// grows with the stroke width, since thick strokes hide small wobbles anyway.
+// Points where the pen pressure changes noticeably are always kept.
+//
+// Packed form, used for storage and for operation lists sent to clients:
+// { "fields": "xy" | "xyp" | "xypt", "data": [...] }, where data holds one group
+// of integers per point (x, y, then pressure p, then tilt tx/ty), each delta
+// encoded against the same field of the previous point. Coordinates are in
+// tenths of a board unit, pressure in hundredths and tilt in whole degrees.
+
+const SIMPLIFY_TOLERANCE = 0.1; // fraction of the stroke width
+const MIN_SIMPLIFY_TOLERANCE = 0.25; // board units
+const PRESSURE_TOLERANCE = 0.1;
+
+const PACKED_TYPES = new Set(['brush', 'eraser']);
+const FIELD_SCALES = { x: 10, y: 10, p: 100, tx: 1, ty: 1 };
+
+export const isPackedType = (type) => PACKED_TYPES.has(type);
+
+// Distance from p to the segment a-b
+function distanceToSegment(p, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSq = dx * dx + dy * dy;
+  if (lengthSq === 0) return Math.hypot(p.x - a.x, p.y - a.y);
+  const t = Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq));
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+}
+
+// How far p's pressure is from the pressure interpolated between a and b
+function pressureError(p, a, b, t) {
+  if (!Number.isFinite(p.p)) return 0;
+  const expected = (a.p ?? 1) + ((b.p ?? 1) - (a.p ?? 1)) * t;
+  return Math.abs(p.p - expected);
+}
+
+// Snap a point to the packed precision so packing it loses nothing
+function roundPoint(point) {
+  const rounded = {};
+  Object.keys(FIELD_SCALES).forEach(field => {
+    if (Number.isFinite(point[field])) {
+      rounded[field] = Math.round(point[field] * FIELD_SCALES[field]) / FIELD_SCALES[field];
+    }
+  });
+  return rounded;
+}
+
+// Simplified copy of a stroke's points (first and last points are always kept)
+export function simplifyStroke(points, width) {
+  if (points.length <= 2) return points.map(roundPoint);
+
+  const tolerance = Math.max(MIN_SIMPLIFY_TOLERANCE, (Number(width) || 0) * SIMPLIFY_TOLERANCE);
+  const keep = new Uint8Array(points.length);
+  keep[0] = 1;
+  keep[points.length - 1] = 1;
+
+  // Iterative so very long strokes can't overflow the stack
+  const ranges = [[0, points.length - 1]];
+  while (ranges.length > 0) {
+    const [start, end] = ranges.pop();
+    const a = points[start];
+    const b = points[end];
+    // Split at the point that is furthest outside either tolerance
+    let farthest = -1;
+    let worst = 1;
+
+    for (let i = start + 1; i < end; i++) {
+      const t = (i - start) / (end - start);
+      const error = Math.max(
+        distanceToSegment(points[i], a, b) / tolerance,
+        pressureError(points[i], a, b, t) / PRESSURE_TOLERANCE
+      );
+      if (error > worst) {
+        farthest = i;
+        worst = error;
+      }
+    }
+
+    if (farthest !== -1) {
+      keep[farthest] = 1;
+      ranges.push([start, farthest], [farthest, end]);
+    }
+  }
+
+  return points.filter((_, i) => keep[i]).map(roundPoint);
+}
+
+// Compact form of a list of points
+export function packPoints(points) {
+  const hasPressure = points.some(p => Number.isFinite(p.p));
+  const hasTilt = points.some(p => Number.isFinite(p.tx));
+  const fields = ['x', 'y'];
+  if (hasPressure) fields.push('p');
+  if (hasTilt) fields.push('tx', 'ty');
+
+  // Points without pressure draw at full width; points without tilt are upright
+  const defaults = { p: 1, tx: 0, ty: 0 };
+  const previous = {};
+  const data = [];
+  points.forEach(point => {
+    fields.forEach(field => {
+      const value = Math.round((point[field] ?? defaults[field]) * FIELD_SCALES[field]);
+      data.push(value - (previous[field] ?? 0));
+      previous[field] = value;
+    });
+  });
+
+  return { fields: hasTilt ? 'xypt' : hasPressure ? 'xyp' : 'xy', data };
+}
+
+// Points back from their packed form, or null if it is malformed
+export function unpackPoints(packed) {
+  const fieldSets = { xy: ['x', 'y'], xyp: ['x', 'y', 'p'], xypt: ['x', 'y', 'p', 'tx', 'ty'] };
+  const fields = fieldSets[packed?.fields];
+  if (!fields || !Array.isArray(packed.data) || packed.data.length % fields.length !== 0) return null;
+  if (!packed.data.every(Number.isInteger)) return null;
+
+  const totals = {};
+  const points = [];
+  for (let i = 0; i < packed.data.length; i += fields.length) {
+    const point = {};
+    fields.forEach((field, j) => {
+      totals[field] = (totals[field] ?? 0) + packed.data[i + j];
+      point[field] = totals[field] / FIELD_SCALES[field];
+    });
+    points.push(point);
+  }
+  return points;
+}
+
+// Copy of an operation with its freehand points packed
+export function packOperation(operation) {
+  if (!isPackedType(operation.type) || !Array.isArray(operation.points)) return operation;
+  const { points, ...rest } = operation;
+  return { ...rest, packedPoints: packPoints(points) };
+}
+
+// Copy of an operation with packed points expanded again (unchanged if not packed)
+export function unpackOperation(operation) {
+  if (!operation?.packedPoints) return operation;
+  const { packedPoints, ...rest } = operation;
+  return { ...rest, points: unpackPoints(packedPoints) || [] };
+}
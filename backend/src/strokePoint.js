@@ -0,0 +1,34 @@
+// Points are { x, y } in board units. Freehand strokes drawn with a pen also
+// carry the pen's pressure `p` (0-1) and, where the device reports it, its tilt
+// `tx`/`ty` (degrees, -90 to 90). Pressure scales the stroke width between
+// PRESSURE_MIN_SCALE and 1 times the operation's width, so a pressure stroke
+// looks the same on every client and in exports.
+
+export const PRESSURE_MIN_SCALE = 0.2;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// A well-formed copy of a point from a client or a snapshot, or null if unusable.
+// Pen fields that are missing or not numbers are dropped.
+export function normalizePoint(point) {
+  if (!point || !Number.isFinite(point.x) || !Number.isFinite(point.y)) return null;
+
+  const normalized = { x: point.x, y: point.y };
+  if (Number.isFinite(point.p)) {
+    normalized.p = clamp(point.p, 0, 1);
+  }
+  if (Number.isFinite(point.tx) && Number.isFinite(point.ty)) {
+    normalized.tx = clamp(point.tx, -90, 90);
+    normalized.ty = clamp(point.ty, -90, 90);
+  }
+  return normalized;
+}
+
+// Stroke width at a point (the operation's width when there is no pressure)
+export function pressureWidth(width, point) {
+  if (!Number.isFinite(point.p)) return width;
+  return width * (PRESSURE_MIN_SCALE + (1 - PRESSURE_MIN_SCALE) * point.p);
+}
+
+// True if any point of a stroke records pen pressure
+export const hasPressure = (points) => points.some(p => Number.isFinite(p.p));
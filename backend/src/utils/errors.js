@@ -0,0 +1,18 @@
+// An action a client asked for that was refused (e.g. editing a locked layer).
+// The message is safe to send back to that client.
+export class ActionRejectedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ActionRejectedError';
+  }
+}
+
+// Refused entry to a room. `reason` tells the client what to ask for
+// (e.g. 'password-required', 'invite-expired').
+export class AccessDeniedError extends ActionRejectedError {
+  constructor(reason, message) {
+    super(message);
+    this.name = 'AccessDeniedError';
+    this.reason = reason;
+  }
+}
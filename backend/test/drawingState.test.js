@@ -0,0 +1,174 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import DrawingState from '../src/drawingState.js';
+import { ActionRejectedError } from '../src/utils/errors.js';
+import { logger, LogLevel } from '../src/utils/logger.js';
+
+logger.setLevel(LogLevel.ERROR);
+
+let counter = 0;
+const nextId = () => `op-test${String(counter++).padStart(16, '0')}`;
+
+// Start, extend and finish a brush stroke; returns its id
+function drawStroke(state, userId, { layerId, points = [{ x: 10, y: 10 }, { x: 20, y: 20 }] } = {}) {
+  const operationId = nextId();
+  const [first, ...rest] = points;
+  state.startOperation({ operationId, userId, username: userId, tool: 'brush', color: '#000000', width: 2, layerId, ...first });
+  state.addPoints(operationId, userId, rest);
+  state.endOperation(operationId, userId);
+  return operationId;
+}
+
+const statusOf = (state, operationId) => state.findOperation(operationId)?.status;
+
+describe('DrawingState undo/redo', () => {
+  let state;
+  beforeEach(() => {
+    state = new DrawingState();
+  });
+
+  it('undoes only the requesting user\'s operations', () => {
+    const a = drawStroke(state, 'alice');
+    const b = drawStroke(state, 'bob');
+
+    assert.equal(state.undo('alice').id, a);
+    assert.equal(statusOf(state, a), 'undone');
+    assert.equal(statusOf(state, b), 'active');
+    assert.equal(state.undo('alice'), null);
+  });
+
+  it('keeps a user\'s redo stack when someone else draws', () => {
+    const a = drawStroke(state, 'alice');
+    state.undo('alice');
+    drawStroke(state, 'bob');
+
+    assert.equal(state.redo('alice').id, a);
+    assert.equal(statusOf(state, a), 'active');
+  });
+
+  it('drops the redo stack when the same user draws again', () => {
+    const a = drawStroke(state, 'alice');
+    state.undo('alice');
+    drawStroke(state, 'alice');
+
+    assert.equal(state.redo('alice'), null);
+    assert.equal(state.findOperation(a), undefined);
+  });
+
+  it('skips, but keeps, entries another user\'s edit replaced', () => {
+    const first = drawStroke(state, 'alice');
+    const second = drawStroke(state, 'alice');
+    state.transformOperations('bob', 'bob', { scaleX: 1, scaleY: 1, translateX: 5, translateY: 0 }, [{ id: second }]);
+    assert.equal(statusOf(state, second), 'replaced');
+
+    assert.equal(state.undo('alice').id, first);
+    assert.equal(state.undo('bob').type, 'brush');
+    assert.equal(statusOf(state, second), 'active');
+    assert.equal(state.undo('alice').id, second);
+  });
+
+  it('refuses to undo an operation on a locked layer', () => {
+    drawStroke(state, 'alice');
+    state.updateLayer(state.getLayers()[0].id, { locked: true });
+
+    assert.throws(() => state.undo('alice'), ActionRejectedError);
+    assert.equal(state.getUserHistory('alice').undoStack.length, 1);
+  });
+
+  it('rebuilds undo stacks from storage', () => {
+    const a = drawStroke(state, 'alice');
+    const undone = drawStroke(state, 'alice');
+    state.undo('alice');
+
+    const restored = DrawingState.fromJSON(JSON.parse(JSON.stringify(state)));
+    assert.equal(restored.redo('alice').id, undone);
+    assert.equal(restored.undo('alice').id, undone);
+    assert.equal(restored.undo('alice').id, a);
+  });
+});
+
+describe('DrawingState operations', () => {
+  let state;
+  beforeEach(() => {
+    state = new DrawingState();
+  });
+
+  it('only lets the author continue or finish an operation', () => {
+    const operationId = nextId();
+    state.startOperation({ operationId, userId: 'alice', tool: 'brush', color: '#000000', width: 2, x: 0, y: 0 });
+
+    assert.throws(() => state.addPoints(operationId, 'bob', [{ x: 1, y: 1 }]), ActionRejectedError);
+    assert.throws(() => state.endOperation(operationId, 'bob'), ActionRejectedError);
+  });
+
+  it('rejects reused and malformed operation ids', () => {
+    const used = drawStroke(state, 'alice');
+    const start = (operationId) => state.startOperation({ operationId, userId: 'bob', tool: 'brush', color: '#000000', width: 2, x: 0, y: 0 });
+
+    assert.throws(() => start(used), /already in use/);
+    assert.throws(() => start('not an id'), /Invalid operation id/);
+  });
+
+  it('adds points that arrive just after the end to the finished stroke', () => {
+    const operationId = drawStroke(state, 'alice');
+    state.takeChanges();
+
+    state.addPoints(operationId, 'alice', [{ x: 80, y: 5 }]);
+    assert.deepEqual(state.findOperation(operationId).points.at(-1), { x: 80, y: 5 });
+    const changes = state.takeChanges();
+    assert.ok(changes.some(change => change.type === 'added' && change.operation.id === operationId));
+  });
+
+  it('discards an unfinished operation only for its author', () => {
+    const operationId = nextId();
+    state.startOperation({ operationId, userId: 'alice', tool: 'brush', color: '#000000', width: 2, x: 0, y: 0 });
+
+    assert.equal(state.discardActiveOperation('bob', operationId), false);
+    assert.equal(state.discardActiveOperation('alice', operationId), true);
+    assert.equal(state.getUnfinishedOperations('alice').length, 0);
+  });
+
+  it('rejects fills with an invalid mask', () => {
+    assert.throws(() => state.startOperation({
+      operationId: nextId(), userId: 'alice', tool: 'fill', color: '#000000', width: 1, x: 0, y: 0,
+      mask: { columns: 2, rows: 2, runs: [5, 0, 1] }
+    }), ActionRejectedError);
+  });
+
+  it('refuses to draw on a locked layer', () => {
+    const layerId = state.getLayers()[0].id;
+    state.updateLayer(layerId, { locked: true });
+
+    assert.throws(() => drawStroke(state, 'alice', { layerId }), /locked/);
+  });
+
+  it('keeps operations on locked layers when the board is cleared', () => {
+    const top = state.addLayer('Top');
+    const kept = drawStroke(state, 'alice', { layerId: top.id });
+    drawStroke(state, 'alice');
+    state.updateLayer(top.id, { locked: true });
+
+    state.clear({ userId: 'alice', username: 'alice' });
+    assert.deepEqual(state.getActiveOperations().map(op => op.id), [kept]);
+  });
+
+  it('imports onto the lowest unlocked layer', () => {
+    const [bottom] = state.getLayers();
+    const top = state.addLayer('Top');
+    state.updateLayer(bottom.id, { locked: true });
+
+    state.importOperations([{ type: 'line', color: '#000000', width: 1, points: [{ x: 0, y: 0 }, { x: 1, y: 1 }] }]);
+    assert.equal(state.getActiveOperations()[0].layerId, top.id);
+
+    state.updateLayer(top.id, { locked: true });
+    assert.throws(() => state.importOperations([]), /Every layer is locked/);
+  });
+
+  it('survives a round trip through storage', () => {
+    const operationId = drawStroke(state, 'alice', { points: [{ x: 0, y: 0 }, { x: 5, y: 9 }, { x: 30, y: 2 }] });
+
+    const restored = DrawingState.fromJSON(JSON.parse(JSON.stringify(state)));
+    assert.deepEqual(restored.getActiveOperations(), state.getActiveOperations());
+    assert.equal(restored.findOperation(operationId).points.length, 3);
+  });
+});
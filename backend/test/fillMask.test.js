@@ -0,0 +1,41 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeFillMask, fillMaskPath, MAX_FILL_GRID_SIZE, MAX_FILL_RUNS } from '../src/fillMask.js';
+
+describe('normalizeFillMask', () => {
+  it('copies a well-formed mask', () => {
+    const mask = { columns: 4, rows: 2, runs: [0, 0, 4, 1, 1, 2], extra: true };
+    const normalized = normalizeFillMask(mask);
+
+    assert.deepEqual(normalized, { columns: 4, rows: 2, runs: [0, 0, 4, 1, 1, 2] });
+    assert.notEqual(normalized.runs, mask.runs);
+  });
+
+  it('rejects runs outside the grid', () => {
+    assert.equal(normalizeFillMask({ columns: 4, rows: 2, runs: [2, 0, 1] }), null);
+    assert.equal(normalizeFillMask({ columns: 4, rows: 2, runs: [0, 3, 2] }), null);
+    assert.equal(normalizeFillMask({ columns: 4, rows: 2, runs: [0, 0, 0] }), null);
+    assert.equal(normalizeFillMask({ columns: 4, rows: 2, runs: [0, -1, 1] }), null);
+  });
+
+  it('rejects malformed masks', () => {
+    assert.equal(normalizeFillMask(null), null);
+    assert.equal(normalizeFillMask({ columns: 4, rows: 2, runs: [] }), null);
+    assert.equal(normalizeFillMask({ columns: 4, rows: 2, runs: [0, 0] }), null);
+    assert.equal(normalizeFillMask({ columns: 1.5, rows: 2, runs: [0, 0, 1] }), null);
+    assert.equal(normalizeFillMask({ columns: MAX_FILL_GRID_SIZE + 1, rows: 2, runs: [0, 0, 1] }), null);
+  });
+
+  it('rejects masks with too many runs', () => {
+    const runs = [];
+    for (let i = 0; i <= MAX_FILL_RUNS; i++) runs.push(0, 0, 1);
+    assert.equal(normalizeFillMask({ columns: 4, rows: 2, runs }), null);
+    assert.ok(normalizeFillMask({ columns: 4, rows: 2, runs: runs.slice(3) }));
+  });
+});
+
+describe('fillMaskPath', () => {
+  it('draws one rectangle per run', () => {
+    assert.equal(fillMaskPath({ columns: 4, rows: 2, runs: [0, 0, 4, 1, 1, 2] }), 'M0 0h4v1h-4zM1 1h2v1h-2z');
+  });
+});
@@ -0,0 +1,103 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import RoomAccess from '../src/roomAccess.js';
+import { AccessDeniedError } from '../src/utils/errors.js';
+
+const reasonOf = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    assert.ok(error instanceof AccessDeniedError);
+    return error.reason;
+  }
+  return null;
+};
+
+describe('RoomAccess', () => {
+  it('recognises only the owner key it handed out', () => {
+    const access = new RoomAccess();
+    assert.equal(access.hasOwner(), false);
+
+    const key = access.claimOwnership();
+    assert.equal(access.isOwnerKey(key), true);
+    assert.equal(access.isOwnerKey(`${key}x`), false);
+    assert.equal(access.isOwnerKey(undefined), false);
+  });
+
+  it('checks the password and stores only its hash', async () => {
+    const access = new RoomAccess();
+    await access.setPassword('hunter2');
+
+    assert.equal(await access.checkPassword('hunter2'), true);
+    assert.equal(await access.checkPassword('hunter3'), false);
+    assert.ok(!JSON.stringify(access).includes('hunter2'));
+
+    await access.setPassword('');
+    assert.equal(access.hasPassword(), false);
+  });
+
+  it('rejects passwords that are too short', async () => {
+    await assert.rejects(new RoomAccess().setPassword('abc'), { reason: 'invalid-password' });
+  });
+
+  it('limits password attempts per address', () => {
+    const access = new RoomAccess();
+    const now = Date.now();
+    for (let i = 0; i < 5; i++) assert.equal(access.takePasswordAttempt('10.0.0.1', now), true);
+
+    assert.equal(access.takePasswordAttempt('10.0.0.1', now), false);
+    assert.equal(access.takePasswordAttempt('10.0.0.2', now), true);
+    assert.equal(access.takePasswordAttempt('10.0.0.1', now + 60 * 1000), true);
+  });
+
+  it('limits password attempts for the whole room', () => {
+    const access = new RoomAccess();
+    const now = Date.now();
+    let allowed = 0;
+    for (let i = 0; i < 100; i++) {
+      if (access.takePasswordAttempt(`10.0.${i}.1`, now)) allowed++;
+    }
+    assert.equal(allowed, 30);
+  });
+
+  it('accepts invites until they are used up or revoked', () => {
+    const access = new RoomAccess();
+    const invite = access.createInvite({ expiresInMs: 60 * 60 * 1000, maxUses: 1 });
+    const token = access.tokenFor('room', invite);
+
+    assert.equal(reasonOf(() => access.useInvite('other-room', token)), 'invite-invalid');
+    assert.equal(reasonOf(() => access.useInvite('room', token)), null);
+    assert.equal(reasonOf(() => access.useInvite('room', token)), 'invite-used-up');
+
+    const second = access.createInvite({ expiresInMs: 60 * 60 * 1000 });
+    assert.equal(access.revokeInvite(second.id), true);
+    assert.equal(reasonOf(() => access.useInvite('room', access.tokenFor('room', second))), 'invite-invalid');
+  });
+
+  it('rejects forged invites', () => {
+    const access = new RoomAccess();
+    const invite = access.createInvite({ expiresInMs: 60 * 60 * 1000 });
+    const forged = new RoomAccess().tokenFor('room', invite);
+
+    assert.equal(reasonOf(() => access.useInvite('room', forged)), 'invite-invalid');
+    assert.equal(reasonOf(() => access.useInvite('room', 'garbage')), 'invite-invalid');
+  });
+
+  it('restores owner, password and invites from storage', async () => {
+    const access = new RoomAccess();
+    const key = access.claimOwnership();
+    await access.setPassword('hunter2');
+    const invite = access.createInvite({ expiresInMs: 60 * 60 * 1000 });
+
+    const restored = RoomAccess.fromJSON(JSON.parse(JSON.stringify(access)));
+    assert.equal(restored.isOwnerKey(key), true);
+    assert.equal(await restored.checkPassword('hunter2'), true);
+    assert.equal(reasonOf(() => restored.useInvite('room', access.tokenFor('room', invite))), null);
+  });
+
+  it('treats rooms saved without access settings as open', () => {
+    const access = RoomAccess.fromJSON(undefined);
+    assert.equal(access.hasOwner(), false);
+    assert.equal(access.hasPassword(), false);
+  });
+});
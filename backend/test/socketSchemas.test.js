@@ -0,0 +1,56 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validatePayload, isValidRoomId, PayloadValidationError } from '../src/socketSchemas.js';
+
+const stroke = { operationId: 'op-1', x: 1, y: 2, color: '#112233', width: 3, tool: 'brush' };
+
+describe('validatePayload', () => {
+  it('keeps only known fields', () => {
+    assert.deepEqual(validatePayload('draw-start', { ...stroke, admin: true }), stroke);
+  });
+
+  it('treats null like a missing field', () => {
+    assert.deepEqual(validatePayload('draw-start', { ...stroke, layerId: null }), stroke);
+  });
+
+  it('rejects unknown events', () => {
+    assert.throws(() => validatePayload('drop-tables', {}), PayloadValidationError);
+  });
+
+  it('rejects wrong types, colors and widths', () => {
+    assert.throws(() => validatePayload('draw-start', { ...stroke, x: '1' }), /draw-start.x/);
+    assert.throws(() => validatePayload('draw-start', { ...stroke, color: 'red' }), /draw-start.color/);
+    assert.throws(() => validatePayload('draw-start', { ...stroke, width: 201 }), /draw-start.width/);
+    assert.throws(() => validatePayload('draw-start', { ...stroke, tool: 'laser' }), /draw-start.tool/);
+    assert.throws(() => validatePayload('draw-start', null), PayloadValidationError);
+  });
+
+  it('caps the points per draw-move', () => {
+    const points = Array.from({ length: 1001 }, (_, i) => ({ x: i, y: i }));
+    assert.equal(validatePayload('draw-move', { operationId: 'op-1', points: points.slice(1) }).points.length, 1000);
+    assert.throws(() => validatePayload('draw-move', { operationId: 'op-1', points }), /draw-move.points/);
+  });
+
+  it('checks fill masks', () => {
+    const fill = { ...stroke, tool: 'fill', mask: { columns: 2, rows: 2, runs: [0, 0, 2] } };
+    assert.deepEqual(validatePayload('draw-start', fill).mask, fill.mask);
+    assert.throws(() => validatePayload('draw-start', { ...fill, mask: { columns: 2, rows: 2, runs: [0, 0, 3] } }), /mask/);
+  });
+
+  it('ignores whatever comes with events that carry nothing', () => {
+    assert.equal(validatePayload('undo', { huge: 'x'.repeat(10) }), undefined);
+  });
+});
+
+describe('isValidRoomId', () => {
+  it('accepts the names clients can join', () => {
+    assert.equal(isValidRoomId('design-review_2'), true);
+    assert.equal(isValidRoomId(''), true);
+  });
+
+  it('rejects other names', () => {
+    assert.equal(isValidRoomId('../etc'), false);
+    assert.equal(isValidRoomId('a'.repeat(65)), false);
+    assert.equal(isValidRoomId(42), false);
+  });
+});
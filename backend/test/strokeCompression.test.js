@@ -0,0 +1,67 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  simplifyStroke, packPoints, unpackPoints, packOperation, unpackOperation
+} from '../src/strokeCompression.js';
+
+describe('simplifyStroke', () => {
+  it('drops points on a straight line but keeps the ends', () => {
+    const points = Array.from({ length: 11 }, (_, i) => ({ x: i * 10, y: i * 5 }));
+    assert.deepEqual(simplifyStroke(points, 2), [{ x: 0, y: 0 }, { x: 100, y: 50 }]);
+  });
+
+  it('keeps corners', () => {
+    const points = [{ x: 0, y: 0 }, { x: 50, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 50 }];
+    assert.deepEqual(simplifyStroke(points, 2), [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 50 }]);
+  });
+
+  it('tolerates wider wobbles on thicker strokes', () => {
+    const points = [{ x: 0, y: 0 }, { x: 50, y: 2 }, { x: 100, y: 0 }];
+    assert.equal(simplifyStroke(points, 2).length, 3);
+    assert.equal(simplifyStroke(points, 40).length, 2);
+  });
+
+  it('keeps points where the pressure changes', () => {
+    const points = [{ x: 0, y: 0, p: 0.2 }, { x: 50, y: 0, p: 0.9 }, { x: 100, y: 0, p: 0.2 }];
+    assert.equal(simplifyStroke(points, 2).length, 3);
+  });
+});
+
+describe('packed points', () => {
+  it('round-trip at a tenth of a board unit', () => {
+    const points = [{ x: 1.23, y: 4.56 }, { x: 7.8, y: -9.01 }];
+    const packed = packPoints(points);
+
+    assert.equal(packed.fields, 'xy');
+    assert.deepEqual(unpackPoints(packed), [{ x: 1.2, y: 4.6 }, { x: 7.8, y: -9 }]);
+  });
+
+  it('carry pressure and tilt when any point has them', () => {
+    const packed = packPoints([{ x: 0, y: 0 }, { x: 1, y: 1, p: 0.5, tx: 10, ty: -5 }]);
+
+    assert.equal(packed.fields, 'xypt');
+    assert.deepEqual(unpackPoints(packed), [
+      { x: 0, y: 0, p: 1, tx: 0, ty: 0 },
+      { x: 1, y: 1, p: 0.5, tx: 10, ty: -5 }
+    ]);
+  });
+
+  it('reject malformed data', () => {
+    assert.equal(unpackPoints({ fields: 'xy', data: [1, 2, 3] }), null);
+    assert.equal(unpackPoints({ fields: 'xz', data: [1, 2] }), null);
+    assert.equal(unpackPoints({ fields: 'xy', data: [1, 2.5] }), null);
+    assert.equal(unpackPoints(null), null);
+  });
+});
+
+describe('packed operations', () => {
+  it('pack only freehand strokes', () => {
+    const line = { type: 'line', points: [{ x: 0, y: 0 }, { x: 1, y: 1 }] };
+    assert.equal(packOperation(line), line);
+
+    const brush = { id: 'a', type: 'brush', points: [{ x: 0, y: 0 }, { x: 1, y: 1 }] };
+    const packed = packOperation(brush);
+    assert.equal(packed.points, undefined);
+    assert.deepEqual(unpackOperation(packed), brush);
+  });
+});
@@ -1,5 +1,53 @@
 // Handles all local drawing logic and rendering on a HiDPI-aware <canvas>.
 // Also manages in-progress remote drawings for incremental rendering.
+
+// Text layout shared with the server-side exporter (multiples of font size for spacing)
+const TEXT_STYLE = {
+  fontFamily: 'Helvetica, Arial, sans-serif',
+  lineHeight: 1.2,
+  baseline: 0.95 // first baseline below the text's top edge
+};
+
+// Shape geometry shared with the server-side exporter
+const SHAPE_STYLE = {
+  cornerRadius: 0.2, // rounded rectangle corners, fraction of the shorter side
+  starPoints: 5,
+  starInnerRadius: 0.5, // inner star vertices, fraction of the outer radius
+  arrowHeadScale: 3, // arrow head length, multiple of the stroke width
+  arrowHeadMin: 10,
+  arrowHeadAngle: Math.PI / 6
+};
+
+// Shapes drawn by dragging from one point to another
+const TWO_POINT_SHAPES = new Set(['line', 'rect', 'circle', 'ellipse', 'roundrect', 'triangle', 'arrow', 'double-arrow', 'star']);
+
+// Closed shapes, which can be outlined, filled or both
+const FILLABLE_SHAPES = new Set(['rect', 'rectangle', 'circle', 'ellipse', 'roundrect', 'triangle', 'star', 'polygon']);
+
+// Paint bucket: colour distance (per channel) still treated as the same area, the
+// largest raster the board is sampled at (bigger boards are sampled coarser), and
+// the most runs a mask may have (MAX_FILL_RUNS on the server, see fillMask.js)
+const FILL_STYLE = {
+  tolerance: 48,
+  maxPixels: 4000000,
+  maxRuns: 50000
+};
+
+// Finished operations waiting for the connection to come back are drawn faded
+const PENDING_STYLE = {
+  alpha: 0.45
+};
+
+// Most points the server takes in one draw-move; longer lists are sent in batches
+const MAX_POINTS_PER_MOVE = 1000;
+
+// Pen input: pressure scales freehand width down to minPressureScale (shared with the
+// server-side exporter), and touches this soon after the pen lifts are ignored as palm
+const PEN_STYLE = {
+  minPressureScale: 0.2,
+  palmRejectionDelay: 500 // ms
+};
+
 class CanvasManager {
   constructor() {
     this.canvas = document.getElementById('canvas');
@@ -12,13 +60,16 @@ class CanvasManager {
     this.currentTool = 'brush';
     this.currentColor = '#3b82f6';
     this.currentWidth = 5;
+    this.currentFontSize = 24;
+    // Closed shapes: 'outline', 'filled' or 'both', and the fill colour
+    this.shapeStyle = 'outline';
+    this.fillColor = '#93c5fd';
     
     this.currentOperation = null;
     this.pointBuffer = [];
     this.lastBatchTime = 0;
     // Batch outgoing points roughly at 60fps to reduce network chatter
     this.batchInterval = 16;
-    this.pendingPoints = [];
     
     this.remoteOperations = new Map();
     
@@ -26,6 +77,64 @@ class CanvasManager {
 
     this._savedImageData = null;
     this._shapeStart = null;
+
+    // Per-user viewport (never shared): world point at the top-left corner and zoom factor.
+    // Operations are stored in world coordinates and rendered through this camera.
+    this.camera = { x: 0, y: 0, zoom: 1 };
+    this.minZoom = 0.05;
+    this.maxZoom = 8;
+    // While true the camera keeps the whole board letterboxed in view, even across resizes
+    this.viewFitted = true;
+    this.viewportSize = null;
+
+    // Logical board size shared by everyone in the room (world units); set from room-state
+    this.board = { width: 1920, height: 1080 };
+    this.boardPadding = 24;
+    this.dpr = window.devicePixelRatio || 1;
+    this.isPanning = false;
+    this._panLast = null;
+    this._spaceHeld = false;
+    this._pinch = null;
+    this._redrawScheduled = false;
+
+    // Pointer input: the pointer currently drawing/selecting/panning, touch pointers
+    // on the canvas (two of them pinch), and pen state for palm rejection
+    this.activePointer = null; // { id, type }
+    this.touchPointers = new Map();
+    this._penDown = false;
+    this._penLiftedAt = 0;
+
+    // Last authoritative operations list (in layer order), kept so we can repaint on pan/zoom
+    this.operations = [];
+
+    // Room layers, bottom to top, and the layer this user draws on; set from the server
+    this.layers = [];
+    this.currentLayerId = null;
+
+    // Inline text editing: the open editor and operations hidden because someone is editing them
+    this.textEditor = null;
+    this.hiddenOperationIds = new Set();
+
+    // Select tool: ids of selected operations and the drag in progress (move, scale or marquee)
+    this.selectedIds = new Set();
+    this._selectDrag = null;
+    this.handleSize = 8; // screen pixels
+
+    // Our finished operations sent to the server but not yet in the authoritative
+    // list, and the Path2D built for each committed fill's mask. While offline they
+    // are queued (drawn faded) and sent again once we have rejoined the room.
+    this.pendingOperations = [];
+    this.fillPaths = new Map();
+    this.offline = false;
+    // Viewers can only look around: the primary button pans and nothing is edited
+    this.readOnly = false;
+    // Comment thread pins over the board, by thread id
+    this.commentPins = new Map();
+    // Operations shown instead of the room's while a time-lapse replay plays (see replay.js)
+    this.replayFrame = null;
+
+    // Polygon being placed vertex by vertex
+    this._polygon = null;
     
     // Initialize size and listeners
     this.resizeCanvas();
@@ -38,43 +147,201 @@ class CanvasManager {
   }
 
   setupEventListeners() {
-    // Mouse/touch event translation keeps input unified across devices
     window.addEventListener('resize', () => this.resizeCanvas());
     
-    this.canvas.addEventListener('mousedown', (e) => this.startDrawing(e));
-    this.canvas.addEventListener('mousemove', (e) => {
-      if (this.isDrawing) {
-        this.draw(e);
-      }
-      this.updateCursor(e);
-    }, { passive: true });
-    this.canvas.addEventListener('mouseup', () => this.stopDrawing());
-    this.canvas.addEventListener('mouseleave', () => this.stopDrawing());
-    
-    this.canvas.addEventListener('touchstart', (e) => {
+    this.canvas.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+    this.canvas.addEventListener('pointermove', (e) => this.handlePointerMove(e), { passive: true });
+    this.canvas.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+    this.canvas.addEventListener('pointercancel', (e) => this.handlePointerUp(e));
+
+    // Double-clicking text with the select tool opens it for editing;
+    // with the polygon tool it closes the polygon
+    this.canvas.addEventListener('dblclick', (e) => {
+      if (this.currentTool === 'polygon') {
+        this.finishPolygon();
+        return;
+      }
+      if (this.currentTool !== 'select' || this.textEditor || this.readOnly || this.replayFrame) return;
+      const existing = this.findTextAt(this.getCanvasCoordinates(e));
+      if (existing) {
+        this.clearSelection();
+        this.startTextEditing(existing.points[0], existing);
+      }
+    });
+
+    // Wheel (and trackpad pinch, which arrives as ctrl+wheel) zooms around the pointer
+    this.canvas.addEventListener('wheel', (e) => {
       e.preventDefault();
-      const touch = e.touches[0];
-      const mouseEvent = new MouseEvent('mousedown', {
-        clientX: touch.clientX,
-        clientY: touch.clientY
-      });
-      this.canvas.dispatchEvent(mouseEvent);
+      if (this.isDrawing) return;
+      const intensity = e.ctrlKey ? 0.01 : 0.0015;
+      const factor = Math.exp(-e.deltaY * intensity);
+      const { x, y } = this.getScreenCoordinates(e);
+      this.zoomAt(x, y, this.camera.zoom * factor);
     }, { passive: false });
-    
-    this.canvas.addEventListener('touchmove', (e) => {
+
+    window.addEventListener('keydown', (e) => {
+      if (e.code !== 'Space' || e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
       e.preventDefault();
-      const touch = e.touches[0];
-      const mouseEvent = new MouseEvent('mousemove', {
-        clientX: touch.clientX,
-        clientY: touch.clientY
-      });
-      this.canvas.dispatchEvent(mouseEvent);
-    }, { passive: false });
-    
-    this.canvas.addEventListener('touchend', (e) => {
+      if (!this._spaceHeld) {
+        this._spaceHeld = true;
+        this.canvas.style.cursor = 'grab';
+      }
+    });
+    window.addEventListener('keydown', (e) => {
+      if (!this._polygon || e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this.finishPolygon();
+      } else if (e.key === 'Escape') {
+        this._polygon = null;
+        this.scheduleRedraw();
+      }
+    });
+    window.addEventListener('keyup', (e) => {
+      if (e.code !== 'Space') return;
+      this._spaceHeld = false;
+      if (!this.isPanning) this.canvas.style.cursor = this.getToolCursor();
+    });
+  }
+
+  // Pointer Events cover mouse, pen and touch alike. One pointer at a time draws,
+  // selects or pans; a second finger turns touch input into pinch pan/zoom.
+  handlePointerDown(e) {
+    if (this.isPalmTouch(e)) return;
+
+    if (e.pointerType === 'touch') {
+      this.touchPointers.set(e.pointerId, e);
+      if (this.touchPointers.size >= 2) {
+        // Second finger down: finish any stroke and switch to pinch pan/zoom
+        this.releasePointer();
+        this.startPinch([...this.touchPointers.values()]);
+        return;
+      }
+    } else if (e.pointerType === 'pen') {
+      this._penDown = true;
+      // The palm landed before the pen: end whatever it started and let the pen take over
+      if (this.activePointer && this.activePointer.type === 'touch') {
+        this.releasePointer();
+      }
+    }
+
+    if (this.activePointer || this._pinch) return;
+    if (e.button !== 0 && e.button !== 1) return;
+    this.activePointer = { id: e.pointerId, type: e.pointerType };
+    this.canvas.setPointerCapture(e.pointerId);
+
+    // Middle mouse or space+drag pans the view; the primary button draws (or pans,
+    // read-only or during a replay). Viewers can still place comments.
+    if (e.button === 1 || this._spaceHeld || this.replayFrame || (this.readOnly && this.currentTool !== 'comment')) {
       e.preventDefault();
-      this.canvas.dispatchEvent(new MouseEvent('mouseup'));
-    }, { passive: false });
+      this.startPan(e);
+      return;
+    }
+    if (this.currentTool === 'comment') {
+      if (this.onCommentPlace) this.onCommentPlace(this.getCanvasCoordinates(e));
+      return;
+    }
+    if (this.currentTool === 'text') {
+      this.handleTextClick(e);
+      return;
+    }
+    if (this.currentTool === 'select') {
+      this.startSelect(e);
+      return;
+    }
+    if (this.currentTool === 'fill') {
+      if (this.canDrawOnCurrentLayer()) this.handleFillClick(e);
+      return;
+    }
+    if (this.currentTool === 'polygon') {
+      this.handlePolygonClick(e);
+      return;
+    }
+    if (this.canDrawOnCurrentLayer()) {
+      this.startDrawing(e);
+    }
+  }
+
+  handlePointerMove(e) {
+    if (this.touchPointers.has(e.pointerId)) {
+      this.touchPointers.set(e.pointerId, e);
+      if (this._pinch) {
+        if (this.touchPointers.size >= 2) this.pinch([...this.touchPointers.values()]);
+        return;
+      }
+    }
+    // While one pointer is busy, the others are ignored
+    if (this.activePointer && this.activePointer.id !== e.pointerId) return;
+    if (this.isPalmTouch(e)) return;
+
+    if (this.isPanning) {
+      this.pan(e);
+      return;
+    }
+    if (this._selectDrag) {
+      this.updateSelect(e);
+    }
+    if (this._polygon) {
+      this._polygon.hover = this.getCanvasCoordinates(e);
+      this.scheduleRedraw();
+    }
+    if (this.isDrawing) {
+      // Browsers deliver one pointermove per frame; the coalesced events hold
+      // every sample in between, which keeps fast freehand strokes smooth
+      const freehand = !TWO_POINT_SHAPES.has(this.currentTool);
+      const samples = freehand && typeof e.getCoalescedEvents === 'function' ? e.getCoalescedEvents() : [];
+      (samples.length > 0 ? samples : [e]).forEach(sample => this.draw(sample));
+    }
+    this.updateCursor(e);
+  }
+
+  handlePointerUp(e) {
+    if (e.pointerType === 'pen') {
+      this._penDown = false;
+      this._penLiftedAt = Date.now();
+    }
+    if (this.touchPointers.delete(e.pointerId) && this._pinch) {
+      // Stay in pinch mode until every finger is lifted
+      if (this.touchPointers.size === 0) this._pinch = null;
+      return;
+    }
+    if (this.activePointer && this.activePointer.id === e.pointerId) {
+      this.releasePointer();
+    }
+  }
+
+  // Finish whatever the active pointer was doing
+  releasePointer() {
+    this.activePointer = null;
+    this.stopPan();
+    this.endSelect();
+    this.stopDrawing();
+  }
+
+  // Palm rejection: touches while a pen is down, or just after it lifts, are the
+  // hand resting on the screen rather than a finger meaning to draw
+  isPalmTouch(e) {
+    if (e.pointerType !== 'touch') return false;
+    return this._penDown || Date.now() - this._penLiftedAt < PEN_STYLE.palmRejectionDelay;
+  }
+
+  // World point for a stroke sample, with pen pressure and tilt when the device reports them
+  getStrokePoint(e) {
+    const point = this.getCanvasCoordinates(e);
+    if (e.pointerType === 'pen') {
+      point.p = Math.round(e.pressure * 100) / 100;
+      if (e.tiltX || e.tiltY) {
+        point.tx = e.tiltX;
+        point.ty = e.tiltY;
+      }
+    }
+    return point;
+  }
+
+  // Freehand width at a point: pen pressure scales it between minPressureScale and 1
+  getPressureWidth(width, point) {
+    if (!Number.isFinite(point.p)) return width;
+    return width * (PEN_STYLE.minPressureScale + (1 - PEN_STYLE.minPressureScale) * point.p);
   }
 
   resizeCanvas() {
@@ -83,44 +350,79 @@ class CanvasManager {
     const rect = container.getBoundingClientRect();
     const cssWidth = rect.width;
     const cssHeight = rect.height;
-    
-    let imageData = null;
-    if (this.canvas.width && this.canvas.height) {
-      try {
-        imageData = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
-      } catch (e) {
-        imageData = null;
-      }
-    }
+
+    // Remember which world point was centered so a custom view survives the resize
+    const previousCenter = this.viewportSize
+      ? this.screenToWorld(this.viewportSize.width / 2, this.viewportSize.height / 2)
+      : null;
     
     const dpr = window.devicePixelRatio || 1;
+    this.dpr = dpr;
     this.canvas.style.width = cssWidth + 'px';
     this.canvas.style.height = cssHeight + 'px';
     
     this.canvas.width = Math.max(1, Math.round(cssWidth * dpr));
     this.canvas.height = Math.max(1, Math.round(cssHeight * dpr));
-    
-    this.ctx.setTransform(1, 0, 0, 1, 0, 0);
-    this.ctx.scale(dpr, dpr);
+    this.viewportSize = { width: cssWidth, height: cssHeight };
 
-    this.ctx.fillStyle = 'white';
-    this.ctx.fillRect(0, 0, cssWidth, cssHeight);
+    this.ctx.lineCap = 'round';
+    this.ctx.lineJoin = 'round';
+    this.ctx.imageSmoothingEnabled = true;
+    this.ctx.imageSmoothingQuality = 'high';
+
+    if (this.viewFitted || !previousCenter) {
+      this.fitBoard();
+    } else {
+      this.camera.x = previousCenter.x - cssWidth / 2 / this.camera.zoom;
+      this.camera.y = previousCenter.y - cssHeight / 2 / this.camera.zoom;
+    }
 
-    // Only restore image when sizes match exactly to avoid distortion
-    if (imageData && imageData.width === this.canvas.width && imageData.height === this.canvas.height) {
+    // Resizing the backing store wipes it, so repaint from the authoritative operations
+    this.redrawScene();
+    this.remoteCursors.forEach(cursor => this.positionRemoteCursor(cursor));
+    this.commentPins.forEach(pin => this.positionCommentPin(pin));
+
+    if (this._shapeStart) {
       try {
-        this.ctx.putImageData(imageData, 0, 0);
-      } catch (e) {
+        this._savedImageData = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
+      } catch (err) {
+        this._savedImageData = null;
       }
     }
+  }
 
-    this.ctx.lineCap = 'round';
-    this.ctx.lineJoin = 'round';
-    this.ctx.imageSmoothingEnabled = true;
-    this.ctx.imageSmoothingQuality = 'high';
+  // Zoom at which the whole board fits inside the viewport
+  getFitZoom() {
+    const size = this.viewportSize || { width: this.board.width, height: this.board.height };
+    const pad = this.boardPadding * 2;
+    return Math.max(0.01, Math.min(
+      (size.width - pad) / this.board.width,
+      (size.height - pad) / this.board.height
+    ));
   }
 
-  getCanvasCoordinates(e) {
+  // Center the board in the viewport, scaled to fit (letterboxed)
+  fitBoard() {
+    const size = this.viewportSize || { width: this.board.width, height: this.board.height };
+    const zoom = this.getFitZoom();
+    this.camera = {
+      x: this.board.width / 2 - size.width / 2 / zoom,
+      y: this.board.height / 2 - size.height / 2 / zoom,
+      zoom
+    };
+    this.viewFitted = true;
+  }
+
+  setBoard(board) {
+    if (!board || !board.width || !board.height) return;
+    this.board = { width: board.width, height: board.height };
+    if (this.viewFitted) {
+      this.fitBoard();
+    }
+    this.onCameraUpdated();
+  }
+
+  getScreenCoordinates(e) {
     // Convert client coordinates to CSS pixel coordinates within canvas box
     const rect = this.canvas.getBoundingClientRect();
     return {
@@ -129,11 +431,155 @@ class CanvasManager {
     };
   }
 
+  getCanvasCoordinates(e) {
+    // World coordinates under the pointer (what operations are stored in)
+    const { x, y } = this.getScreenCoordinates(e);
+    return this.screenToWorld(x, y);
+  }
+
+  screenToWorld(x, y) {
+    return {
+      x: x / this.camera.zoom + this.camera.x,
+      y: y / this.camera.zoom + this.camera.y
+    };
+  }
+
+  worldToScreen(x, y) {
+    return {
+      x: (x - this.camera.x) * this.camera.zoom,
+      y: (y - this.camera.y) * this.camera.zoom
+    };
+  }
+
+  // Map world coordinates onto the HiDPI backing store through the camera
+  applyCamera() {
+    const scale = this.dpr * this.camera.zoom;
+    this.ctx.setTransform(scale, 0, 0, scale, -this.camera.x * scale, -this.camera.y * scale);
+  }
+
+  // Paint the letterbox area, then the white board through the camera
+  fillBackground() {
+    this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+    this.ctx.fillStyle = '#f1f5f9';
+    this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    this.applyCamera();
+
+    this.ctx.fillStyle = 'white';
+    this.ctx.fillRect(0, 0, this.board.width, this.board.height);
+    this.ctx.strokeStyle = '#cbd5e1';
+    this.ctx.lineWidth = 1 / this.camera.zoom;
+    this.ctx.strokeRect(0, 0, this.board.width, this.board.height);
+  }
+
+  startPan(e) {
+    this.isPanning = true;
+    this._panLast = this.getScreenCoordinates(e);
+    this.canvas.style.cursor = 'grabbing';
+  }
+
+  pan(e) {
+    const point = this.getScreenCoordinates(e);
+    this.panBy(point.x - this._panLast.x, point.y - this._panLast.y);
+    this._panLast = point;
+  }
+
+  stopPan() {
+    if (!this.isPanning) return;
+    this.isPanning = false;
+    this._panLast = null;
+    this.canvas.style.cursor = this._spaceHeld ? 'grab' : this.getToolCursor();
+  }
+
+  // Pointer shown over the canvas for the current tool (empty = stylesheet crosshair)
+  getToolCursor() {
+    if (this.replayFrame) return 'grab';
+    if (this.currentTool === 'comment') return 'crosshair';
+    if (this.readOnly) return 'grab';
+    if (this.currentTool === 'select') return 'default';
+    if (this.currentTool === 'text') return 'text';
+    if (this.currentTool === 'fill') return 'cell';
+    if (this.currentTool === 'polygon') return 'crosshair';
+    return '';
+  }
+
+  // Move the view by a screen-space delta
+  panBy(dx, dy) {
+    this.camera.x -= dx / this.camera.zoom;
+    this.camera.y -= dy / this.camera.zoom;
+    this.viewFitted = false;
+    this.onCameraUpdated();
+  }
+
+  // Zoom keeping the world point under the given screen position fixed
+  zoomAt(screenX, screenY, zoom) {
+    const minZoom = Math.min(this.minZoom, this.getFitZoom());
+    const clamped = Math.min(this.maxZoom, Math.max(minZoom, zoom));
+    const anchor = this.screenToWorld(screenX, screenY);
+    this.camera.zoom = clamped;
+    this.camera.x = anchor.x - screenX / clamped;
+    this.camera.y = anchor.y - screenY / clamped;
+    this.viewFitted = false;
+    this.onCameraUpdated();
+  }
+
+  // Zoom around the center of the visible area (toolbar buttons)
+  zoomBy(factor) {
+    const rect = this.canvas.getBoundingClientRect();
+    this.zoomAt(rect.width / 2, rect.height / 2, this.camera.zoom * factor);
+  }
+
+  // Back to the letterboxed whole-board view
+  resetView() {
+    this.fitBoard();
+    this.onCameraUpdated();
+  }
+
+  startPinch(touches) {
+    this._pinch = this.getPinchState(touches);
+  }
+
+  pinch(touches) {
+    const next = this.getPinchState(touches);
+    this.panBy(next.x - this._pinch.x, next.y - this._pinch.y);
+    this.zoomAt(next.x, next.y, this.camera.zoom * (next.distance / this._pinch.distance));
+    this._pinch = next;
+  }
+
+  getPinchState(touches) {
+    const a = this.getScreenCoordinates(touches[0]);
+    const b = this.getScreenCoordinates(touches[1]);
+    return {
+      x: (a.x + b.x) / 2,
+      y: (a.y + b.y) / 2,
+      distance: Math.max(1, Math.hypot(b.x - a.x, b.y - a.y))
+    };
+  }
+
+  onCameraUpdated() {
+    this.scheduleRedraw();
+    this.remoteCursors.forEach(cursor => this.positionRemoteCursor(cursor));
+    this.commentPins.forEach(pin => this.positionCommentPin(pin));
+    this.positionTextEditor();
+    if (this.onCameraChange) {
+      this.onCameraChange({ ...this.camera });
+    }
+  }
+
+  // Coalesce repaints caused by rapid pan/zoom input into one per frame
+  scheduleRedraw() {
+    if (this._redrawScheduled) return;
+    this._redrawScheduled = true;
+    requestAnimationFrame(() => {
+      this._redrawScheduled = false;
+      this.redrawScene();
+    });
+  }
+
   startDrawing(e) {
     this.isDrawing = true;
     const { x, y } = this.getCanvasCoordinates(e);
     
-    if (this.currentTool === 'line' || this.currentTool === 'rect' || this.currentTool === 'circle') {
+    if (TWO_POINT_SHAPES.has(this.currentTool)) {
       // For shapes we preview on mousemove and finalize on mouseup
       try {
         this._savedImageData = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
@@ -143,80 +589,71 @@ class CanvasManager {
       this._shapeStart = { x, y };
 
       this.currentOperation = {
-        id: null,
+        id: this.createOperationId(),
         tool: this.currentTool,
         color: this.currentColor,
         width: this.currentWidth,
+        layerId: this.currentLayerId,
+        ...this.getShapePaint(this.currentTool),
         points: [{ x, y }]
       };
 
       if (this.onDrawStart) {
         this.onDrawStart({
+          operationId: this.currentOperation.id,
           x, y,
           color: this.currentOperation.color,
           width: this.currentOperation.width,
-          tool: this.currentOperation.tool
+          tool: this.currentOperation.tool,
+          layerId: this.currentOperation.layerId,
+          fillColor: this.currentOperation.fillColor,
+          stroke: this.currentOperation.stroke
         });
       }
-
-      this.pendingPoints = [];
       return;
     }
 
     const toolIsEraser = this.currentTool === 'eraser';
+    const point = this.getStrokePoint(e);
     this.currentOperation = {
-      id: null,
+      id: this.createOperationId(),
       tool: this.currentTool,
       color: toolIsEraser ? '#ffffff' : this.currentColor,
       width: this.currentWidth,
-      points: [{ x, y }]
+      layerId: this.currentLayerId,
+      points: [point]
     };
     
-    this.drawPoint(x, y, this.currentOperation.color, this.currentOperation.width);
+    this.drawPoint(x, y, this.currentOperation.color, this.getPressureWidth(this.currentOperation.width, point));
     
     this.pointBuffer = [];
-    this.pendingPoints = [];
     this.lastBatchTime = Date.now();
     
     if (this.onDrawStart) {
       this.onDrawStart({
-        x, y,
+        operationId: this.currentOperation.id,
+        ...point,
         color: this.currentOperation.color,
         width: this.currentOperation.width,
-        tool: this.currentOperation.tool
+        tool: this.currentOperation.tool,
+        layerId: this.currentOperation.layerId
       });
     }
   }
 
-  setOperationId(operationId) {
-    if (this.currentOperation) {
-      this.currentOperation.id = operationId;
-      
-      if (this.pendingPoints.length > 0 && this.onDrawMove) {
-        this.onDrawMove({
-          operationId: operationId,
-          points: [...this.pendingPoints]
-        });
-        this.pendingPoints = [];
-      }
-    }
-  }
-
   draw(e) {
     if (!this.isDrawing) return;
     
     const { x, y } = this.getCanvasCoordinates(e);
 
-    if (this.currentTool === 'line' || this.currentTool === 'rect' || this.currentTool === 'circle') {
+    if (TWO_POINT_SHAPES.has(this.currentTool)) {
       if (this._savedImageData) {
         try {
           this.ctx.putImageData(this._savedImageData, 0, 0);
         } catch (err) {
         }
       } else {
-        const rect = this.canvas.parentElement.getBoundingClientRect();
-        this.ctx.fillStyle = 'white';
-        this.ctx.fillRect(0, 0, rect.width, rect.height);
+        this.fillBackground();
       }
 
       this.drawShapePreview(this._shapeStart.x, this._shapeStart.y, x, y, this.currentTool, this.currentColor, this.currentWidth);
@@ -231,27 +668,23 @@ class CanvasManager {
     const distance = Math.sqrt(dx*dx + dy*dy);
     if (distance < 1) return;
 
-    this.currentOperation.points.push({ x, y });
+    const point = this.getStrokePoint(e);
+    this.currentOperation.points.push(point);
     
-    this.drawLine(lastPoint, { x, y }, this.currentOperation.color, this.currentOperation.width);
+    this.drawLine(lastPoint, point, this.currentOperation.color, this.getPressureWidth(this.currentOperation.width, point));
     
-    this.pointBuffer.push({ x, y });
+    this.pointBuffer.push(point);
     
     // Send point batches at most ~60fps for efficiency
     const now = Date.now();
     if (now - this.lastBatchTime >= this.batchInterval && this.pointBuffer.length > 0) {
-      if (this.currentOperation.id) {
-        if (this.onDrawMove) {
-          this.onDrawMove({
-            operationId: this.currentOperation.id,
-            points: [...this.pointBuffer]
-          });
-        }
-        this.pointBuffer = [];
-      } else {
-        this.pendingPoints.push(...this.pointBuffer);
-        this.pointBuffer = [];
+      if (this.onDrawMove) {
+        this.onDrawMove({
+          operationId: this.currentOperation.id,
+          points: [...this.pointBuffer]
+        });
       }
+      this.pointBuffer = [];
       this.lastBatchTime = now;
     }
   }
@@ -260,118 +693,210 @@ class CanvasManager {
     if (!this.isDrawing) return;
     
     this.isDrawing = false;
+    const operation = this.currentOperation;
+    this.currentOperation = null;
+    if (!operation) return;
 
-    if (this.currentTool === 'line' || this.currentTool === 'rect' || this.currentTool === 'circle') {
+    if (TWO_POINT_SHAPES.has(this.currentTool)) {
       // Finalize a shape using the last previewed coordinates
       const final = this._shapeLast || this._shapeStart;
       const finalPoint = { x: final.x, y: final.y };
-      if (this.currentOperation && this.currentOperation.points) {
-        this.currentOperation.points.push(finalPoint);
-      }
+      operation.points.push(finalPoint);
 
-      const opForDraw = {
-        id: this.currentOperation.id || `local-${Date.now()}`,
-        userId: this.currentOperation.userId,
-        username: this.currentOperation.username,
-        type: this.currentOperation.tool,
-        color: this.currentOperation.color,
-        width: this.currentOperation.width,
-        points: [...(this.currentOperation.points || [])]
-      };
       if (this._savedImageData) {
         try { this.ctx.putImageData(this._savedImageData, 0, 0); } catch (e) {}
       }
-      this.drawOperation(opForDraw);
-
-      if (this.currentOperation.id) {
-        // Server already issued id → send final point and end
-        if (this.onDrawMove) {
-          this.onDrawMove({
-            operationId: this.currentOperation.id,
-            points: [finalPoint]
-          });
-        }
-        if (this.onDrawEnd) {
-          this.onDrawEnd({ operationId: this.currentOperation.id });
-        }
-      } else {
-        // Wait briefly for operation id before sending finalization
-        this.pendingPoints = [finalPoint];
-
-        const checkForId = setInterval(() => {
-          if (this.currentOperation && this.currentOperation.id) {
-            clearInterval(checkForId);
-            
-            if (this.pendingPoints.length > 0 && this.onDrawMove) {
-              this.onDrawMove({
-                operationId: this.currentOperation.id,
-                points: [...this.pendingPoints]
-              });
-            }
-            
-            if (this.onDrawEnd) {
-              this.onDrawEnd({
-                operationId: this.currentOperation.id
-              });
-            }
-          }
-        }, 10);
-
-        setTimeout(() => clearInterval(checkForId), 1000);
-      }
+      this.drawOperation({ ...operation, type: operation.tool });
 
       this._savedImageData = null;
       this._shapeStart = null;
       this._shapeLast = null;
-      this.currentOperation = null;
-      this.pendingPoints = [];
+      this.finishOperation(operation, [finalPoint]);
       return;
     }
 
     // Flush any unsent points after freehand ends
-    const remainingPoints = [...this.pointBuffer, ...this.pendingPoints];
-    
-    if (this.currentOperation && this.currentOperation.id) {
-      if (remainingPoints.length > 0 && this.onDrawMove) {
-        this.onDrawMove({
-          operationId: this.currentOperation.id,
-          points: remainingPoints
-        });
-      }
-      
-      if (this.onDrawEnd) {
-        this.onDrawEnd({
-          operationId: this.currentOperation.id
-        });
+    this.finishOperation(operation, this.pointBuffer);
+    this.pointBuffer = [];
+  }
+
+  // Send the last points of a finished stroke or shape and finalize it. It stays
+  // drawn as pending until it shows up in the server's list.
+  finishOperation(operation, remainingPoints) {
+    this.addPendingOperation({ ...operation, type: operation.tool });
+
+    if (remainingPoints.length > 0 && this.onDrawMove) {
+      this.onDrawMove({
+        operationId: operation.id,
+        points: [...remainingPoints]
+      });
+    }
+    if (this.onDrawEnd) {
+      this.onDrawEnd({ operationId: operation.id });
+    }
+  }
+
+  // Keep a finished operation drawn until the server's list contains it
+  addPendingOperation(operation) {
+    operation.queued = this.offline;
+    this.pendingOperations.push(operation);
+    if (operation.queued) this.scheduleRedraw();
+  }
+
+  drawPendingOperation(operation) {
+    if (!operation.queued) {
+      this.drawOperation(operation);
+      return;
+    }
+    this.ctx.save();
+    this.ctx.globalAlpha = PENDING_STYLE.alpha;
+    this.drawOperation(operation);
+    this.ctx.restore();
+  }
+
+  // Send a whole operation: its start with the first point, the other points and,
+  // if it is finished, its end
+  sendOperation(operation, { points = operation.points, finished = true } = {}) {
+    const [first, ...rest] = points;
+    if (this.onDrawStart) {
+      this.onDrawStart({
+        operationId: operation.id,
+        ...first,
+        color: operation.color,
+        width: operation.width,
+        tool: operation.type || operation.tool,
+        layerId: operation.layerId,
+        text: operation.text,
+        fontSize: operation.fontSize,
+        replaces: operation.replaces,
+        fillColor: operation.fillColor,
+        stroke: operation.stroke,
+        mask: operation.mask
+      });
+    }
+    if (this.onDrawMove) {
+      for (let i = 0; i < rest.length; i += MAX_POINTS_PER_MOVE) {
+        this.onDrawMove({ operationId: operation.id, points: rest.slice(i, i + MAX_POINTS_PER_MOVE) });
       }
-    } else {
-      this.pendingPoints = remainingPoints;
-      
-      const checkForId = setInterval(() => {
-        if (this.currentOperation && this.currentOperation.id) {
-          clearInterval(checkForId);
-          
-          if (this.pendingPoints.length > 0 && this.onDrawMove) {
-            this.onDrawMove({
-              operationId: this.currentOperation.id,
-              points: [...this.pendingPoints]
-            });
-          }
-          
-          if (this.onDrawEnd) {
-            this.onDrawEnd({
-              operationId: this.currentOperation.id
-            });
-          }
+    }
+    if (finished && this.onDrawEnd) {
+      this.onDrawEnd({ operationId: operation.id });
+    }
+  }
+
+  // Lost the connection: whatever gets finished from now on is queued, and remote
+  // strokes in progress can't be followed any more
+  setOffline(offline) {
+    this.offline = offline;
+    if (!offline) return;
+    this.pendingOperations.forEach(op => {
+      op.queued = true;
+    });
+    this.remoteOperations.clear();
+    this.scheduleRedraw();
+  }
+
+  // Our role changed. Going read-only drops the selection, an unplaced polygon and
+  // unsaved text; a stroke already being drawn is still finished.
+  setReadOnly(readOnly) {
+    this.readOnly = readOnly;
+    if (readOnly) {
+      this.clearSelection();
+      this.cancelText();
+      this._polygon = null;
+      this.scheduleRedraw();
+    }
+    if (!this.isPanning) this.canvas.style.cursor = this.getToolCursor();
+  }
+
+  // Time-lapse replay: show these operations instead of the room's until called
+  // with null. Like going read-only, starting drops the selection, an unplaced
+  // polygon and unsaved text.
+  setReplayFrame(operations) {
+    if (operations && !this.replayFrame) {
+      this.clearSelection();
+      this.cancelText();
+      this._polygon = null;
+    }
+    this.replayFrame = operations ? this.sortByLayer(operations) : null;
+    if (!this.isPanning) this.canvas.style.cursor = this.getToolCursor();
+    this.scheduleRedraw();
+  }
+
+  // Back in the room (after the fresh room-state): send again, in order, everything
+  // the server's list doesn't have yet, then whatever is still being drawn or typed.
+  // unfinishedOperations ({ operationId, pointCount }) are our strokes the server
+  // kept in progress across the reconnect.
+  resendPendingOperations(unfinishedOperations = []) {
+    const unfinished = new Map(unfinishedOperations.map(op => [op.operationId, op.pointCount]));
+
+    this.pendingOperations.forEach(op => {
+      unfinished.delete(op.id);
+      this.sendOperation(op);
+    });
+
+    if (this.isDrawing && this.currentOperation) {
+      // Buffered points go out with the next batch as usual
+      const { id, points } = this.currentOperation;
+      const sent = points.slice(0, points.length - this.pointBuffer.length);
+      if (unfinished.has(id)) {
+        // Still in progress on the server: only the points it missed
+        const missing = sent.slice(unfinished.get(id));
+        unfinished.delete(id);
+        for (let i = 0; i < missing.length && this.onDrawMove; i += MAX_POINTS_PER_MOVE) {
+          this.onDrawMove({ operationId: id, points: missing.slice(i, i + MAX_POINTS_PER_MOVE) });
         }
-      }, 10);
-      
-      setTimeout(() => clearInterval(checkForId), 1000);
+      } else {
+        this.sendOperation({ ...this.currentOperation, type: this.currentOperation.tool }, { points: sent, finished: false });
+      }
     }
-    
-    this.pointBuffer = [];
-    this.pendingPoints = [];
-    this.currentOperation = null;
+    if (this.textEditor) {
+      unfinished.delete(this.textEditor.operation.id);
+      this.sendOperation(this.textEditor.operation, { finished: false });
+    }
+
+    // Strokes the server kept that this page no longer has: finish them as they are
+    unfinished.forEach((_, operationId) => {
+      if (this.onDrawEnd) this.onDrawEnd({ operationId });
+    });
+  }
+
+  // Collision-safe id for a new operation, chosen here so drawing never waits for
+  // the server (which refuses malformed or already used ids)
+  createOperationId() {
+    if (typeof crypto.randomUUID === 'function') {
+      return `op-${crypto.randomUUID()}`;
+    }
+    // randomUUID is only available in secure contexts; 128 random bits do the same job
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    return `op-${Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('')}`;
+  }
+
+  // The server refused an operation we started (e.g. its layer was locked meanwhile)
+  rejectOperation(operationId) {
+    const rejected = this.pendingOperations.find(op => op.id === operationId);
+    if (rejected && rejected.replaces) {
+      this.hiddenOperationIds.delete(rejected.replaces);
+    }
+    this.pendingOperations = this.pendingOperations.filter(op => op.id !== operationId);
+
+    if (this.currentOperation && this.currentOperation.id === operationId) {
+      this.isDrawing = false;
+      this.currentOperation = null;
+      this.pointBuffer = [];
+      this._savedImageData = null;
+      this._shapeStart = null;
+      this._shapeLast = null;
+    }
+
+    if (this.textEditor && this.textEditor.operation.id === operationId) {
+      const { element, operation } = this.textEditor;
+      this.textEditor = null;
+      element.remove();
+      if (operation.replaces) this.hiddenOperationIds.delete(operation.replaces);
+    }
+
+    this.redrawScene();
   }
 
   drawPoint(x, y, color = null, width = null) {
@@ -399,35 +924,23 @@ class CanvasManager {
   // Local-only shape preview (does not mutate the authoritative state)
   drawShapePreview(x1, y1, x2, y2, tool, color, width) {
     this._shapeLast = { x: x2, y: y2 };
-    this.ctx.strokeStyle = color;
-    this.ctx.lineWidth = width;
-    this.ctx.fillStyle = color;
-
-    if (tool === 'line') {
-      this.ctx.beginPath();
-      this.ctx.moveTo(x1, y1);
-      this.ctx.lineTo(x2, y2);
-      this.ctx.stroke();
-      this.ctx.beginPath();
-      this.ctx.arc(x1, y1, width/2, 0, Math.PI*2); this.ctx.fill();
-      this.ctx.beginPath();
-      this.ctx.arc(x2, y2, width/2, 0, Math.PI*2); this.ctx.fill();
-    } else if (tool === 'rect') {
-      const w = x2 - x1;
-      const h = y2 - y1;
-      this.ctx.beginPath();
-      this.ctx.rect(x1, y1, w, h);
-      this.ctx.stroke();
-      this.ctx.beginPath(); this.ctx.arc(x1, y1, Math.max(2, width/2), 0, Math.PI*2); this.ctx.fill();
-    } else if (tool === 'circle') {
-      const dx = x2 - x1;
-      const dy = y2 - y1;
-      const r = Math.sqrt(dx*dx + dy*dy);
-      this.ctx.beginPath();
-      this.ctx.arc(x1, y1, r, 0, Math.PI*2);
-      this.ctx.stroke();
-      this.ctx.beginPath(); this.ctx.arc(x1, y1, Math.max(2, width/2), 0, Math.PI*2); this.ctx.fill();
-    }
+    // Preview exactly what will be committed
+    this.drawOperation({
+      type: tool,
+      color,
+      width,
+      ...this.getShapePaint(tool),
+      points: [{ x: x1, y: y1 }, { x: x2, y: y2 }]
+    });
+  }
+
+  // Fill/outline settings stored on closed shapes (nothing for other tools)
+  getShapePaint(tool) {
+    if (!FILLABLE_SHAPES.has(tool)) return {};
+    return {
+      fillColor: this.shapeStyle === 'outline' ? null : this.fillColor,
+      stroke: this.shapeStyle !== 'filled'
+    };
   }
 
   // Draws a finalized operation (local or remote) onto the canvas
@@ -440,6 +953,10 @@ class CanvasManager {
 
     if (type === 'brush' || type === 'eraser') {
       const pts = operation.points;
+      if (pts.some(p => Number.isFinite(p.p))) {
+        this.drawPressureStroke(pts, color, width);
+        return;
+      }
       const first = pts[0];
       this.ctx.fillStyle = color;
       this.ctx.beginPath();
@@ -480,32 +997,25 @@ class CanvasManager {
       return;
     }
 
-    if (type === 'rect' || type === 'rectangle') {
+    if (FILLABLE_SHAPES.has(type)) {
       if (operation.points.length < 2) return;
-      const p0 = operation.points[0];
-      const p1 = operation.points[1];
-      const w = p1.x - p0.x;
-      const h = p1.y - p0.y;
-      this.ctx.strokeStyle = color;
-      this.ctx.lineWidth = width;
-      this.ctx.beginPath();
-      this.ctx.rect(p0.x, p0.y, w, h);
-      this.ctx.stroke();
+      this.drawShape({ ...operation, type }, color);
       return;
     }
 
-    if (type === 'circle') {
+    if (type === 'arrow' || type === 'double-arrow') {
       if (operation.points.length < 2) return;
-      const p0 = operation.points[0];
-      const p1 = operation.points[1];
-      const dx = p1.x - p0.x;
-      const dy = p1.y - p0.y;
-      const r = Math.sqrt(dx*dx + dy*dy);
-      this.ctx.strokeStyle = color;
-      this.ctx.lineWidth = width;
-      this.ctx.beginPath();
-      this.ctx.arc(p0.x, p0.y, r, 0, Math.PI * 2);
-      this.ctx.stroke();
+      this.drawArrow({ ...operation, type }, color);
+      return;
+    }
+
+    if (type === 'text') {
+      this.drawText(operation, color);
+      return;
+    }
+
+    if (type === 'fill') {
+      this.drawFill(operation);
       return;
     }
 
@@ -519,12 +1029,605 @@ class CanvasManager {
     }
   }
 
+  // Pen stroke: the same midpoint curves as a plain stroke, but each piece is
+  // stroked on its own at the width of its control point's pressure
+  drawPressureStroke(points, color, width) {
+    const first = points[0];
+    this.ctx.fillStyle = color;
+    this.ctx.beginPath();
+    this.ctx.arc(first.x, first.y, this.getPressureWidth(width, first) / 2, 0, Math.PI * 2);
+    this.ctx.fill();
+    if (points.length === 1) return;
+
+    this.ctx.strokeStyle = color;
+    let from = first;
+    for (let i = 1; i < points.length; i++) {
+      const a = points[i - 1];
+      const b = points[i];
+      const to = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+      this.ctx.lineWidth = this.getPressureWidth(width, a);
+      this.ctx.beginPath();
+      this.ctx.moveTo(from.x, from.y);
+      this.ctx.quadraticCurveTo(a.x, a.y, to.x, to.y);
+      this.ctx.stroke();
+      from = to;
+    }
+    const last = points[points.length - 1];
+    this.ctx.lineWidth = this.getPressureWidth(width, last);
+    this.ctx.beginPath();
+    this.ctx.moveTo(from.x, from.y);
+    this.ctx.lineTo(last.x, last.y);
+    this.ctx.stroke();
+  }
+
+  // Multi-line text, top-left anchored at the operation's single point
+  drawText(operation, color) {
+    if (!operation.text) return;
+    const size = operation.fontSize || 24;
+    const { x, y } = operation.points[0];
+    this.ctx.fillStyle = color;
+    this.ctx.font = `${size}px ${TEXT_STYLE.fontFamily}`;
+    this.ctx.textBaseline = 'alphabetic';
+    operation.text.split('\n').forEach((line, i) => {
+      this.ctx.fillText(line, x, y + size * TEXT_STYLE.baseline + i * size * TEXT_STYLE.lineHeight);
+    });
+  }
+
+  // Closed shape: fill first, then outline (the same order SVG paints in)
+  drawShape(operation, color) {
+    this.ctx.beginPath();
+    this.traceShape(operation);
+    if (operation.fillColor) {
+      this.ctx.fillStyle = operation.fillColor;
+      this.ctx.fill();
+    }
+    if (operation.stroke !== false) {
+      this.ctx.strokeStyle = color;
+      this.ctx.lineWidth = operation.width;
+      this.ctx.stroke();
+    }
+  }
+
+  // Add a closed shape's outline to the current path
+  traceShape(operation) {
+    const [p0, p1] = operation.points;
+    const type = operation.type;
+
+    if (type === 'circle') {
+      // Circles are drawn from their center (first point) out to the second point
+      this.ctx.arc(p0.x, p0.y, Math.hypot(p1.x - p0.x, p1.y - p0.y), 0, Math.PI * 2);
+      return;
+    }
+
+    if (type === 'ellipse') {
+      this.ctx.ellipse((p0.x + p1.x) / 2, (p0.y + p1.y) / 2, Math.abs(p1.x - p0.x) / 2, Math.abs(p1.y - p0.y) / 2, 0, 0, Math.PI * 2);
+      return;
+    }
+
+    if (type === 'rect' || type === 'rectangle' || type === 'roundrect') {
+      const x = Math.min(p0.x, p1.x);
+      const y = Math.min(p0.y, p1.y);
+      const w = Math.abs(p1.x - p0.x);
+      const h = Math.abs(p1.y - p0.y);
+      if (type !== 'roundrect') {
+        this.ctx.rect(x, y, w, h);
+        return;
+      }
+      const r = Math.min(w, h) * SHAPE_STYLE.cornerRadius;
+      this.ctx.moveTo(x + r, y);
+      this.ctx.arcTo(x + w, y, x + w, y + h, r);
+      this.ctx.arcTo(x + w, y + h, x, y + h, r);
+      this.ctx.arcTo(x, y + h, x, y, r);
+      this.ctx.arcTo(x, y, x + w, y, r);
+      this.ctx.closePath();
+      return;
+    }
+
+    this.getShapeVertices(operation).forEach((p, i) => {
+      if (i === 0) this.ctx.moveTo(p.x, p.y);
+      else this.ctx.lineTo(p.x, p.y);
+    });
+    this.ctx.closePath();
+  }
+
+  // Corners of straight-edged shapes; triangles and stars fit the box between the two points
+  getShapeVertices(operation) {
+    const pts = operation.points;
+    if (operation.type === 'polygon') return pts;
+
+    const [p0, p1] = pts;
+    if (operation.type === 'triangle') {
+      return [{ x: (p0.x + p1.x) / 2, y: p0.y }, { x: p1.x, y: p1.y }, { x: p0.x, y: p1.y }];
+    }
+
+    if (operation.type === 'star') {
+      const cx = (p0.x + p1.x) / 2;
+      const cy = (p0.y + p1.y) / 2;
+      const rx = Math.abs(p1.x - p0.x) / 2;
+      const ry = Math.abs(p1.y - p0.y) / 2;
+      return Array.from({ length: SHAPE_STYLE.starPoints * 2 }, (_, i) => {
+        const angle = -Math.PI / 2 + (i * Math.PI) / SHAPE_STYLE.starPoints;
+        const k = i % 2 === 0 ? 1 : SHAPE_STYLE.starInnerRadius;
+        return { x: cx + Math.cos(angle) * rx * k, y: cy + Math.sin(angle) * ry * k };
+      });
+    }
+
+    return [p0, { x: p1.x, y: p0.y }, p1, { x: p0.x, y: p1.y }];
+  }
+
+  drawArrow(operation, color) {
+    const { start, end, heads } = this.getArrowGeometry(operation);
+    this.ctx.strokeStyle = color;
+    this.ctx.lineWidth = operation.width;
+    this.ctx.beginPath();
+    this.ctx.moveTo(start.x, start.y);
+    this.ctx.lineTo(end.x, end.y);
+    this.ctx.stroke();
+
+    this.ctx.fillStyle = color;
+    heads.forEach(([tip, left, right]) => {
+      this.ctx.beginPath();
+      this.ctx.moveTo(tip.x, tip.y);
+      this.ctx.lineTo(left.x, left.y);
+      this.ctx.lineTo(right.x, right.y);
+      this.ctx.closePath();
+      this.ctx.fill();
+    });
+  }
+
+  // Shaft end points (pulled back so the round cap stays under the head) and
+  // solid head triangles [tip, left, right]; double arrows have a head at each end
+  getArrowGeometry(operation) {
+    const [p0, p1] = operation.points;
+    const size = Math.max(SHAPE_STYLE.arrowHeadMin, operation.width * SHAPE_STYLE.arrowHeadScale);
+    const spread = SHAPE_STYLE.arrowHeadAngle;
+    const angle = Math.atan2(p1.y - p0.y, p1.x - p0.x);
+    const back = size * Math.cos(spread);
+
+    const head = (tip, dir) => [
+      tip,
+      { x: tip.x - size * Math.cos(dir - spread), y: tip.y - size * Math.sin(dir - spread) },
+      { x: tip.x - size * Math.cos(dir + spread), y: tip.y - size * Math.sin(dir + spread) }
+    ];
+    const pull = (tip, dir) => ({ x: tip.x - back * Math.cos(dir), y: tip.y - back * Math.sin(dir) });
+
+    if (operation.type === 'double-arrow') {
+      return {
+        start: pull(p0, angle + Math.PI),
+        end: pull(p1, angle),
+        heads: [head(p1, angle), head(p0, angle + Math.PI)]
+      };
+    }
+    return { start: p0, end: pull(p1, angle), heads: [head(p1, angle)] };
+  }
+
+  // Freeform polygon: each click adds a corner; clicking the first corner again,
+  // double-clicking or pressing Enter closes it, Escape discards it
+  handlePolygonClick(e) {
+    const point = this.getCanvasCoordinates(e);
+
+    if (!this._polygon) {
+      if (!this.canDrawOnCurrentLayer()) return;
+      this._polygon = { points: [point], hover: point };
+      this.scheduleRedraw();
+      return;
+    }
+
+    const points = this._polygon.points;
+    const first = points[0];
+    const last = points[points.length - 1];
+    const reach = this.handleSize / this.camera.zoom;
+    if (points.length >= 3 && Math.hypot(point.x - first.x, point.y - first.y) <= reach) {
+      this.finishPolygon();
+      return;
+    }
+    // The second click of a double-click lands on the corner just added
+    if (Math.hypot(point.x - last.x, point.y - last.y) > reach / 4) {
+      points.push(point);
+    }
+    this.scheduleRedraw();
+  }
+
+  finishPolygon() {
+    const polygon = this._polygon;
+    this._polygon = null;
+    if (!polygon || polygon.points.length < 3) {
+      this.scheduleRedraw();
+      return;
+    }
+
+    this.submitOperation({
+      tool: 'polygon',
+      type: 'polygon',
+      color: this.currentColor,
+      width: this.currentWidth,
+      layerId: this.currentLayerId,
+      ...this.getShapePaint('polygon'),
+      points: polygon.points
+    });
+  }
+
+  // Operations built completely on this side (fills, polygons) are shown right away
+  // and sent in one go. They are dropped from pendingOperations once the server's
+  // list contains them.
+  submitOperation(operation) {
+    operation.id = this.createOperationId();
+    this.addPendingOperation(operation);
+    this.redrawScene();
+    this.sendOperation(operation);
+  }
+
+  // Fill mask cells stretched over the box between the operation's two points
+  drawFill(operation) {
+    if (operation.points.length < 2 || !operation.mask) return;
+    const [p0, p1] = operation.points;
+    const { columns, rows } = operation.mask;
+    this.ctx.save();
+    this.ctx.translate(p0.x, p0.y);
+    this.ctx.scale((p1.x - p0.x) / columns, (p1.y - p0.y) / rows);
+    this.ctx.fillStyle = operation.color;
+    this.ctx.fill(this.getFillPath(operation));
+    this.ctx.restore();
+  }
+
+  // One rectangle per run, in mask grid coordinates (cached per committed operation)
+  getFillPath(operation) {
+    let path = operation.id ? this.fillPaths.get(operation.id) : null;
+    if (path) return path;
+
+    path = new Path2D();
+    const { runs } = operation.mask;
+    for (let i = 0; i < runs.length; i += 3) {
+      path.rect(runs[i + 1], runs[i], runs[i + 2], 1);
+    }
+    if (operation.id) this.fillPaths.set(operation.id, path);
+    return path;
+  }
+
+  handleFillClick(e) {
+    const point = this.getCanvasCoordinates(e);
+    const fill = this.computeFill(point);
+    if (!fill) return;
+
+    this.submitOperation({
+      tool: 'fill',
+      type: 'fill',
+      color: this.currentColor,
+      width: 1,
+      layerId: this.currentLayerId,
+      points: fill.points,
+      mask: fill.mask
+    });
+  }
+
+  // Flood-fill the board as it looks right now (visible layers, board resolution),
+  // starting at a world point. Returns { points, mask } or null if there is nothing to fill.
+  computeFill(point) {
+    const scale = Math.min(1, Math.sqrt(FILL_STYLE.maxPixels / (this.board.width * this.board.height)));
+    const columns = Math.max(1, Math.round(this.board.width * scale));
+    const rows = Math.max(1, Math.round(this.board.height * scale));
+    const seedX = Math.floor(point.x * scale);
+    const seedY = Math.floor(point.y * scale);
+    if (seedX < 0 || seedY < 0 || seedX >= columns || seedY >= rows) return null;
+
+    const pixels = this.renderBoardPixels(columns, rows, scale);
+    const region = this.floodRegion(pixels, columns, rows, seedX, seedY);
+    const mask = this.encodeFillRegion(region, columns, rows);
+    if (!mask) {
+      if (this.onActionBlocked) this.onActionBlocked('That area is too detailed to fill');
+      return null;
+    }
+
+    return {
+      points: [
+        { x: mask.left / scale, y: mask.top / scale },
+        { x: (mask.left + mask.columns) / scale, y: (mask.top + mask.rows) / scale }
+      ],
+      mask: { columns: mask.columns, rows: mask.rows, runs: mask.runs }
+    };
+  }
+
+  // RGBA pixels of the visible board drawn offscreen at the given scale
+  renderBoardPixels(columns, rows, scale) {
+    const offscreen = document.createElement('canvas');
+    offscreen.width = columns;
+    offscreen.height = rows;
+    const ctx = offscreen.getContext('2d', { willReadFrequently: true });
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, columns, rows);
+    ctx.setTransform(scale, 0, 0, scale, 0, 0);
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+
+    // Reuse the normal renderer by pointing it at the offscreen context for a moment
+    const screenCtx = this.ctx;
+    this.ctx = ctx;
+    try {
+      this.operations.forEach(op => {
+        if (!this.hiddenOperationIds.has(op.id) && this.isLayerVisible(op.layerId)) this.drawOperation(op);
+      });
+      this.pendingOperations.forEach(op => this.drawOperation(op));
+    } finally {
+      this.ctx = screenCtx;
+    }
+
+    return ctx.getImageData(0, 0, columns, rows).data;
+  }
+
+  // Scanline flood fill of the pixels close in colour to the seed; returns a 0/1 mask
+  floodRegion(pixels, columns, rows, seedX, seedY) {
+    const region = new Uint8Array(columns * rows);
+    const seed = (seedY * columns + seedX) * 4;
+    const [r, g, b] = [pixels[seed], pixels[seed + 1], pixels[seed + 2]];
+    const matches = (i) => {
+      const o = i * 4;
+      return !region[i] &&
+        Math.abs(pixels[o] - r) <= FILL_STYLE.tolerance &&
+        Math.abs(pixels[o + 1] - g) <= FILL_STYLE.tolerance &&
+        Math.abs(pixels[o + 2] - b) <= FILL_STYLE.tolerance;
+    };
+
+    const stack = [seedY * columns + seedX];
+    while (stack.length > 0) {
+      const start = stack.pop();
+      if (!matches(start)) continue;
+
+      const rowStart = start - (start % columns);
+      const rowEnd = rowStart + columns - 1;
+      let left = start;
+      let right = start;
+      while (left > rowStart && matches(left - 1)) left--;
+      while (right < rowEnd && matches(right + 1)) right++;
+
+      // Queue one seed per matching stretch in the rows above and below
+      let aboveOpen = false;
+      let belowOpen = false;
+      for (let i = left; i <= right; i++) {
+        region[i] = 1;
+        if (i >= columns) {
+          const above = matches(i - columns);
+          if (above && !aboveOpen) stack.push(i - columns);
+          aboveOpen = above;
+        }
+        if (i < columns * (rows - 1)) {
+          const below = matches(i + columns);
+          if (below && !belowOpen) stack.push(i + columns);
+          belowOpen = below;
+        }
+      }
+    }
+
+    return region;
+  }
+
+  // Grow the region by one cell (covering anti-aliased edges) and run-length
+  // encode it relative to its bounding box; null if it has too many runs
+  encodeFillRegion(region, columns, rows) {
+    const grown = region.slice();
+    let top = rows, left = columns, bottom = -1, right = -1;
+    for (let y = 0; y < rows; y++) {
+      for (let x = 0; x < columns; x++) {
+        if (!region[y * columns + x]) continue;
+        if (x > 0) grown[y * columns + x - 1] = 1;
+        if (x < columns - 1) grown[y * columns + x + 1] = 1;
+        if (y > 0) grown[(y - 1) * columns + x] = 1;
+        if (y < rows - 1) grown[(y + 1) * columns + x] = 1;
+        top = Math.min(top, Math.max(0, y - 1));
+        bottom = Math.max(bottom, Math.min(rows - 1, y + 1));
+        left = Math.min(left, Math.max(0, x - 1));
+        right = Math.max(right, Math.min(columns - 1, x + 1));
+      }
+    }
+    if (bottom < 0) return null;
+
+    const runs = [];
+    for (let y = top; y <= bottom; y++) {
+      let x = left;
+      while (x <= right) {
+        if (!grown[y * columns + x]) {
+          x++;
+          continue;
+        }
+        const start = x;
+        while (x <= right && grown[y * columns + x]) x++;
+        runs.push(y - top, start - left, x - start);
+        if (runs.length > FILL_STYLE.maxRuns * 3) return null;
+      }
+    }
+
+    return { top, left, columns: right - left + 1, rows: bottom - top + 1, runs };
+  }
+
+  // World-space box around a text operation (for hit-testing)
+  getTextBounds(operation) {
+    const size = operation.fontSize || 24;
+    const lines = (operation.text || '').split('\n');
+    this.ctx.save();
+    this.ctx.font = `${size}px ${TEXT_STYLE.fontFamily}`;
+    const width = Math.max(...lines.map(line => this.ctx.measureText(line).width));
+    this.ctx.restore();
+    const { x, y } = operation.points[0];
+    return { x, y, width, height: lines.length * size * TEXT_STYLE.lineHeight };
+  }
+
+  // Topmost committed text operation under a world point
+  findTextAt(point) {
+    for (let i = this.operations.length - 1; i >= 0; i--) {
+      const op = this.operations[i];
+      if (op.type !== 'text' || this.hiddenOperationIds.has(op.id) || !this.isLayerEditable(op.layerId)) continue;
+      const b = this.getTextBounds(op);
+      if (point.x >= b.x && point.x <= b.x + b.width && point.y >= b.y && point.y <= b.y + b.height) {
+        return op;
+      }
+    }
+    return null;
+  }
+
+  handleTextClick(e) {
+    // Clicking away from an open editor commits it; the next click starts a new one
+    if (this.textEditor) {
+      this.commitText();
+      return;
+    }
+
+    const point = this.getCanvasCoordinates(e);
+    const existing = this.findTextAt(point);
+    if (!existing && !this.canDrawOnCurrentLayer()) return;
+    this.startTextEditing(existing ? existing.points[0] : point, existing);
+  }
+
+  // Open an inline editor for new text at a point, or for an existing text operation
+  startTextEditing(point, existing = null) {
+    const operation = {
+      id: this.createOperationId(),
+      tool: 'text',
+      type: 'text',
+      color: existing ? existing.color : this.currentColor,
+      width: this.currentWidth,
+      fontSize: existing ? existing.fontSize : this.currentFontSize,
+      text: existing ? existing.text : '',
+      points: [{ x: point.x, y: point.y }],
+      layerId: existing ? existing.layerId : this.currentLayerId,
+      replaces: existing ? existing.id : null
+    };
+
+    const element = document.createElement('textarea');
+    element.className = 'text-editor';
+    element.wrap = 'off';
+    element.rows = 1;
+    element.spellcheck = false;
+    element.value = operation.text;
+    element.style.color = operation.color;
+    this.canvas.parentElement.appendChild(element);
+
+    this.textEditor = { element, operation };
+    if (existing) {
+      this.hiddenOperationIds.add(existing.id);
+      this.redrawScene();
+    }
+    this.positionTextEditor();
+
+    element.addEventListener('input', () => {
+      operation.text = element.value;
+      this.positionTextEditor();
+      if (this.onTextUpdate) {
+        this.onTextUpdate({ operationId: operation.id, text: operation.text });
+      }
+    });
+
+    element.addEventListener('keydown', (e) => {
+      // Enter commits, Shift+Enter adds a line, Escape cancels
+      if (e.key === 'Enter' && !e.shiftKey) {
+        e.preventDefault();
+        this.commitText();
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        this.cancelText();
+      }
+    });
+
+    element.addEventListener('blur', () => this.commitText());
+
+    if (this.onDrawStart) {
+      this.onDrawStart({
+        operationId: operation.id,
+        x: point.x,
+        y: point.y,
+        color: operation.color,
+        width: operation.width,
+        tool: 'text',
+        text: operation.text,
+        fontSize: operation.fontSize,
+        layerId: operation.layerId,
+        replaces: operation.replaces
+      });
+    }
+
+    setTimeout(() => element.focus(), 0);
+  }
+
+  // Keep the editor over its world position and sized to its content at the current zoom
+  positionTextEditor() {
+    if (!this.textEditor) return;
+    const { element, operation } = this.textEditor;
+    const canvasRect = this.canvas.getBoundingClientRect();
+    const containerRect = this.canvas.parentElement.getBoundingClientRect();
+    const screen = this.worldToScreen(operation.points[0].x, operation.points[0].y);
+    const fontSize = operation.fontSize * this.camera.zoom;
+
+    element.style.left = `${canvasRect.left - containerRect.left + screen.x}px`;
+    element.style.top = `${canvasRect.top - containerRect.top + screen.y}px`;
+    element.style.font = `${fontSize}px ${TEXT_STYLE.fontFamily}`;
+    element.style.lineHeight = String(TEXT_STYLE.lineHeight);
+    element.rows = Math.max(1, element.value.split('\n').length);
+    element.style.width = '0px';
+    element.style.width = `${element.scrollWidth + fontSize}px`;
+  }
+
+  commitText() {
+    const editor = this.textEditor;
+    if (!editor) return;
+    this.textEditor = null;
+
+    const { element, operation } = editor;
+    operation.text = element.value;
+    element.remove();
+
+    this.releaseHiddenOperation(operation);
+    if (operation.text.trim()) {
+      this.addPendingOperation(operation);
+      this.drawOperation(operation);
+    } else {
+      this.redrawScene();
+    }
+
+    this.finishText(operation);
+  }
+
+  cancelText() {
+    // Empty text is discarded by the server, leaving any edited original untouched
+    if (!this.textEditor) return;
+    this.textEditor.element.value = '';
+    this.commitText();
+  }
+
+  finishText(operation) {
+    if (this.onTextUpdate) {
+      this.onTextUpdate({ operationId: operation.id, text: operation.text });
+    }
+    if (this.onDrawEnd) {
+      this.onDrawEnd({ operationId: operation.id });
+    }
+  }
+
+  // An edit that was cancelled (empty text) shows the original again right away;
+  // otherwise the original stays hidden until the server's update removes it
+  releaseHiddenOperation(operation) {
+    if (operation.replaces && !(operation.text || '').trim()) {
+      this.hiddenOperationIds.delete(operation.replaces);
+    }
+  }
+
   // Incrementally draws only the newest segments of a remote brush stroke
   drawRemoteOperationIncremental(operationId, operation) {
     if (!operation || !operation.points || operation.points.length === 0) return;
+    // Not over a replay; strokes still going on when it ends are drawn whole then
+    if (this.replayFrame) return;
+    if (!this.isLayerVisible(operation.layerId)) return;
     
     const type = operation.type || operation.tool || 'brush';
-    if (type === 'line' || type === 'rect' || type === 'rectangle' || type === 'circle') {
+
+    // Typed text can change anywhere (including deletions), so repaint instead of appending
+    if (type === 'text') {
+      this.remoteOperations.set(operationId, { lastDrawnIndex: -1, operation });
+      if (operation.replaces) {
+        this.hiddenOperationIds.add(operation.replaces);
+      }
+      this.scheduleRedraw();
+      return;
+    }
+
+    if (TWO_POINT_SHAPES.has(type) || type === 'rectangle' || type === 'fill' || type === 'polygon') {
       if (operation.points.length >= 2) {
         this.drawOperation(operation);
       }
@@ -537,6 +1640,8 @@ class CanvasManager {
       tracking = { lastDrawnIndex: -1 };
       this.remoteOperations.set(operationId, tracking);
     }
+    // Keep a reference so the stroke can be repainted after pan/zoom
+    tracking.operation = operation;
     
     const color = operation.type === 'eraser' ? '#ffffff' : operation.color;
     const width = operation.width;
@@ -544,56 +1649,570 @@ class CanvasManager {
     if (tracking.lastDrawnIndex === -1 && operation.points.length > 0) {
       const firstPoint = operation.points[0];
       this.ctx.beginPath();
-      this.ctx.arc(firstPoint.x, firstPoint.y, width / 2, 0, Math.PI * 2);
+      this.ctx.arc(firstPoint.x, firstPoint.y, this.getPressureWidth(width, firstPoint) / 2, 0, Math.PI * 2);
       this.ctx.fillStyle = color;
       this.ctx.fill();
       tracking.lastDrawnIndex = 0;
     }
     
-    if (operation.points.length > tracking.lastDrawnIndex + 1) {
+    // Segment by segment, like the local preview, so pen pressure shows while drawing
+    this.ctx.strokeStyle = color;
+    for (let i = tracking.lastDrawnIndex + 1; i < operation.points.length; i++) {
+      const from = operation.points[i - 1];
+      const to = operation.points[i];
+      this.ctx.lineWidth = this.getPressureWidth(width, to);
       this.ctx.beginPath();
-      this.ctx.moveTo(
-        operation.points[tracking.lastDrawnIndex].x,
-        operation.points[tracking.lastDrawnIndex].y
-      );
-      
-      for (let i = tracking.lastDrawnIndex + 1; i < operation.points.length; i++) {
-        this.ctx.lineTo(operation.points[i].x, operation.points[i].y);
-      }
-      
-      this.ctx.strokeStyle = color;
-      this.ctx.lineWidth = width;
+      this.ctx.moveTo(from.x, from.y);
+      this.ctx.lineTo(to.x, to.y);
       this.ctx.stroke();
-      tracking.lastDrawnIndex = operation.points.length - 1;
     }
+    tracking.lastDrawnIndex = operation.points.length - 1;
   }
 
   // Stop tracking a remote operation once it is completed
   finalizeRemoteOperation(operationId) {
+    const tracking = this.remoteOperations.get(operationId);
     this.remoteOperations.delete(operationId);
+
+    if (tracking && tracking.operation && tracking.operation.type === 'text') {
+      this.releaseHiddenOperation(tracking.operation);
+      this.scheduleRedraw();
+    }
   }
 
   clear() {
     // Reset canvas to solid white (not transparent) for consistent visuals
-    const rect = this.canvas.parentElement.getBoundingClientRect();
-    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-    this.ctx.fillStyle = 'white';
-    this.ctx.fillRect(0, 0, rect.width, rect.height);
+    this.operations = [];
+    this.pendingOperations = [];
     this.remoteOperations.clear();
+    this.redrawScene();
   }
 
   redrawOperations(operations) {
     // Full repaint using authoritative list of operations
-    const rect = this.canvas.parentElement.getBoundingClientRect();
-    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-    this.ctx.fillStyle = 'white';
-    this.ctx.fillRect(0, 0, rect.width, rect.height);
+    this.setOperations(operations);
+    this.redrawScene();
+  }
 
-    operations.forEach(op => this.drawOperation(op));
+  // Take a new authoritative list of operations (repainting is up to the caller)
+  setOperations(operations) {
+    this.operations = this.sortByLayer(operations);
+
+    // Our pending operations that are now part of the list, and masks of removed fills, can be dropped
+    const ids = new Set(operations.map(op => op.id));
+    this.pendingOperations = this.pendingOperations.filter(op => !ids.has(op.id));
+    this.fillPaths.forEach((path, id) => {
+      if (!ids.has(id)) this.fillPaths.delete(id);
+    });
+
+    // Edited text that has been replaced on the server no longer needs hiding,
+    // and selected operations that are gone can't stay selected
+    this.hiddenOperationIds.forEach(id => {
+      if (!ids.has(id)) this.hiddenOperationIds.delete(id);
+    });
+    const selectionSize = this.selectedIds.size;
+    this.selectedIds.forEach(id => {
+      if (!ids.has(id)) this.selectedIds.delete(id);
+    });
+    if (this.selectedIds.size !== selectionSize) {
+      this.notifySelectionChange();
+    }
   }
 
-  setTool(tool) {
-    this.currentTool = tool;
+  // Repaint committed operations plus anything still being drawn, through the current camera
+  redrawScene() {
+    this.fillBackground();
+
+    if (this.replayFrame) {
+      this.replayFrame.forEach(op => {
+        if (this.isLayerVisible(op.layerId)) this.drawOperation(op);
+      });
+      return;
+    }
+
+    // While a selection is being moved/scaled, draw it at its preview position instead
+    const transform = this.getSelectTransform();
+    this.operations.forEach(op => {
+      if (this.hiddenOperationIds.has(op.id) || !this.isLayerVisible(op.layerId)) return;
+      if (transform && this.selectedIds.has(op.id)) {
+        this.drawOperation(this.transformOperation(op, transform));
+        return;
+      }
+      this.drawOperation(op);
+    });
+    this.pendingOperations.forEach(op => this.drawPendingOperation(op));
+
+    this.remoteOperations.forEach((tracking, operationId) => {
+      if (!tracking.operation) return;
+      if (tracking.operation.type === 'text') {
+        this.drawOperation(tracking.operation);
+        return;
+      }
+      tracking.lastDrawnIndex = -1;
+      this.drawRemoteOperationIncremental(operationId, tracking.operation);
+    });
+
+    const isShape = TWO_POINT_SHAPES.has(this.currentTool);
+    if (this.isDrawing && this.currentOperation && !isShape) {
+      this.drawOperation({ ...this.currentOperation, type: this.currentOperation.tool });
+    }
+
+    // Polygon being placed, closed through the pointer
+    if (this._polygon) {
+      const points = [...this._polygon.points, this._polygon.hover];
+      this.drawOperation({ type: 'polygon', color: this.currentColor, width: this.currentWidth, ...this.getShapePaint('polygon'), points });
+    }
+
+    this.drawSelectionOverlay();
+  }
+
+  // Replace the room's layer list (bottom to top) and repaint in the new order
+  setLayers(layers) {
+    this.layers = layers;
+    if (!this.layers.some(layer => layer.id === this.currentLayerId)) {
+      this.currentLayerId = this.layers.length > 0 ? this.layers[this.layers.length - 1].id : null;
+    }
+
+    // Operations on layers that just became hidden or locked can't stay selected
+    const selectionSize = this.selectedIds.size;
+    this.operations.forEach(op => {
+      if (this.selectedIds.has(op.id) && !this.isSelectable(op)) this.selectedIds.delete(op.id);
+    });
+    if (this.selectedIds.size !== selectionSize) {
+      this.notifySelectionChange();
+    }
+
+    this.operations = this.sortByLayer(this.operations);
+    this.redrawScene();
+  }
+
+  setCurrentLayer(layerId) {
+    if (this.layers.some(layer => layer.id === layerId)) {
+      this.currentLayerId = layerId;
+    }
+  }
+
+  // Layer an operation belongs to; unknown ids fall back to the bottom layer (as on the server)
+  getLayer(layerId) {
+    return this.layers.find(layer => layer.id === layerId) || this.layers[0] || null;
+  }
+
+  isLayerVisible(layerId) {
+    const layer = this.getLayer(layerId);
+    return !layer || layer.visible;
+  }
+
+  isLayerEditable(layerId) {
+    const layer = this.getLayer(layerId);
+    return !layer || !layer.locked;
+  }
+
+  // Stable sort into drawing order: bottom layer first, commit order within a layer
+  sortByLayer(operations) {
+    const order = new Map(this.layers.map((layer, index) => [layer.id, index]));
+    const indexOf = (op) => (order.has(op.layerId) ? order.get(op.layerId) : 0);
+    return [...operations].sort((a, b) => indexOf(a) - indexOf(b) || (a.seq || 0) - (b.seq || 0));
+  }
+
+  // New strokes go on the current layer, which must be visible and unlocked
+  canDrawOnCurrentLayer() {
+    const layer = this.getLayer(this.currentLayerId);
+    if (layer && (layer.locked || !layer.visible)) {
+      if (this.onActionBlocked) {
+        this.onActionBlocked(`Layer "${layer.name}" is ${layer.locked ? 'locked' : 'hidden'}`);
+      }
+      return false;
+    }
+    return true;
+  }
+
+  // World-space bounding box of an operation, including stroke width
+  getOperationBounds(operation) {
+    if (operation.type === 'text') {
+      return this.getTextBounds(operation);
+    }
+
+    const pad = (operation.width || 0) / 2;
+    const pts = operation.points;
+    if (operation.type === 'circle' && pts.length >= 2) {
+      const r = Math.hypot(pts[1].x - pts[0].x, pts[1].y - pts[0].y) + pad;
+      return { x: pts[0].x - r, y: pts[0].y - r, width: r * 2, height: r * 2 };
+    }
+
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    pts.forEach(p => {
+      minX = Math.min(minX, p.x); minY = Math.min(minY, p.y);
+      maxX = Math.max(maxX, p.x); maxY = Math.max(maxY, p.y);
+    });
+    return { x: minX - pad, y: minY - pad, width: maxX - minX + pad * 2, height: maxY - minY + pad * 2 };
+  }
+
+  getSelectionBounds() {
+    let bounds = null;
+    this.operations.forEach(op => {
+      if (!this.selectedIds.has(op.id)) return;
+      const b = this.getOperationBounds(op);
+      if (!bounds) {
+        bounds = { ...b };
+        return;
+      }
+      const right = Math.max(bounds.x + bounds.width, b.x + b.width);
+      const bottom = Math.max(bounds.y + bounds.height, b.y + b.height);
+      bounds.x = Math.min(bounds.x, b.x);
+      bounds.y = Math.min(bounds.y, b.y);
+      bounds.width = right - bounds.x;
+      bounds.height = bottom - bounds.y;
+    });
+    return bounds;
+  }
+
+  // Does a world point touch the visible ink of an operation?
+  hitTestOperation(operation, point, tolerance) {
+    const type = operation.type;
+    const pts = operation.points;
+    const reach = (operation.width || 0) / 2 + tolerance;
+
+    if (type === 'text') {
+      const b = this.getTextBounds(operation);
+      return point.x >= b.x && point.x <= b.x + b.width && point.y >= b.y && point.y <= b.y + b.height;
+    }
+
+    if (type === 'fill') {
+      return this.hitTestFill(operation, point);
+    }
+
+    let path = pts;
+    if (FILLABLE_SHAPES.has(type) && pts.length >= 2) {
+      const outline = this.getShapeOutline(operation);
+      if (operation.fillColor && this.isPointInPolygon(point, outline)) return true;
+      if (operation.stroke === false) return false;
+      path = [...outline, outline[0]];
+    }
+
+    if (path.length === 1) {
+      return Math.hypot(point.x - path[0].x, point.y - path[0].y) <= reach;
+    }
+    for (let i = 1; i < path.length; i++) {
+      if (this.distanceToSegment(point, path[i - 1], path[i]) <= reach) return true;
+    }
+    return false;
+  }
+
+  // Closed shape outline as a polygon (curves approximated), for hit-testing
+  getShapeOutline(operation) {
+    const [p0, p1] = operation.points;
+    if (operation.type === 'circle' || operation.type === 'ellipse') {
+      const isCircle = operation.type === 'circle';
+      const cx = isCircle ? p0.x : (p0.x + p1.x) / 2;
+      const cy = isCircle ? p0.y : (p0.y + p1.y) / 2;
+      const rx = isCircle ? Math.hypot(p1.x - p0.x, p1.y - p0.y) : Math.abs(p1.x - p0.x) / 2;
+      const ry = isCircle ? rx : Math.abs(p1.y - p0.y) / 2;
+      return Array.from({ length: 64 }, (_, i) => ({
+        x: cx + rx * Math.cos((i * Math.PI) / 32),
+        y: cy + ry * Math.sin((i * Math.PI) / 32)
+      }));
+    }
+    return this.getShapeVertices(operation);
+  }
+
+  // Even-odd ray casting test
+  isPointInPolygon(point, vertices) {
+    let inside = false;
+    for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+      const a = vertices[i];
+      const b = vertices[j];
+      if ((a.y > point.y) !== (b.y > point.y) && point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+
+  // Is a world point inside one of the fill's mask cells?
+  hitTestFill(operation, point) {
+    if (operation.points.length < 2 || !operation.mask) return false;
+    const [p0, p1] = operation.points;
+    const { columns, rows, runs } = operation.mask;
+    const column = Math.floor(((point.x - p0.x) / (p1.x - p0.x)) * columns);
+    const row = Math.floor(((point.y - p0.y) / (p1.y - p0.y)) * rows);
+    if (!(column >= 0 && column < columns && row >= 0 && row < rows)) return false;
+    for (let i = 0; i < runs.length; i += 3) {
+      if (runs[i] === row && column >= runs[i + 1] && column < runs[i + 1] + runs[i + 2]) return true;
+    }
+    return false;
+  }
+
+  distanceToSegment(p, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq));
+    return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+  }
+
+  // Erasers paint background, so they are not treated as selectable objects;
+  // neither is anything on a hidden or locked layer
+  isSelectable(operation) {
+    return operation.type !== 'eraser' &&
+      !this.hiddenOperationIds.has(operation.id) &&
+      this.isLayerVisible(operation.layerId) &&
+      this.isLayerEditable(operation.layerId);
+  }
+
+  findOperationAt(point) {
+    const tolerance = 4 / this.camera.zoom;
+    for (let i = this.operations.length - 1; i >= 0; i--) {
+      const op = this.operations[i];
+      if (this.isSelectable(op) && this.hitTestOperation(op, point, tolerance)) {
+        return op;
+      }
+    }
+    return null;
+  }
+
+  // Corner handle of the selection box under a world point, if any
+  getHandleAt(point) {
+    const bounds = this.getSelectionBounds();
+    if (!bounds) return null;
+    const reach = this.handleSize / this.camera.zoom;
+    const corners = this.getHandleCorners(bounds);
+    return Object.keys(corners).find(name =>
+      Math.abs(point.x - corners[name].x) <= reach && Math.abs(point.y - corners[name].y) <= reach
+    ) || null;
+  }
+
+  getHandleCorners(b) {
+    return {
+      nw: { x: b.x, y: b.y },
+      ne: { x: b.x + b.width, y: b.y },
+      sw: { x: b.x, y: b.y + b.height },
+      se: { x: b.x + b.width, y: b.y + b.height }
+    };
+  }
+
+  startSelect(e) {
+    const point = this.getCanvasCoordinates(e);
+
+    const handle = this.selectedIds.size > 0 ? this.getHandleAt(point) : null;
+    if (handle) {
+      this._selectDrag = { mode: 'scale', handle, start: point, current: point, bounds: this.getSelectionBounds() };
+      return;
+    }
+
+    const hit = this.findOperationAt(point);
+    if (hit) {
+      if (e.shiftKey && this.selectedIds.has(hit.id)) {
+        this.selectedIds.delete(hit.id);
+      } else if (e.shiftKey) {
+        this.selectedIds.add(hit.id);
+      } else if (!this.selectedIds.has(hit.id)) {
+        this.selectedIds = new Set([hit.id]);
+      }
+      if (this.selectedIds.has(hit.id)) {
+        this._selectDrag = { mode: 'move', start: point, current: point };
+      }
+    } else {
+      // Empty space: rubber-band selection (Shift adds to the current selection)
+      if (!e.shiftKey) this.selectedIds.clear();
+      this._selectDrag = { mode: 'marquee', start: point, current: point, base: new Set(this.selectedIds) };
+    }
+
+    this.notifySelectionChange();
+    this.scheduleRedraw();
+  }
+
+  updateSelect(e) {
+    const drag = this._selectDrag;
+    drag.current = this.getCanvasCoordinates(e);
+
+    if (drag.mode === 'marquee') {
+      const rect = this.getMarqueeRect();
+      const selected = new Set(drag.base);
+      this.operations.forEach(op => {
+        if (!this.isSelectable(op)) return;
+        const b = this.getOperationBounds(op);
+        const overlaps = b.x <= rect.x + rect.width && b.x + b.width >= rect.x &&
+          b.y <= rect.y + rect.height && b.y + b.height >= rect.y;
+        if (overlaps) selected.add(op.id);
+      });
+      this.selectedIds = selected;
+      this.notifySelectionChange();
+    }
+
+    this.scheduleRedraw();
+  }
+
+  endSelect() {
+    const drag = this._selectDrag;
+    if (!drag) return;
+
+    const transform = this.getSelectTransform();
+    this._selectDrag = null;
+
+    if (transform && this.selectedIds.size > 0) {
+      // The server applies the transform itself, so long strokes aren't sent back
+      // point by point; only text, which it can't measure, comes with its new box
+      const changes = [];
+      this.operations = this.operations.map(op => {
+        if (!this.selectedIds.has(op.id)) return op;
+        const moved = this.transformOperation(op, transform);
+        changes.push(op.type === 'text'
+          ? { id: op.id, points: moved.points, fontSize: moved.fontSize }
+          : { id: op.id });
+        // Show the result right away; the server's update confirms it
+        return moved;
+      });
+
+      if (this.onTransformOperations) {
+        const { scaleX, scaleY, translateX, translateY } = transform;
+        this.onTransformOperations({ transform: { scaleX, scaleY, translateX, translateY }, changes });
+      }
+    }
+
+    this.scheduleRedraw();
+  }
+
+  getMarqueeRect() {
+    const { start, current } = this._selectDrag;
+    return {
+      x: Math.min(start.x, current.x),
+      y: Math.min(start.y, current.y),
+      width: Math.abs(current.x - start.x),
+      height: Math.abs(current.y - start.y)
+    };
+  }
+
+  // Point mapping for the move/scale drag in progress (x * scaleX + translateX,
+  // likewise for y), or null if nothing would change
+  getSelectTransform() {
+    const drag = this._selectDrag;
+    if (!drag || drag.mode === 'marquee') return null;
+
+    const dx = drag.current.x - drag.start.x;
+    const dy = drag.current.y - drag.start.y;
+    if (dx === 0 && dy === 0) return null;
+
+    if (drag.mode === 'move') {
+      return { map: (p) => ({ ...p, x: p.x + dx, y: p.y + dy }), scaleX: 1, scaleY: 1, translateX: dx, translateY: dy };
+    }
+
+    // Scale relative to the corner opposite the dragged handle
+    const corners = this.getHandleCorners(drag.bounds);
+    const opposite = { nw: 'se', ne: 'sw', sw: 'ne', se: 'nw' }[drag.handle];
+    const anchor = corners[opposite];
+    const origin = corners[drag.handle];
+    const safe = (v) => (Math.abs(v) < 0.001 ? 0.001 : v);
+    const scaleX = (drag.current.x - anchor.x) / safe(origin.x - anchor.x);
+    const scaleY = (drag.current.y - anchor.y) / safe(origin.y - anchor.y);
+
+    return {
+      map: (p) => ({ ...p, x: anchor.x + (p.x - anchor.x) * scaleX, y: anchor.y + (p.y - anchor.y) * scaleY }),
+      scaleX,
+      scaleY,
+      translateX: anchor.x * (1 - scaleX),
+      translateY: anchor.y * (1 - scaleY)
+    };
+  }
+
+  // Copy of an operation with its geometry run through a select transform
+  transformOperation(operation, transform) {
+    if (operation.type === 'text') {
+      // Text keeps its top-left anchoring, so map the whole box and scale the font
+      const b = this.getTextBounds(operation);
+      const a = transform.map({ x: b.x, y: b.y });
+      const c = transform.map({ x: b.x + b.width, y: b.y + b.height });
+      return {
+        ...operation,
+        points: [{ x: Math.min(a.x, c.x), y: Math.min(a.y, c.y) }],
+        fontSize: Math.max(8, Math.min(200, operation.fontSize * Math.abs(transform.scaleY)))
+      };
+    }
+    return { ...operation, points: operation.points.map(transform.map) };
+  }
+
+  drawSelectionOverlay() {
+    const zoom = this.camera.zoom;
+    this.ctx.save();
+    this.ctx.lineWidth = 1 / zoom;
+    this.ctx.strokeStyle = '#3b82f6';
+
+    if (this._selectDrag && this._selectDrag.mode === 'marquee') {
+      const r = this.getMarqueeRect();
+      this.ctx.fillStyle = 'rgba(59, 130, 246, 0.08)';
+      this.ctx.setLineDash([4 / zoom, 4 / zoom]);
+      this.ctx.fillRect(r.x, r.y, r.width, r.height);
+      this.ctx.strokeRect(r.x, r.y, r.width, r.height);
+      this.ctx.setLineDash([]);
+    }
+
+    let bounds = this.getSelectionBounds();
+    const transform = this.getSelectTransform();
+    if (bounds && transform) {
+      const a = transform.map({ x: bounds.x, y: bounds.y });
+      const c = transform.map({ x: bounds.x + bounds.width, y: bounds.y + bounds.height });
+      bounds = { x: Math.min(a.x, c.x), y: Math.min(a.y, c.y), width: Math.abs(c.x - a.x), height: Math.abs(c.y - a.y) };
+    }
+
+    if (bounds) {
+      this.ctx.strokeRect(bounds.x, bounds.y, bounds.width, bounds.height);
+      const size = this.handleSize / zoom;
+      this.ctx.fillStyle = 'white';
+      Object.values(this.getHandleCorners(bounds)).forEach(c => {
+        this.ctx.fillRect(c.x - size / 2, c.y - size / 2, size, size);
+        this.ctx.strokeRect(c.x - size / 2, c.y - size / 2, size, size);
+      });
+    }
+
+    this.ctx.restore();
+  }
+
+  // Follow the server's new ids for operations we transformed
+  applyTransformReplacements(replacements) {
+    let changed = false;
+    replacements.forEach(({ from, to }) => {
+      if (this.selectedIds.delete(from)) {
+        this.selectedIds.add(to);
+        changed = true;
+      }
+    });
+    if (changed) this.notifySelectionChange();
+  }
+
+  deleteSelection() {
+    if (this.selectedIds.size === 0 || this.readOnly) return;
+    const operationIds = Array.from(this.selectedIds);
+
+    this.operations = this.operations.filter(op => !this.selectedIds.has(op.id));
+    this.clearSelection();
+
+    if (this.onDeleteOperations) {
+      this.onDeleteOperations({ operationIds });
+    }
+  }
+
+  clearSelection() {
+    this._selectDrag = null;
+    if (this.selectedIds.size === 0) return;
+    this.selectedIds.clear();
+    this.notifySelectionChange();
+    this.scheduleRedraw();
+  }
+
+  notifySelectionChange() {
+    if (this.onSelectionChange) {
+      this.onSelectionChange(this.selectedIds.size);
+    }
+  }
+
+  // Snapshot of exactly what is on screen (current pan/zoom) as a PNG blob
+  exportImage(callback) {
+    // Leave the selection box out of the snapshot (toBlob copies the bitmap immediately)
+    const selected = this.selectedIds;
+    this.selectedIds = new Set();
+    this.redrawScene();
+    this.canvas.toBlob(callback, 'image/png');
+    this.selectedIds = selected;
+    this.redrawScene();
   }
 
   setColor(color) {
@@ -604,6 +2223,33 @@ class CanvasManager {
     this.currentWidth = width;
   }
 
+  setFontSize(size) {
+    this.currentFontSize = size;
+  }
+
+  setShapeStyle(style) {
+    this.shapeStyle = style;
+  }
+
+  setFillColor(color) {
+    this.fillColor = color;
+  }
+
+  setTool(tool) {
+    // Leaving the text tool commits whatever is being typed
+    if (tool !== 'text') {
+      this.commitText();
+    }
+    if (tool !== 'select') {
+      this.clearSelection();
+    }
+    if (tool !== 'polygon') {
+      this.finishPolygon();
+    }
+    this.currentTool = tool;
+    this.canvas.style.cursor = this.getToolCursor();
+  }
+
   updateCursor(e) {
     if (!this.onCursorMove) return;
     
@@ -625,9 +2271,10 @@ class CanvasManager {
       this.remoteCursors.set(userId, cursor);
     }
     
-    const rect = this.canvas.getBoundingClientRect();
-    cursor.style.left = `${rect.left + x}px`;
-    cursor.style.top = `${rect.top + y}px`;
+    // Remote cursors arrive in world coordinates; place them through our own camera
+    cursor.worldX = x;
+    cursor.worldY = y;
+    this.positionRemoteCursor(cursor);
     cursor.style.display = 'block';
     
     clearTimeout(cursor.hideTimeout);
@@ -636,6 +2283,65 @@ class CanvasManager {
     }, 3000);
   }
 
+  positionRemoteCursor(cursor) {
+    const { x, y } = this.worldToViewport(cursor.worldX, cursor.worldY);
+    cursor.style.left = `${x}px`;
+    cursor.style.top = `${y}px`;
+  }
+
+  // Board coordinates to the page's (fixed-position) viewport coordinates, for
+  // elements laid over the canvas; inside says whether the point is on the canvas
+  worldToViewport(x, y) {
+    const rect = this.canvas.getBoundingClientRect();
+    const screen = this.worldToScreen(x, y);
+    return {
+      x: rect.left + screen.x,
+      y: rect.top + screen.y,
+      inside: screen.x >= 0 && screen.y >= 0 && screen.x <= rect.width && screen.y <= rect.height
+    };
+  }
+
+  // Comment threads as numbered pins over the board, in the order they were
+  // opened; resolved ones are faded. Clicking a pin opens its thread.
+  setCommentPins(threads) {
+    const ids = new Set(threads.map(thread => thread.id));
+    this.commentPins.forEach((pin, id) => {
+      if (!ids.has(id)) {
+        pin.remove();
+        this.commentPins.delete(id);
+      }
+    });
+
+    threads.forEach((thread, index) => {
+      let pin = this.commentPins.get(thread.id);
+      if (!pin) {
+        pin = document.createElement('button');
+        pin.type = 'button';
+        pin.className = 'comment-pin';
+        pin.addEventListener('click', () => {
+          if (this.onCommentPinClick) this.onCommentPinClick(thread.id);
+        });
+        document.getElementById('canvasOverlay').appendChild(pin);
+        this.commentPins.set(thread.id, pin);
+      }
+      const first = thread.comments[0];
+      pin.textContent = String(index + 1);
+      pin.title = first ? `${first.username}: ${first.text}` : '';
+      pin.classList.toggle('resolved', thread.resolved);
+      pin.worldX = thread.x;
+      pin.worldY = thread.y;
+      this.positionCommentPin(pin);
+    });
+  }
+
+  // Pins scrolled off the canvas are hidden rather than drawn over the toolbar
+  positionCommentPin(pin) {
+    const { x, y, inside } = this.worldToViewport(pin.worldX, pin.worldY);
+    pin.style.left = `${x}px`;
+    pin.style.top = `${y}px`;
+    pin.hidden = !inside;
+  }
+
   hideRemoteCursor(userId) {
     const cursor = this.remoteCursors.get(userId);
     if (cursor) {
@@ -17,27 +17,63 @@ class CollaborativeCanvas {
   }
 
   setupCanvasWebSocketIntegration() {
-    // Canvas → WebSocket: forward local drawing lifecycle to server
+    // Canvas → WebSocket: forward local drawing lifecycle to server. While offline
+    // (until the rejoined room's state arrives) nothing is forwarded; the canvas
+    // sends unconfirmed operations again, whole, once we are back.
     this.canvas.onDrawStart = (data) => {
+      if (this.canvas.offline) return;
       this.websocket.sendDrawStart({
+        operationId: data.operationId,
         x: data.x,
         y: data.y,
+        p: data.p,
+        tx: data.tx,
+        ty: data.ty,
         color: data.color || this.canvas.currentColor,
         width: data.width || this.canvas.currentWidth,
-        tool: data.tool || this.canvas.currentTool
+        tool: data.tool || this.canvas.currentTool,
+        layerId: data.layerId,
+        text: data.text,
+        fontSize: data.fontSize,
+        replaces: data.replaces,
+        mask: data.mask,
+        fillColor: data.fillColor,
+        stroke: data.stroke
       });
     };
 
+    // Live text content while a label is being typed
+    this.canvas.onTextUpdate = (data) => {
+      if (this.canvas.offline) return;
+      this.websocket.sendTextUpdate(data);
+    };
+
     // Stream batched points while drawing
     this.canvas.onDrawMove = (data) => {
+      if (this.canvas.offline) return;
       this.websocket.sendDrawMove(data);
     };
 
     // Finalize operation on release
     this.canvas.onDrawEnd = (data) => {
+      if (this.canvas.offline) return;
       this.websocket.sendDrawEnd(data);
     };
 
+    // Select tool: move/scale and delete existing operations
+    this.canvas.onTransformOperations = (data) => {
+      this.websocket.sendTransformOperations(data);
+    };
+
+    this.canvas.onDeleteOperations = (data) => {
+      this.websocket.sendDeleteOperations(data);
+    };
+
+    // Things the canvas refuses locally (locked/hidden layer, fill area too detailed)
+    this.canvas.onActionBlocked = (message) => {
+      if (this.ui) this.ui.showNotification(message, 'warning');
+    };
+
     // Lightweight cursor streaming for presence
     this.canvas.onCursorMove = (data) => {
       this.websocket.sendCursorMove(data.x, data.y);
@@ -45,9 +81,8 @@ class CollaborativeCanvas {
   }
 
   setupWebSocketHandlers() {
-    this.websocket.onOperationStarted = (operationId) => {
-      console.log('✅ Operation started:', operationId);
-      this.canvas.setOperationId(operationId);
+    this.websocket.onOperationRejected = (operationId) => {
+      this.canvas.rejectOperation(operationId);
     };
 
     // Authoritative room state from server after joining/reconnecting
@@ -58,22 +93,128 @@ class CollaborativeCanvas {
         this.ui = new UIManager(this.canvas, this.websocket);
       }
 
-      this.canvas.redrawOperations(data.operations || []);
+      // Board size is fixed per room; everyone letterboxes the same logical board
+      this.canvas.setBoard(data.board);
+      this.ui.applyRole(data.user?.role, Boolean(data.user?.muted));
+      this.canvas.setLayers(data.layers || []);
+      this.canvas.setOffline(false);
+      this.canvas.redrawOperations(this.websocket.operations);
+      // Replay what we drew while disconnected (operations the fresh list already
+      // has were dropped from the queue by redrawOperations) and continue the
+      // strokes the server kept for our resumed session
+      this.canvas.resendPendingOperations(data.unfinishedOperations || []);
+      this.ui.updateLayersList();
       this.ui.updateUsersList(data.users || []);
+      this.ui.setChatHistory(data.chat || []);
+      this.ui.refreshComments();
+      this.ui.updateCheckpointsList();
+    };
+
+    // Password-protected room: ask for the password (or a working invite) and try again
+    this.websocket.onJoinRejected = (data) => {
+      if (this.ui) this.ui.showJoinRejected(data);
+    };
+
+    this.websocket.onRoomAccess = (settings) => {
+      if (this.ui) this.ui.updateAccessPanel(settings);
     };
 
-    // Server is the source of truth for operations (undo/redo/clear)
+    // Full list from the server (after a missed delta, or when an edit was refused)
     this.websocket.onOperationsUpdated = (operations) => {
       console.log('🔁 Received operations-updated:', operations);
       this.websocket.operations = operations || [];
       this.canvas.redrawOperations(this.websocket.operations);
     };
 
+    // Incremental changes: the websocket has already patched its list, so just
+    // repaint (at most once per frame however many deltas arrive)
+    this.websocket.onOperationsDelta = () => {
+      this.canvas.setOperations(this.websocket.operations);
+      this.canvas.scheduleRedraw();
+    };
+
+    this.websocket.onOperationsTransformed = (replacements) => {
+      this.canvas.applyTransformReplacements(replacements);
+    };
+
+    // Layers are shared by the room; switch to a layer we just added ourselves
+    this.websocket.onLayersUpdated = (data) => {
+      this.canvas.setLayers(data.layers || []);
+      if (data.addedLayerId && data.userId === this.websocket.currentUser?.id) {
+        this.canvas.setCurrentLayer(data.addedLayerId);
+      }
+      if (this.ui) this.ui.updateLayersList();
+    };
+
     this.websocket.onUserJoined = (user) => {
       console.log('👋 User joined:', user);
       if (this.ui) this.ui.addUser(user);
     };
 
+    // A role change or (un)mute; ours switches the toolbar between editing and read-only
+    this.websocket.onUserUpdated = (user) => {
+      if (!this.ui) return;
+      if (user.id === this.websocket.currentUser?.id) {
+        if (user.muted !== this.ui.muted) {
+          this.ui.showNotification(
+            user.muted ? 'The owner muted you: you can watch but not draw' : 'The owner unmuted you: you can draw again',
+            user.muted ? 'warning' : 'info'
+          );
+        } else if (user.role !== this.ui.role) {
+          this.ui.showNotification(
+            user.role === 'viewer' ? 'The owner made you a viewer: you can look but not draw' : 'The owner made you an editor: you can draw again',
+            'info'
+          );
+        }
+        this.ui.applyRole(user.role, user.muted);
+      }
+      this.ui.updateUser(user);
+    };
+
+    // The owner kicked or banned us. Strokes not yet confirmed are dropped rather
+    // than sent again into whichever room we join next.
+    this.websocket.onModerated = (data) => {
+      this.canvas.pendingOperations = [];
+      this.canvas.hideAllRemoteCursors();
+      if (this.ui) this.ui.showRemoved(data);
+    };
+
+    this.websocket.onChatMessage = (message) => {
+      if (this.ui) this.ui.addChatMessage(message);
+    };
+
+    this.websocket.onCheckpointsUpdated = () => {
+      if (this.ui) this.ui.updateCheckpointsList();
+    };
+
+    this.websocket.onCheckpointRestored = (data) => {
+      if (!this.ui) return;
+      const own = data.userId === this.websocket.currentUser?.id;
+      const who = own ? 'You' : this.ui.users.get(data.userId)?.username || 'Someone';
+      this.ui.showNotification(`${who} restored the checkpoint "${data.checkpoint.name}"${own ? ' (Ctrl+Z undoes it)' : ''}`, 'info', 4000);
+    };
+
+    this.websocket.onReplayHistory = (history) => {
+      if (this.ui) this.ui.startReplay(history);
+    };
+
+    // Comment threads are kept by the websocket; redraw the pins and the open thread
+    this.websocket.onCommentThread = () => {
+      if (this.ui) this.ui.refreshComments();
+    };
+
+    this.websocket.onCommentThreadDeleted = () => {
+      if (this.ui) this.ui.refreshComments();
+    };
+
+    this.websocket.onCommentsUpdated = () => {
+      if (this.ui) this.ui.refreshComments();
+    };
+
+    this.websocket.onModeration = (data) => {
+      if (this.ui) this.ui.updateModerationPanel(data);
+    };
+
     this.websocket.onUserLeft = (data) => {
       console.log('🚪 User left:', data);
       if (this.ui) this.ui.removeUser(data.userId, data.username);
@@ -102,6 +243,14 @@ class CollaborativeCanvas {
       this.canvas.drawRemoteOperationIncremental(data.operationId, operation);
     };
 
+    // Remote user typing into a text object
+    this.websocket.onRemoteTextUpdate = (data) => {
+      const operation = this.websocket.remoteOperations.get(data.operationId);
+      if (operation) {
+        this.canvas.drawRemoteOperationIncremental(data.operationId, operation);
+      }
+    };
+
     // Finish and stop tracking remote operation
     this.websocket.onRemoteDrawEnd = (data) => {
       console.log('🖌️ Remote drawing ended:', data.operationId);
@@ -128,9 +277,10 @@ class CollaborativeCanvas {
     this.websocket.onDisconnect = () => {
       console.warn('⚠️ Disconnected from server');
       this.canvas.hideAllRemoteCursors();
+      this.canvas.setOffline(true);
       
       if (this.ui) {
-        this.ui.showNotification('Disconnected from server. Reconnecting...', 'warning');
+        this.ui.showNotification('Disconnected from server. Reconnecting... Your drawing will be sent when the connection is back.', 'warning');
       }
     };
 
@@ -164,9 +314,9 @@ class CollaborativeCanvas {
           this.ui = new UIManager(this.canvas, this.websocket);
         }
 
-        this.ui.setupWelcomeModal((username, room) => {
+        this.ui.setupWelcomeModal((username, room, board, credentials) => {
           console.log(`📍 Joining room "${room}" as "${username}"`);
-          this.websocket.joinRoom(username, room);
+          this.websocket.joinRoom(username, room, board, credentials);
         });
       }
     }, 100);
@@ -0,0 +1,181 @@
+// Time-lapse replay of the room's drawing history, played back locally: the
+// canvas shows the replayed board (see CanvasManager.setReplayFrame) while the
+// live room carries on underneath, untouched. The history comes from the
+// server's replay-history: the operations as they stood when it starts, then one
+// event per action, each holding the changes it made.
+
+// Replay timing at 1× speed: pauses between actions are squeezed into this
+// range, and drawing a stroke takes as long as it did, up to maxStrokeMs
+const REPLAY_TIMING = { minGapMs: 150, maxGapMs: 1000, maxStrokeMs: 4000 };
+
+class ReplayPlayer {
+  constructor(canvas, history) {
+    this.canvas = canvas;
+    this.base = history.base || [];
+    this.events = this.scheduleEvents(history.events || []);
+    this.duration = this.events.length > 0 ? this.events[this.events.length - 1].end : 0;
+
+    // Playback position in replay milliseconds, and the board at that point:
+    // operationId -> { operation, active }, with events before `applied` applied
+    this.time = 0;
+    this.speed = 1;
+    this.playing = false;
+    this.state = null;
+    this.applied = 0;
+
+    // Called with { time, duration, playing, event } whenever any of them changes
+    this.onUpdate = null;
+  }
+
+  // Place each event on the replay clock: { ...event, start, end }. Drawing
+  // events last as long as their strokes took to draw; the rest are instant.
+  scheduleEvents(events) {
+    let time = 0;
+    let previousAt = null;
+
+    return events.map(event => {
+      const drawMs = event.kind === 'draw'
+        ? Math.min(REPLAY_TIMING.maxStrokeMs, Math.max(0, ...event.changes
+          .filter(change => change.type === 'added')
+          .map(change => event.at - (change.operation.timestamp || event.at))))
+        : 0;
+      const startedAt = event.at - drawMs;
+      if (previousAt !== null) {
+        time += Math.min(REPLAY_TIMING.maxGapMs, Math.max(REPLAY_TIMING.minGapMs, startedAt - previousAt));
+      }
+      previousAt = event.at;
+
+      const start = time;
+      time += drawMs;
+      return { ...event, start, end: time };
+    });
+  }
+
+  play() {
+    if (this.playing) return;
+    if (this.time >= this.duration) this.seek(0);
+    this.playing = true;
+    this.lastTick = performance.now();
+    requestAnimationFrame((now) => this.tick(now));
+    this.notify();
+  }
+
+  pause() {
+    if (!this.playing) return;
+    this.playing = false;
+    this.notify();
+  }
+
+  setSpeed(speed) {
+    this.speed = speed;
+  }
+
+  // Back to the live board
+  stop() {
+    this.playing = false;
+    this.canvas.setReplayFrame(null);
+  }
+
+  tick(now) {
+    if (!this.playing) return;
+    const elapsed = (now - this.lastTick) * this.speed;
+    this.lastTick = now;
+
+    this.seek(this.time + elapsed);
+    if (this.time >= this.duration) {
+      this.pause();
+      return;
+    }
+    requestAnimationFrame((next) => this.tick(next));
+  }
+
+  // Show the board as it was at replay time `time`
+  seek(time) {
+    this.time = Math.min(this.duration, Math.max(0, time));
+
+    // Going back means starting over from the base
+    if (!this.state || (this.applied > 0 && this.events[this.applied - 1].end > this.time)) {
+      this.state = new Map(this.base.map(entry => [entry.operation.id, { ...entry }]));
+      this.applied = 0;
+    }
+    while (this.applied < this.events.length && this.events[this.applied].end <= this.time) {
+      this.applyEvent(this.events[this.applied]);
+      this.applied++;
+    }
+
+    this.render();
+    this.notify();
+  }
+
+  applyEvent(event) {
+    event.changes.forEach(change => {
+      if (change.type === 'added') {
+        this.state.set(change.operation.id, { operation: change.operation, active: true });
+      } else if (change.type === 'status') {
+        const entry = this.state.get(change.id);
+        if (change.operation) {
+          this.state.set(change.id, { operation: change.operation, active: change.status === 'active' });
+        } else if (entry) {
+          entry.active = change.status === 'active';
+        }
+      } else if (change.type === 'removed') {
+        this.state.delete(change.id);
+      }
+    });
+  }
+
+  // Active operations in commit order, plus the stroke being drawn right now
+  render() {
+    const operations = [];
+    this.state.forEach(entry => {
+      if (entry.active) operations.push(entry.operation);
+    });
+    // Operations brought back by a redo keep their place
+    operations.sort((a, b) => (a.seq || 0) - (b.seq || 0));
+
+    const current = this.events[this.applied];
+    if (current && current.start < this.time) {
+      const progress = (this.time - current.start) / (current.end - current.start);
+      current.changes
+        .filter(change => change.type === 'added')
+        .forEach(change => {
+          const partial = this.partialOperation(change.operation, progress);
+          if (partial) operations.push(partial);
+        });
+    }
+
+    this.canvas.setReplayFrame(operations.map((operation, seq) => ({ ...operation, seq })));
+  }
+
+  // An operation drawn `progress` (0–1) of the way: freehand strokes point by
+  // point, shapes growing from their first corner, text letter by letter. Fills
+  // and polygons only appear once finished.
+  partialOperation(operation, progress) {
+    const { points } = operation;
+    if (operation.type === 'brush' || operation.type === 'eraser') {
+      return { ...operation, points: points.slice(0, Math.max(1, Math.ceil(points.length * progress))) };
+    }
+    if (TWO_POINT_SHAPES.has(operation.type) && points.length >= 2) {
+      const [from, to] = points;
+      const end = { x: from.x + (to.x - from.x) * progress, y: from.y + (to.y - from.y) * progress };
+      return { ...operation, points: [from, end] };
+    }
+    if (operation.type === 'text') {
+      return { ...operation, text: operation.text.slice(0, Math.ceil(operation.text.length * progress)) };
+    }
+    return null;
+  }
+
+  notify() {
+    if (this.onUpdate) {
+      this.onUpdate({
+        time: this.time,
+        duration: this.duration,
+        playing: this.playing,
+        event: this.applied > 0 ? this.events[this.applied - 1] : null
+      });
+    }
+  }
+}
+
+window.ReplayPlayer = ReplayPlayer;
@@ -1,12 +1,48 @@
 // Handles toolbar interactions, keyboard shortcuts, users list, and notifications.
+
+// Toolbar controls that change the board, disabled for viewers (who can still comment)
+const EDITING_CONTROLS = [
+  '.tool-btn:not([data-tool="comment"])', '.color-btn', '#colorPicker', '#widthSlider', '#shapeStyleSelect', '#fillColorPicker',
+  '#fontSizeSelect', '#addLayerBtn', '#undoBtn', '#redoBtn', '#loadBoardBtn',
+  '#checkpointNameInput', '#createCheckpointBtn'
+].join(', ');
+
+// Chat messages kept in the panel (the server keeps as many in room history)
+const MAX_CHAT_MESSAGES = 100;
+
 class UIManager {
   constructor(canvas, websocket) {
     this.canvas = canvas;
     this.websocket = websocket;
     this.users = new Map();
+    // Invite token from the link we were opened with, until it has been tried
+    this.pendingInvite = null;
+    // Our role in the room: 'owner', 'editor' or 'viewer'; muted by the owner or not
+    this.role = null;
+    this.muted = false;
+    // Chat messages that arrived while the chat was out of sight
+    this.unreadChat = 0;
+    this.chatVisible = false;
+    // Comment popover: the board point of a new thread being written, or the
+    // thread being viewed; and the thread we opened, until it comes back
+    this.commentDraft = null;
+    this.openThreadId = null;
+    this.pendingThreadId = null;
+    // Time-lapse replay being shown (a ReplayPlayer), if any
+    this.replay = null;
     
     this.setupToolListeners();
+    this.setupViewListeners();
     this.setupActionListeners();
+    this.setupLayerListeners();
+    this.setupBoardFileListeners();
+    this.setupCheckpointListeners();
+    this.setupAccessListeners();
+    this.setupModerationListeners();
+    this.setupUserListeners();
+    this.setupChatListeners();
+    this.setupCommentListeners();
+    this.setupReplayListeners();
     this.setupKeyboardShortcuts();
     this.createNotificationContainer();
   }
@@ -58,6 +94,21 @@ class UIManager {
       });
     });
 
+    const shapeStyleSelect = document.getElementById('shapeStyleSelect');
+    shapeStyleSelect.addEventListener('change', (e) => {
+      this.canvas.setShapeStyle(e.target.value);
+    });
+
+    const fillColorPicker = document.getElementById('fillColorPicker');
+    fillColorPicker.addEventListener('input', (e) => {
+      this.canvas.setFillColor(e.target.value);
+    });
+
+    const fontSizeSelect = document.getElementById('fontSizeSelect');
+    fontSizeSelect.addEventListener('change', (e) => {
+      this.canvas.setFontSize(parseInt(e.target.value));
+    });
+
     const widthSlider = document.getElementById('widthSlider');
     const widthValue = document.getElementById('widthValue');
     widthSlider.addEventListener('input', (e) => {
@@ -67,6 +118,28 @@ class UIManager {
     });
   }
 
+  setupViewListeners() {
+    // Zoom controls act on this user's viewport only
+    const zoomResetBtn = document.getElementById('zoomResetBtn');
+
+    document.getElementById('zoomInBtn').addEventListener('click', () => {
+      this.canvas.zoomBy(1.25);
+    });
+
+    document.getElementById('zoomOutBtn').addEventListener('click', () => {
+      this.canvas.zoomBy(0.8);
+    });
+
+    zoomResetBtn.addEventListener('click', () => {
+      this.canvas.resetView();
+    });
+
+    this.canvas.onCameraChange = (camera) => {
+      zoomResetBtn.textContent = `${Math.round(camera.zoom * 100)}%`;
+      this.positionCommentPopover();
+    };
+  }
+
   setupActionListeners() {
     // Undo/Redo/Clear actions send commands to server
     document.getElementById('undoBtn').addEventListener('click', () => {
@@ -77,6 +150,19 @@ class UIManager {
       this.websocket.sendRedo();
     });
 
+    const deleteSelectionBtn = document.getElementById('deleteSelectionBtn');
+    deleteSelectionBtn.addEventListener('click', () => {
+      this.canvas.deleteSelection();
+    });
+
+    this.canvas.onSelectionChange = (count) => {
+      deleteSelectionBtn.disabled = count === 0 || !this.canEdit();
+    };
+
+    document.getElementById('exportBtn').addEventListener('click', () => {
+      this.exportCurrentView();
+    });
+
     document.getElementById('clearBtn').addEventListener('click', () => {
       if (confirm('Clear canvas for all users? This cannot be undone.')) {
         this.websocket.sendClearCanvas();
@@ -85,6 +171,346 @@ class UIManager {
     });
   }
 
+  setupLayerListeners() {
+    // Layer changes go to the server and come back to everyone as layers-updated;
+    // choosing the layer to draw on is local
+    document.getElementById('addLayerBtn').addEventListener('click', () => {
+      this.websocket.sendLayerAdd();
+    });
+
+    const layersList = document.getElementById('layersList');
+    layersList.addEventListener('click', (e) => {
+      const item = e.target.closest('.layer-item');
+      if (!item) return;
+      const layerId = item.dataset.layerId;
+      const layer = this.canvas.layers.find(l => l.id === layerId);
+      if (!layer) return;
+
+      const action = e.target.closest('[data-action]')?.dataset.action;
+      if (action && !this.canEdit()) return;
+      if (action === 'visible') {
+        this.websocket.sendLayerUpdate({ layerId, visible: !layer.visible });
+      } else if (action === 'lock') {
+        this.websocket.sendLayerUpdate({ layerId, locked: !layer.locked });
+      } else if (action === 'up' || action === 'down') {
+        this.moveLayer(layerId, action === 'up' ? 1 : -1);
+      } else {
+        this.canvas.setCurrentLayer(layerId);
+        this.updateLayersList();
+      }
+    });
+
+    layersList.addEventListener('dblclick', (e) => {
+      const name = e.target.closest('.layer-name');
+      if (!name || !this.canEdit()) return;
+      const layerId = name.closest('.layer-item').dataset.layerId;
+      const layer = this.canvas.layers.find(l => l.id === layerId);
+      const newName = layer && prompt('Rename layer', layer.name);
+      if (newName && newName.trim()) {
+        this.websocket.sendLayerUpdate({ layerId, name: newName.trim() });
+      }
+    });
+  }
+
+  // Move a layer one step up (+1) or down (-1) in the stack
+  moveLayer(layerId, step) {
+    const layerIds = this.canvas.layers.map(l => l.id);
+    const from = layerIds.indexOf(layerId);
+    const to = from + step;
+    if (from === -1 || to < 0 || to >= layerIds.length) return;
+
+    [layerIds[from], layerIds[to]] = [layerIds[to], layerIds[from]];
+    this.websocket.sendLayerReorder(layerIds);
+  }
+
+  updateLayersList() {
+    // Top layer is listed first, like most drawing apps
+    const layersList = document.getElementById('layersList');
+    const layers = this.canvas.layers;
+    const lastIndex = layers.length - 1;
+    const readOnly = this.canEdit() ? '' : ' disabled';
+
+    layersList.innerHTML = layers.map((layer, index) => `
+      <div class="layer-item${layer.id === this.canvas.currentLayerId ? ' active' : ''}" data-layer-id="${this.escapeHtml(layer.id)}">
+        <button class="layer-toggle${layer.visible ? '' : ' off'}" data-action="visible" title="${layer.visible ? 'Hide' : 'Show'} layer"${readOnly}>👁</button>
+        <button class="layer-toggle${layer.locked ? '' : ' off'}" data-action="lock" title="${layer.locked ? 'Unlock' : 'Lock'} layer"${readOnly}>${layer.locked ? '🔒' : '🔓'}</button>
+        <span class="layer-name" title="${readOnly ? '' : 'Double-click to rename'}">${this.escapeHtml(layer.name)}</span>
+        <button class="layer-toggle" data-action="up" title="Move up"${index === lastIndex ? ' disabled' : readOnly}>▲</button>
+        <button class="layer-toggle" data-action="down" title="Move down"${index === 0 ? ' disabled' : readOnly}>▼</button>
+      </div>
+    `).reverse().join('');
+  }
+
+  exportCurrentView() {
+    // Client-side download of the visible canvas; full-board exports are served by the backend
+    this.canvas.exportImage((blob) => {
+      if (!blob) {
+        this.showError('Failed to export canvas');
+        return;
+      }
+
+      this.downloadBlob(blob, `${this.websocket.currentRoom || 'canvas'}-${Date.now()}.png`);
+      this.showNotification('Exported current view', 'success');
+    });
+  }
+
+  downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  setupCheckpointListeners() {
+    const nameInput = document.getElementById('checkpointNameInput');
+    document.getElementById('checkpointForm').addEventListener('submit', (e) => {
+      e.preventDefault();
+      const name = nameInput.value.trim();
+      if (!name || !this.canEdit()) return;
+      this.websocket.createCheckpoint(name);
+      nameInput.value = '';
+    });
+
+    document.getElementById('checkpointsList').addEventListener('click', (e) => {
+      const button = e.target.closest('[data-action]');
+      if (!button || !this.canEdit()) return;
+
+      const checkpointId = button.closest('.invite-item').dataset.checkpointId;
+      const checkpoint = this.websocket.checkpoints.find(c => c.id === checkpointId);
+      if (!checkpoint) return;
+
+      if (button.dataset.action === 'restore' &&
+          confirm(`Put the board back to "${checkpoint.name}" for everyone? You can undo this.`)) {
+        this.websocket.restoreCheckpoint(checkpointId);
+      } else if (button.dataset.action === 'delete' && confirm(`Delete the checkpoint "${checkpoint.name}"?`)) {
+        this.websocket.deleteCheckpoint(checkpointId);
+      }
+    });
+  }
+
+  // Newest first; whoever created a checkpoint, or the owner, can delete it
+  updateCheckpointsList() {
+    const checkpointsList = document.getElementById('checkpointsList');
+    const checkpoints = this.websocket.checkpoints;
+    const readOnly = this.canEdit() ? '' : ' disabled';
+
+    if (checkpoints.length === 0) {
+      checkpointsList.innerHTML = '<div class="no-users">No checkpoints yet</div>';
+      return;
+    }
+
+    checkpointsList.innerHTML = [...checkpoints].reverse().map(checkpoint => {
+      const created = new Date(checkpoint.createdAt).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' });
+      const mayDelete = checkpoint.createdBy?.id === this.websocket.currentUser?.id || this.role === 'owner';
+      return `
+        <div class="invite-item" data-checkpoint-id="${this.escapeHtml(checkpoint.id)}">
+          <span class="invite-info" title="${this.escapeHtml(`${checkpoint.createdBy?.username || 'Someone'} · ${created} · ${checkpoint.operationCount} operations`)}">
+            ${this.escapeHtml(checkpoint.name)}
+          </span>
+          <button class="layer-toggle" data-action="restore" title="Restore this checkpoint"${readOnly}>↺</button>
+          ${mayDelete ? `<button class="layer-toggle" data-action="delete" title="Delete checkpoint"${readOnly}>✕</button>` : ''}
+        </div>
+      `;
+    }).join('');
+  }
+
+  setupBoardFileListeners() {
+    // JSON board snapshots: download this room, or upload a file into it
+    const fileInput = document.getElementById('boardFileInput');
+
+    document.getElementById('saveBoardBtn').addEventListener('click', async () => {
+      try {
+        const snapshot = await this.websocket.fetchSnapshot();
+        const blob = new Blob([JSON.stringify(snapshot, null, 2)], { type: 'application/json' });
+        this.downloadBlob(blob, `${this.websocket.currentRoom || 'canvas'}.board.json`);
+        this.showNotification('Board saved', 'success');
+      } catch (error) {
+        this.showError(error.message);
+      }
+    });
+
+    document.getElementById('loadBoardBtn').addEventListener('click', () => {
+      fileInput.value = '';
+      fileInput.click();
+    });
+
+    fileInput.addEventListener('change', async () => {
+      const file = fileInput.files[0];
+      if (!file) return;
+
+      let snapshot;
+      try {
+        snapshot = JSON.parse(await file.text());
+      } catch (error) {
+        this.showError('That file is not valid JSON');
+        return;
+      }
+
+      const replace = confirm('Replace everything on this board with the file for all users?\n\nChoose Cancel to add it on top of the current drawing instead.');
+
+      try {
+        const result = await this.websocket.uploadSnapshot(snapshot, replace ? 'replace' : 'append');
+        this.showNotification(`Loaded ${result.imported} operations`, 'success');
+      } catch (error) {
+        this.showError(error.message);
+      }
+    });
+  }
+
+  setupAccessListeners() {
+    // Room owner: join password and invite links
+    const passwordInput = document.getElementById('roomPasswordInput');
+
+    document.getElementById('setPasswordBtn').addEventListener('click', () => {
+      const password = passwordInput.value;
+      if (password.length < 4) {
+        this.showError('Passwords need at least 4 characters');
+        return;
+      }
+      this.websocket.setRoomPassword(password);
+      passwordInput.value = '';
+    });
+
+    document.getElementById('removePasswordBtn').addEventListener('click', () => {
+      if (confirm('Remove the password? Anyone who knows the room name will be able to join.')) {
+        this.websocket.setRoomPassword('');
+      }
+    });
+
+    document.getElementById('createInviteBtn').addEventListener('click', () => {
+      const expiresIn = Number(document.getElementById('inviteExpirySelect').value);
+      const maxUses = Number(document.getElementById('inviteUsesSelect').value) || null;
+      this.websocket.createInvite(expiresIn, maxUses);
+    });
+
+    document.getElementById('invitesList').addEventListener('click', (e) => {
+      const button = e.target.closest('[data-action]');
+      if (!button) return;
+      const inviteId = button.closest('.invite-item').dataset.inviteId;
+      const invite = this.websocket.accessSettings?.invites.find(i => i.id === inviteId);
+      if (!invite) return;
+
+      if (button.dataset.action === 'copy') {
+        this.copyInviteLink(invite);
+      } else if (button.dataset.action === 'revoke') {
+        this.websocket.revokeInvite(inviteId);
+      }
+    });
+  }
+
+  // Viewers and muted users get a read-only board: the editing controls are
+  // disabled (the server refuses their edits anyway). Only the owner can clear,
+  // manage access and moderate.
+  applyRole(role, muted = false) {
+    this.role = role;
+    this.muted = muted;
+    const readOnly = !this.canEdit();
+
+    document.querySelectorAll(EDITING_CONTROLS).forEach(control => {
+      control.disabled = readOnly;
+    });
+    document.getElementById('deleteSelectionBtn').disabled = readOnly || this.canvas.selectedIds.size === 0;
+    document.getElementById('clearBtn').disabled = role !== 'owner' || muted;
+    document.getElementById('accessSection').hidden = role !== 'owner';
+    document.getElementById('moderationSection').hidden = role !== 'owner';
+
+    const notice = document.getElementById('viewOnlyNotice');
+    notice.hidden = !readOnly;
+    notice.textContent = muted
+      ? '🔇 The room owner has muted you: you can watch, but not draw or edit.'
+      : '👁 You are a viewer: the owner has made this board view-only for you.';
+
+    this.canvas.setReadOnly(readOnly);
+    this.updateLayersList();
+    this.updateCheckpointsList();
+    this.refreshComments();
+  }
+
+  canEdit() {
+    return this.role !== 'viewer' && !this.muted;
+  }
+
+  setupModerationListeners() {
+    // Room owner: lift bans early
+    document.getElementById('bansList').addEventListener('click', (e) => {
+      const button = e.target.closest('[data-action="lift"]');
+      if (!button) return;
+      this.websocket.liftBan(button.closest('.invite-item').dataset.banId);
+    });
+  }
+
+  updateModerationPanel({ bans, log }) {
+    const time = (at) => new Date(at).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' });
+    const bansList = document.getElementById('bansList');
+    bansList.innerHTML = bans.length === 0 ? '<p class="view-hint">Nobody is banned</p>' : bans.map(ban => `
+      <div class="invite-item" data-ban-id="${this.escapeHtml(ban.id)}">
+        <span class="invite-info">⛔ ${this.escapeHtml(ban.username)} until ${this.escapeHtml(time(ban.until))}</span>
+        <button class="layer-toggle" data-action="lift" title="Lift the ban">✕</button>
+      </div>
+    `).join('');
+
+    const verbs = { kick: 'kicked', ban: 'banned', unban: 'unbanned', mute: 'muted', unmute: 'unmuted' };
+    // Newest first
+    document.getElementById('moderationLog').innerHTML = log.slice().reverse().map(entry => `
+      <div class="moderation-entry">
+        <span class="moderation-time">${this.escapeHtml(time(entry.at))}</span>
+        ${this.escapeHtml(entry.by)} ${verbs[entry.action] || this.escapeHtml(entry.action)} ${this.escapeHtml(entry.username)}${entry.until ? ` until ${this.escapeHtml(time(entry.until))}` : ''}
+      </div>
+    `).join('');
+  }
+
+  // Kicked or banned: back to the welcome screen with the reason
+  showRemoved({ message }) {
+    this.stopReplay();
+    document.getElementById('passwordGroup').hidden = true;
+    const joinError = document.getElementById('joinError');
+    joinError.textContent = `🚫 ${message}`;
+    joinError.hidden = false;
+    this.showWelcomeModal();
+  }
+
+  updateAccessPanel(settings) {
+    document.getElementById('accessStatus').textContent = settings.hasPassword
+      ? 'Password protected: new people need the password or an invite link'
+      : 'Anyone who knows the room name can join';
+    document.getElementById('removePasswordBtn').disabled = !settings.hasPassword;
+
+    const invitesList = document.getElementById('invitesList');
+    invitesList.innerHTML = settings.invites.map(invite => {
+      const uses = invite.maxUses ? `${invite.uses}/${invite.maxUses} uses` : `${invite.uses} uses`;
+      const expires = new Date(invite.expiresAt).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' });
+      return `
+        <div class="invite-item" data-invite-id="${this.escapeHtml(invite.id)}">
+          <span class="invite-info" title="Expires ${this.escapeHtml(expires)}">Until ${this.escapeHtml(expires)} · ${uses}</span>
+          <button class="layer-toggle" data-action="copy" title="Copy link">📋</button>
+          <button class="layer-toggle" data-action="revoke" title="Revoke link">✕</button>
+        </div>
+      `;
+    }).join('');
+
+    // A link we just created goes straight to the clipboard
+    const created = settings.createdInviteId && settings.invites.find(i => i.id === settings.createdInviteId);
+    if (created) {
+      this.copyInviteLink(created);
+    }
+  }
+
+  copyInviteLink(invite) {
+    const url = new URL(window.location);
+    url.search = '';
+    url.searchParams.set('room', this.websocket.currentRoom);
+    url.searchParams.set('invite', invite.token);
+
+    navigator.clipboard.writeText(url.toString()).then(
+      () => this.showNotification('Invite link copied', 'success'),
+      () => prompt('Copy the invite link', url.toString())
+    );
+  }
+
   setupKeyboardShortcuts() {
     // Global shortcuts (ignored while typing in inputs)
     document.addEventListener('keydown', (e) => {
@@ -94,13 +520,29 @@ class UIManager {
 
       if ((e.ctrlKey || e.metaKey) && e.key === 'z' && !e.shiftKey) {
         e.preventDefault();
-        this.websocket.sendUndo();
+        if (this.canEdit()) this.websocket.sendUndo();
       }
       
       if (((e.ctrlKey || e.metaKey) && e.key === 'y') || 
           ((e.ctrlKey || e.metaKey) && e.shiftKey && e.key === 'z')) {
         e.preventDefault();
-        this.websocket.sendRedo();
+        if (this.canEdit()) this.websocket.sendRedo();
+      }
+      
+      if ((e.ctrlKey || e.metaKey) && e.key === '0') {
+        e.preventDefault();
+        this.canvas.resetView();
+      }
+      
+      // Selection editing
+      if ((e.key === 'Delete' || e.key === 'Backspace') && this.canvas.selectedIds.size > 0) {
+        e.preventDefault();
+        this.canvas.deleteSelection();
+      }
+
+      if (e.key === 'Escape') {
+        this.canvas.clearSelection();
+        this.stopReplay();
       }
       
       // Common tool quick keys
@@ -113,6 +555,26 @@ class UIManager {
         e.preventDefault();
         document.querySelector('[data-tool="eraser"]').click();
       }
+
+      if ((e.key === 'v' || e.key === 'V') && !e.ctrlKey && !e.metaKey) {
+        e.preventDefault();
+        document.querySelector('[data-tool="select"]').click();
+      }
+
+      if ((e.key === 't' || e.key === 'T') && !e.ctrlKey && !e.metaKey) {
+        e.preventDefault();
+        document.querySelector('[data-tool="text"]').click();
+      }
+
+      if ((e.key === 'g' || e.key === 'G') && !e.ctrlKey && !e.metaKey) {
+        e.preventDefault();
+        document.querySelector('[data-tool="fill"]').click();
+      }
+
+      if ((e.key === 'm' || e.key === 'M') && !e.ctrlKey && !e.metaKey) {
+        e.preventDefault();
+        document.querySelector('[data-tool="comment"]').click();
+      }
     });
   }
 
@@ -133,13 +595,16 @@ class UIManager {
     const joinBtn = document.getElementById('joinBtn');
     const usernameInput = document.getElementById('usernameInput');
     const roomInput = document.getElementById('roomInput');
+    const passwordInput = document.getElementById('passwordInput');
+    const boardSizeSelect = document.getElementById('boardSizeSelect');
     
-    // Auto-fill room from URL
+    // Auto-fill room (and take the invite token, if any) from URL
     const urlParams = new URLSearchParams(window.location.search);
     const roomFromUrl = urlParams.get('room');
     if (roomFromUrl) {
       roomInput.value = roomFromUrl;
     }
+    this.pendingInvite = urlParams.get('invite');
     
     usernameInput.focus();
     
@@ -156,22 +621,34 @@ class UIManager {
       // Sanitize inputs
       const sanitizedUsername = username.substring(0, 20);
       const sanitizedRoom = room.substring(0, 30).replace(/[^a-zA-Z0-9-_]/g, '');
+
+      // Board size only takes effect if this join creates the room
+      const [boardWidth, boardHeight] = boardSizeSelect.value.split('x').map(Number);
+      const board = { width: boardWidth, height: boardHeight };
+      
+      // Password-protected rooms: the password asked for after a refused join, or
+      // the invite link we were opened with
+      const credentials = {
+        password: passwordInput.value || undefined,
+        invite: this.pendingInvite || undefined
+      };
       
       this.hideWelcomeModal();
-      onJoin(sanitizedUsername, sanitizedRoom);
+      onJoin(sanitizedUsername, sanitizedRoom, board, credentials);
       
       // Update UI
       document.getElementById('roomName').textContent = sanitizedRoom;
       
-      // Update URL
+      // Update URL (the invite token isn't left lying around in history)
       const newUrl = new URL(window.location);
       newUrl.searchParams.set('room', sanitizedRoom);
+      newUrl.searchParams.delete('invite');
       window.history.pushState({}, '', newUrl);
     };
 
     joinBtn.addEventListener('click', handleJoin);
 
-    [usernameInput, roomInput].forEach(input => {
+    [usernameInput, roomInput, passwordInput].forEach(input => {
       input.addEventListener('keypress', (e) => {
         if (e.key === 'Enter') {
           handleJoin();
@@ -180,6 +657,27 @@ class UIManager {
     });
   }
 
+  // The server didn't let us in: ask for the room password (an invite that
+  // didn't work is dropped, so the next try uses the password)
+  showJoinRejected({ reason, message }) {
+    if (reason.startsWith('invite-')) {
+      this.pendingInvite = null;
+    }
+
+    const passwordGroup = document.getElementById('passwordGroup');
+    const passwordInput = document.getElementById('passwordInput');
+    const joinError = document.getElementById('joinError');
+
+    // A password doesn't get anyone past a ban
+    passwordGroup.hidden = reason === 'banned';
+    passwordInput.value = '';
+    joinError.textContent = reason === 'password-required' ? '🔒 This room is password protected.' : message;
+    joinError.hidden = false;
+
+    this.showWelcomeModal();
+    if (!passwordGroup.hidden) passwordInput.focus();
+  }
+
   updateUsersList(users) {
     // Shows other users in the room (excludes the current user)
     const usersList = document.getElementById('usersList');
@@ -197,14 +695,418 @@ class UIManager {
       usersList.innerHTML = '<div class="no-users">No other users online</div>';
     } else {
       usersList.innerHTML = otherUsers.map(user => `
-        <div class="user-item">
+        <div class="user-item" data-user-id="${this.escapeHtml(user.id)}">
           <div class="user-color" style="background-color: ${user.color}"></div>
           <div class="user-name">${this.escapeHtml(user.username)}</div>
+          ${this.renderUserControls(user)}
         </div>
       `).join('');
     }
   }
 
+  // The owner gets a role picker and moderation buttons for everyone else; others
+  // just see who owns the room, who only views and who is muted
+  renderUserControls(user) {
+    if (user.role === 'owner') {
+      return '<span class="user-role" title="Room owner">👑</span>';
+    }
+    const muted = user.muted ? '<span class="user-role" title="Muted by the owner">🔇</span>' : '';
+    if (this.role !== 'owner') {
+      return `${muted}${user.role === 'viewer' ? '<span class="user-role">Viewer</span>' : ''}`;
+    }
+    const option = (role, label) => `<option value="${role}"${user.role === role ? ' selected' : ''}>${label}</option>`;
+    return `
+      ${muted}
+      <select class="user-role-select" title="What ${this.escapeHtml(user.username)} may do">
+        ${option('editor', 'Editor')}
+        ${option('viewer', 'Viewer')}
+      </select>
+      <div class="user-actions">
+        <button class="layer-toggle" data-action="mute" title="${user.muted ? 'Let them draw again' : 'Stop them drawing'}">${user.muted ? '🔊 Unmute' : '🔇 Mute'}</button>
+        <button class="layer-toggle" data-action="kick" title="Remove from the room">🚪 Kick</button>
+        <button class="layer-toggle" data-action="ban" title="Remove and keep out for the time chosen under Moderation">⛔ Ban</button>
+      </div>
+    `;
+  }
+
+  setupUserListeners() {
+    // Role changes and mutes come back to everyone as user-updated
+    const usersList = document.getElementById('usersList');
+    usersList.addEventListener('change', (e) => {
+      const select = e.target.closest('.user-role-select');
+      if (!select) return;
+      const userId = select.closest('.user-item').dataset.userId;
+      this.websocket.sendUserRole(userId, select.value);
+    });
+
+    usersList.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-action]');
+      if (!button) return;
+      const user = this.users.get(button.closest('.user-item').dataset.userId);
+      if (!user) return;
+
+      const action = button.dataset.action;
+      if (action === 'mute') {
+        this.websocket.setUserMuted(user.id, !user.muted);
+      } else if (action === 'kick') {
+        if (confirm(`Remove ${user.username} from the room? They can join again.`)) {
+          this.websocket.kickUser(user.id);
+        }
+      } else if (action === 'ban') {
+        const select = document.getElementById('banDurationSelect');
+        const label = select.options[select.selectedIndex].text;
+        if (confirm(`Remove ${user.username} and keep them out for ${label}?`)) {
+          this.websocket.banUser(user.id, Number(select.value));
+        }
+      }
+    });
+  }
+
+  updateUser(user) {
+    this.users.set(user.id, user);
+    this.updateUsersList(Array.from(this.users.values()));
+  }
+
+  setupChatListeners() {
+    const chatInput = document.getElementById('chatInput');
+    document.getElementById('chatForm').addEventListener('submit', (e) => {
+      e.preventDefault();
+      const text = chatInput.value.trim();
+      if (text && this.websocket.sendChatMessage(text)) {
+        chatInput.value = '';
+      }
+    });
+
+    // The header button brings the chat into view (the toolbar may be scrolled away from it)
+    document.getElementById('chatJumpBtn').addEventListener('click', () => {
+      document.getElementById('chatSection').scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+      chatInput.focus();
+    });
+
+    // Messages count as read once the chat is on screen in a visible tab
+    new IntersectionObserver(([entry]) => {
+      this.chatVisible = entry.isIntersecting;
+      if (this.chatVisible && !document.hidden) this.markChatRead();
+    }).observe(document.getElementById('chatMessages'));
+
+    document.addEventListener('visibilitychange', () => {
+      if (this.chatVisible && !document.hidden) this.markChatRead();
+    });
+  }
+
+  // The room's recent messages, from room-state
+  setChatHistory(messages) {
+    const chatMessages = document.getElementById('chatMessages');
+    chatMessages.innerHTML = messages.length === 0
+      ? '<div class="no-users">No messages yet</div>'
+      : messages.map(message => this.renderChatMessage(message)).join('');
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+  }
+
+  addChatMessage(message) {
+    const chatMessages = document.getElementById('chatMessages');
+    chatMessages.querySelector('.no-users')?.remove();
+
+    // Follow new messages unless the reader has scrolled up
+    const atBottom = chatMessages.scrollHeight - chatMessages.scrollTop - chatMessages.clientHeight < 40;
+    chatMessages.insertAdjacentHTML('beforeend', this.renderChatMessage(message));
+    while (chatMessages.children.length > MAX_CHAT_MESSAGES) {
+      chatMessages.firstElementChild.remove();
+    }
+
+    const own = message.userId === this.websocket.currentUser?.id;
+    if (atBottom || own) {
+      chatMessages.scrollTop = chatMessages.scrollHeight;
+    }
+    if (!own && (!this.chatVisible || document.hidden)) {
+      this.unreadChat++;
+      this.updateChatBadge();
+    }
+  }
+
+  renderChatMessage(message) {
+    const own = message.userId === this.websocket.currentUser?.id;
+    const time = new Date(message.at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    return `
+      <div class="chat-message${own ? ' own' : ''}">
+        <div class="chat-meta">
+          <span class="chat-author" style="color: ${this.escapeHtml(message.color)}">${this.escapeHtml(message.username)}</span>
+          <span class="chat-time">${this.escapeHtml(time)}</span>
+        </div>
+        <div class="chat-text">${this.escapeHtml(message.text)}</div>
+      </div>
+    `;
+  }
+
+  markChatRead() {
+    if (this.unreadChat === 0) return;
+    this.unreadChat = 0;
+    this.updateChatBadge();
+  }
+
+  updateChatBadge() {
+    const badge = document.getElementById('chatUnreadBadge');
+    badge.textContent = this.unreadChat > 99 ? '99+' : String(this.unreadChat);
+    badge.hidden = this.unreadChat === 0;
+  }
+
+  setupCommentListeners() {
+    const popover = document.getElementById('commentPopover');
+
+    // Comment tool: clicking the board starts a new thread there
+    this.canvas.onCommentPlace = (point) => {
+      this.openCommentDraft(point);
+    };
+
+    this.canvas.onCommentPinClick = (threadId) => {
+      this.openCommentThread(threadId);
+    };
+
+    popover.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const input = popover.querySelector('.comment-input');
+      const text = input.value.trim();
+      if (!text) return;
+
+      if (this.commentDraft) {
+        const threadId = this.websocket.createCommentThread(this.commentDraft.x, this.commentDraft.y, text);
+        if (threadId) {
+          // Shown again once the server has it (see refreshComments)
+          this.pendingThreadId = threadId;
+          this.closeCommentPopover();
+        }
+      } else if (this.openThreadId && this.websocket.replyToComment(this.openThreadId, text)) {
+        input.value = '';
+      }
+    });
+
+    // Enter sends, Shift+Enter starts a new line, Escape closes
+    popover.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        this.closeCommentPopover();
+      } else if (e.key === 'Enter' && !e.shiftKey && e.target.classList.contains('comment-input')) {
+        e.preventDefault();
+        e.target.form.requestSubmit();
+      }
+    });
+
+    popover.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-action]');
+      if (!button) return;
+
+      const action = button.dataset.action;
+      if (action === 'close') {
+        this.closeCommentPopover();
+      } else if (action === 'resolve' || action === 'reopen') {
+        this.websocket.resolveComment(this.openThreadId, action === 'resolve');
+      } else if (action === 'delete' && confirm('Delete this comment thread for everyone?')) {
+        this.websocket.deleteComment(this.openThreadId);
+      }
+    });
+  }
+
+  openCommentDraft(point) {
+    this.commentDraft = point;
+    this.openThreadId = null;
+
+    const popover = document.getElementById('commentPopover');
+    popover.innerHTML = `
+      <form class="comment-form">
+        <textarea class="comment-input select-input" rows="3" maxlength="1000" placeholder="Add a comment..."></textarea>
+        <div class="comment-actions">
+          <button type="button" class="action-btn" data-action="close">Cancel</button>
+          <button type="submit" class="action-btn">Comment</button>
+        </div>
+      </form>
+    `;
+    popover.hidden = false;
+    this.positionCommentPopover();
+    popover.querySelector('.comment-input').focus();
+  }
+
+  openCommentThread(threadId) {
+    const thread = this.websocket.commentThreads.get(threadId);
+    if (!thread) return;
+    this.commentDraft = null;
+    this.openThreadId = threadId;
+
+    const popover = document.getElementById('commentPopover');
+    popover.innerHTML = `
+      <div class="comment-header">
+        <span class="comment-title"></span>
+        <button type="button" class="comment-close" data-action="close" title="Close (Esc)">×</button>
+      </div>
+      <div class="comment-list"></div>
+      <form class="comment-form">
+        <textarea class="comment-input select-input" rows="2" maxlength="1000" placeholder="Reply..."></textarea>
+        <div class="comment-actions">
+          <button type="button" class="action-btn" data-action="resolve"></button>
+          <button type="button" class="action-btn danger" data-action="delete">Delete</button>
+          <button type="submit" class="action-btn">Reply</button>
+        </div>
+      </form>
+    `;
+    popover.hidden = false;
+    this.updateCommentThreadView(thread);
+    this.positionCommentPopover();
+  }
+
+  // Fill the open thread's comments and buttons in, leaving a reply being typed alone
+  updateCommentThreadView(thread) {
+    const popover = document.getElementById('commentPopover');
+    const threads = Array.from(this.websocket.commentThreads.keys());
+    popover.querySelector('.comment-title').textContent =
+      `Comment ${threads.indexOf(thread.id) + 1}${thread.resolved ? ' · Resolved' : ''}`;
+
+    const list = popover.querySelector('.comment-list');
+    list.innerHTML = thread.comments.map(comment => this.renderComment(comment)).join('');
+    list.scrollTop = list.scrollHeight;
+
+    const resolveBtn = popover.querySelector('[data-action="resolve"], [data-action="reopen"]');
+    resolveBtn.dataset.action = thread.resolved ? 'reopen' : 'resolve';
+    resolveBtn.textContent = thread.resolved ? 'Reopen' : 'Resolve';
+
+    // Whoever opened the thread, or the owner, may delete it
+    const mayDelete = thread.comments[0]?.userId === this.websocket.currentUser?.id || this.role === 'owner';
+    popover.querySelector('[data-action="delete"]').hidden = !mayDelete;
+  }
+
+  renderComment(comment) {
+    const time = new Date(comment.at).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' });
+    return `
+      <div class="chat-message">
+        <div class="chat-meta">
+          <span class="chat-author" style="color: ${this.escapeHtml(comment.color)}">${this.escapeHtml(comment.username)}</span>
+          <span class="chat-time">${this.escapeHtml(time)}</span>
+        </div>
+        <div class="chat-text">${this.escapeHtml(comment.text)}</div>
+      </div>
+    `;
+  }
+
+  closeCommentPopover() {
+    this.commentDraft = null;
+    this.openThreadId = null;
+    document.getElementById('commentPopover').hidden = true;
+  }
+
+  // Next to the new comment's point or the open thread's pin, kept on screen
+  positionCommentPopover() {
+    const popover = document.getElementById('commentPopover');
+    const thread = this.openThreadId && this.websocket.commentThreads.get(this.openThreadId);
+    const point = this.commentDraft || thread;
+    if (popover.hidden || !point) return;
+
+    const { x, y } = this.canvas.worldToViewport(point.x, point.y);
+    const left = Math.min(x + 20, window.innerWidth - popover.offsetWidth - 8);
+    const top = Math.min(y - 12, window.innerHeight - popover.offsetHeight - 8);
+    popover.style.left = `${Math.max(8, left)}px`;
+    popover.style.top = `${Math.max(8, top)}px`;
+  }
+
+  // The room's threads changed: redraw the pins and keep the popover up to date
+  refreshComments() {
+    this.canvas.setCommentPins(Array.from(this.websocket.commentThreads.values()));
+
+    if (this.pendingThreadId && this.websocket.commentThreads.has(this.pendingThreadId)) {
+      const threadId = this.pendingThreadId;
+      this.pendingThreadId = null;
+      this.openCommentThread(threadId);
+    } else if (this.openThreadId) {
+      const thread = this.websocket.commentThreads.get(this.openThreadId);
+      if (thread) {
+        this.updateCommentThreadView(thread);
+      } else {
+        this.closeCommentPopover();
+      }
+    }
+  }
+
+  setupReplayListeners() {
+    const scrubber = document.getElementById('replayScrubber');
+    const speedSelect = document.getElementById('replaySpeedSelect');
+
+    // The history is fetched each time, so the replay runs up to now
+    document.getElementById('replayBtn').addEventListener('click', () => {
+      if (!this.replay) this.websocket.requestReplay();
+    });
+
+    document.getElementById('replayPlayBtn').addEventListener('click', () => {
+      if (!this.replay) return;
+      if (this.replay.playing) {
+        this.replay.pause();
+      } else {
+        this.replay.play();
+      }
+    });
+
+    scrubber.addEventListener('input', () => {
+      if (!this.replay) return;
+      this.replay.pause();
+      this.replay.seek(Number(scrubber.value));
+    });
+
+    speedSelect.addEventListener('change', () => {
+      if (this.replay) this.replay.setSpeed(Number(speedSelect.value));
+    });
+
+    document.getElementById('replayCloseBtn').addEventListener('click', () => {
+      this.stopReplay();
+    });
+  }
+
+  startReplay(history) {
+    if (this.replay) return;
+    if (history.base.length === 0 && history.events.length === 0) {
+      this.showNotification('Nothing has been drawn in this room yet', 'info');
+      return;
+    }
+
+    this.replay = new ReplayPlayer(this.canvas, history);
+    this.replay.setSpeed(Number(document.getElementById('replaySpeedSelect').value));
+    this.replay.onUpdate = (state) => this.updateReplayControls(state);
+    document.getElementById('replayScrubber').max = String(this.replay.duration);
+    document.getElementById('replayBar').hidden = false;
+    this.replay.seek(0);
+    this.replay.play();
+  }
+
+  stopReplay() {
+    if (!this.replay) return;
+    this.replay.stop();
+    this.replay = null;
+    document.getElementById('replayBar').hidden = true;
+  }
+
+  updateReplayControls({ time, duration, playing, event }) {
+    const clock = (ms) => {
+      const seconds = Math.floor(ms / 1000);
+      return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    };
+    const verbs = {
+      draw: 'drew',
+      edit: 'edited',
+      delete: 'deleted',
+      undo: 'undid',
+      redo: 'redid',
+      clear: 'cleared the board',
+      restore: 'restored a checkpoint'
+    };
+
+    document.getElementById('replayPlayBtn').textContent = playing ? '⏸' : '▶';
+    document.getElementById('replayScrubber').value = String(time);
+    document.getElementById('replayTime').textContent = `${clock(time)} / ${clock(duration)}`;
+
+    let description = '';
+    if (event) {
+      const when = new Date(event.at).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' });
+      description = event.kind === 'import'
+        ? `Board file loaded · ${when}`
+        : `${event.username || 'Someone'} ${verbs[event.kind] || event.kind} · ${when}`;
+    }
+    document.getElementById('replayEvent').textContent = description;
+  }
+
   addUser(user) {
     this.users.set(user.id, user);
     
@@ -5,12 +5,32 @@ const io = window.io;
 class WebSocketManager {
   constructor() {
     this.socket = null;
+    this.serverUrl = null;
     this.isConnected = false;
     this.currentUser = null;
     this.currentRoom = null;
     this.currentUsername = null;
+    this.currentBoard = null;
+    // Issued by the server when we join a room; presenting it when rejoining keeps
+    // the same user (id, color, undo history, strokes in progress)
+    this.sessionToken = null;
+    // Password / invite used to get into the current room, kept for rejoining
+    // after the session has expired
+    this.currentCredentials = {};
+    // Owner's view of the room's join password and invite links
+    this.accessSettings = null;
+    // The owner kicked or banned us: don't rejoin on reconnect
+    this.removedFromRoom = false;
     this.operations = [];
     this.remoteOperations = new Map();
+    // The room's comment threads by id, oldest first
+    this.commentThreads = new Map();
+    // Named checkpoints of the board (without their operations), oldest first
+    this.checkpoints = [];
+    // Room revision of our operations list; deltas must arrive in order, and after
+    // a gap we wait for a full list before applying any more
+    this.revision = 0;
+    this.syncPending = false;
     
     this.lastCursorSend = 0;
     this.cursorThrottle = 33; // 30fps
@@ -21,6 +41,7 @@ class WebSocketManager {
 
   connect(serverUrl = 'https://realtimecollaborativedrawingcanvas.onrender.com') {
     // Create Socket.IO client; enable reconnection with backoff
+    this.serverUrl = serverUrl;
     this.socket = io(serverUrl, {
       transports: ['websocket', 'polling'],
       reconnection: true,
@@ -42,9 +63,9 @@ class WebSocketManager {
       this.updateConnectionStatus(true);
       
       // Rejoin room if we were in one
-      if (this.currentRoom && this.currentUsername) {
+      if (this.currentRoom && this.currentUsername && !this.removedFromRoom) {
         console.log('🔄 Rejoining room after reconnection...');
-        this.joinRoom(this.currentUsername, this.currentRoom);
+        this.joinRoom(this.currentUsername, this.currentRoom, this.currentBoard, this.currentCredentials);
       }
     });
 
@@ -52,6 +73,15 @@ class WebSocketManager {
       console.log('⚠️ Disconnected from server:', reason);
       this.isConnected = false;
       this.updateConnectionStatus(false);
+      // Other users' strokes in progress can't be followed across a reconnect
+      this.remoteOperations.clear();
+
+      // Dropped by the server after being removed from the room: connect again
+      // (without rejoining) so another room, or this one after a kick, can be joined
+      if (this.removedFromRoom) {
+        this.socket.connect();
+        return;
+      }
       
       if (this.onDisconnect) {
         this.onDisconnect();
@@ -85,7 +115,15 @@ class WebSocketManager {
     this.socket.on('room-state', (data) => {
       console.log('📦 Received room state:', data);
       this.currentUser = data.user;
-      this.operations = data.operations || [];
+      this.sessionToken = data.sessionToken || null;
+      if (data.ownerKey) {
+        this.saveOwnerKey(this.currentRoom, data.ownerKey);
+      }
+      this.operations = this.unpackOperations(data.operations || []);
+      this.revision = data.revision || 0;
+      this.syncPending = false;
+      this.setCommentThreads(data.comments || []);
+      this.checkpoints = data.checkpoints || [];
       
       if (this.onRoomState) {
         this.onRoomState(data);
@@ -99,6 +137,17 @@ class WebSocketManager {
       }
     });
 
+    // Someone's role changed (possibly ours)
+    this.socket.on('user-updated', (user) => {
+      console.log('🔑 User updated:', user);
+      if (user.id === this.currentUser?.id) {
+        this.currentUser = user;
+      }
+      if (this.onUserUpdated) {
+        this.onUserUpdated(user);
+      }
+    });
+
     this.socket.on('user-left', (data) => {
       console.log('🚪 User left:', data);
       if (this.onUserLeft) {
@@ -106,11 +155,104 @@ class WebSocketManager {
       }
     });
 
+    // Not let into the room: a password is needed, or the invite link is no good
+    this.socket.on('join-rejected', (data) => {
+      console.warn('🔒 Join rejected:', data.reason);
+      if (this.onJoinRejected) {
+        this.onJoinRejected(data);
+      }
+    });
+
+    // Chat message from anyone in the room, our own included
+    this.socket.on('chat-message', (message) => {
+      if (this.onChatMessage) {
+        this.onChatMessage(message);
+      }
+    });
+
+    // The room's checkpoints after one was created or deleted
+    this.socket.on('checkpoints', (data) => {
+      this.checkpoints = data.checkpoints || [];
+      if (this.onCheckpointsUpdated) {
+        this.onCheckpointsUpdated(this.checkpoints);
+      }
+    });
+
+    // Someone put the board back to a checkpoint; the operations themselves
+    // arrive as an operations-delta
+    this.socket.on('checkpoint-restored', (data) => {
+      if (this.onCheckpointRestored) {
+        this.onCheckpointRestored(data);
+      }
+    });
+
+    // History for a time-lapse replay we asked for, with packed strokes expanded
+    this.socket.on('replay-history', (data) => {
+      const unpack = (operation) => this.unpackOperations([operation])[0];
+      if (this.onReplayHistory) {
+        this.onReplayHistory({
+          base: (data.base || []).map(entry => ({ ...entry, operation: unpack(entry.operation) })),
+          events: (data.events || []).map(event => ({
+            ...event,
+            changes: event.changes.map(change => (change.operation ? { ...change, operation: unpack(change.operation) } : change))
+          }))
+        });
+      }
+    });
+
+    // A comment thread was opened, replied to, resolved or reopened (sent whole)
+    this.socket.on('comment-thread', (thread) => {
+      this.commentThreads.set(thread.id, thread);
+      if (this.onCommentThread) {
+        this.onCommentThread(thread);
+      }
+    });
+
+    this.socket.on('comment-thread-deleted', (data) => {
+      this.commentThreads.delete(data.threadId);
+      if (this.onCommentThreadDeleted) {
+        this.onCommentThreadDeleted(data.threadId);
+      }
+    });
+
+    // All threads again, after a snapshot was imported into the room
+    this.socket.on('comments-updated', (data) => {
+      this.setCommentThreads(data.threads || []);
+      if (this.onCommentsUpdated) {
+        this.onCommentsUpdated();
+      }
+    });
+
+    // The owner kicked or banned us; the server disconnects us right after
+    this.socket.on('moderated', (data) => {
+      console.warn('🚫 Removed from the room:', data.action);
+      this.removedFromRoom = true;
+      if (this.onModerated) {
+        this.onModerated(data);
+      }
+    });
+
+    // Owner only: bans still running and the moderation log
+    this.socket.on('moderation', (data) => {
+      if (this.onModeration) {
+        this.onModeration(data);
+      }
+    });
+
+    // Owner only: join password and invite links of the room
+    this.socket.on('room-access', (data) => {
+      this.accessSettings = data;
+      if (this.onRoomAccess) {
+        this.onRoomAccess(data);
+      }
+    });
+
     // Drawing lifecycle (authoritative state lives on the server)
-    this.socket.on('operation-started', (data) => {
-      console.log('✅ Operation started:', data.operationId);
-      if (this.onOperationStarted) {
-        this.onOperationStarted(data.operationId);
+    // The server refused an operation we started; the reason arrives as an error
+    this.socket.on('operation-rejected', (data) => {
+      console.warn('⛔ Operation rejected:', data.operationId);
+      if (this.onOperationRejected) {
+        this.onOperationRejected(data.operationId);
       }
     });
 
@@ -124,7 +266,14 @@ class WebSocketManager {
         type: data.tool,
         color: data.color,
         width: data.width,
-        points: [{ x: data.x, y: data.y }]
+        points: [{ x: data.x, y: data.y, p: data.p, tx: data.tx, ty: data.ty }],
+        layerId: data.layerId,
+        text: data.text,
+        fontSize: data.fontSize,
+        replaces: data.replaces,
+        mask: data.mask,
+        fillColor: data.fillColor,
+        stroke: data.stroke
       });
       
       if (this.onRemoteDrawStart) {
@@ -144,31 +293,73 @@ class WebSocketManager {
       }
     });
 
-    this.socket.on('remote-draw-end', (data) => {
-      console.log('🖌️ Remote draw end:', data);
-      
-      // Finalize remote operation: move it into operations list
+    this.socket.on('remote-text-update', (data) => {
+      // Live typing from another user replaces the whole text content
       const operation = this.remoteOperations.get(data.operationId);
       if (operation) {
-        this.operations.push(operation);
-        this.remoteOperations.delete(data.operationId);
+        operation.text = data.text;
+        
+        if (this.onRemoteTextUpdate) {
+          this.onRemoteTextUpdate(data);
+        }
       }
+    });
+
+    this.socket.on('remote-draw-end', (data) => {
+      console.log('🖌️ Remote draw end:', data);
+      
+      // The committed version arrives in the next operations delta
+      this.remoteOperations.delete(data.operationId);
       
       if (this.onRemoteDrawEnd) {
         this.onRemoteDrawEnd(data);
       }
     });
 
-    // Authoritative operations update (used for undo/redo/clear/finalize)
+    // Full authoritative operations list (after a missed delta, or to undo a refused preview)
     this.socket.on('operations-updated', (data) => {
       console.log('🔁 Operations updated (authoritative):', data);
-      this.operations = data.operations || [];
+      this.operations = this.unpackOperations(data.operations || []);
+      this.revision = data.revision || 0;
+      this.syncPending = false;
       
       if (this.onOperationsUpdated) {
         this.onOperationsUpdated(this.operations);
       }
     });
 
+    // Incremental changes (strokes finished, undo/redo, moves, deletes, clears), one revision each
+    this.socket.on('operations-delta', (data) => {
+      if (this.syncPending || data.revision <= this.revision) return;
+      if (data.revision !== this.revision + 1) {
+        console.warn(`⚠️ Missed operations (revision ${this.revision} → ${data.revision}), resyncing`);
+        this.requestSync();
+        return;
+      }
+
+      this.revision = data.revision;
+      this.applyOperationChanges(data.changes || []);
+      
+      if (this.onOperationsDelta) {
+        this.onOperationsDelta(data.changes || []);
+      }
+    });
+
+    // Our transform was committed under new ids; lets the canvas keep the selection
+    this.socket.on('operations-transformed', (data) => {
+      if (this.onOperationsTransformed) {
+        this.onOperationsTransformed(data.replacements || []);
+      }
+    });
+
+    // Layer list changed (added, renamed, reordered, hidden/shown, locked/unlocked)
+    this.socket.on('layers-updated', (data) => {
+      console.log('🗂️ Layers updated:', data);
+      if (this.onLayersUpdated) {
+        this.onLayersUpdated(data);
+      }
+    });
+
     this.socket.on('operation-undone', (data) => {
       console.log('↩️ Operation undone:', data);
       if (this.onOperationUndone) this.onOperationUndone(data);
@@ -189,7 +380,7 @@ class WebSocketManager {
     // Global clear
     this.socket.on('canvas-cleared', (data) => {
       console.log('🧹 Canvas cleared:', data);
-      this.operations = [];
+      // What was removed (everything not on a locked layer) follows as a delta
       this.remoteOperations.clear();
       
       if (this.onCanvasCleared) {
@@ -206,16 +397,245 @@ class WebSocketManager {
     });
   }
 
-  joinRoom(username, room = 'default') {
+  // Changes carrying an operation add it or replace our copy; the others
+  // (undone, replaced, removed) take it out of the list
+  applyOperationChanges(changes) {
+    const operations = new Map(this.operations.map(op => [op.id, op]));
+    changes.forEach(change => {
+      if (change.operation) {
+        const [operation] = this.unpackOperations([change.operation]);
+        operations.set(operation.id, operation);
+      } else {
+        operations.delete(change.id);
+      }
+    });
+    this.operations = Array.from(operations.values());
+  }
+
+  requestSync() {
+    if (!this.isConnected) return;
+    this.syncPending = true;
+    this.socket.emit('request-sync');
+  }
+
+  createCheckpoint(name) {
+    if (!this.isConnected) {
+      console.warn('⚠️ Not connected, cannot create a checkpoint');
+      return;
+    }
+    this.socket.emit('checkpoint-create', { name });
+  }
+
+  // Put the board back to a checkpoint for everyone (undoable like an edit)
+  restoreCheckpoint(checkpointId) {
+    if (!this.isConnected) {
+      console.warn('⚠️ Not connected, cannot restore a checkpoint');
+      return;
+    }
+    this.socket.emit('checkpoint-restore', { checkpointId });
+  }
+
+  deleteCheckpoint(checkpointId) {
+    if (!this.isConnected) {
+      console.warn('⚠️ Not connected, cannot delete a checkpoint');
+      return;
+    }
+    this.socket.emit('checkpoint-delete', { checkpointId });
+  }
+
+  requestReplay() {
+    if (!this.isConnected) {
+      console.warn('⚠️ Not connected, cannot load the replay');
+      return;
+    }
+    this.socket.emit('request-replay');
+  }
+
+  // Finished brush/eraser strokes arrive packed: per point, integer deltas of x and y
+  // (tenths of a unit), then pressure (hundredths) and tilt (degrees) if recorded
+  unpackOperations(operations) {
+    const fieldSets = { xy: ['x', 'y'], xyp: ['x', 'y', 'p'], xypt: ['x', 'y', 'p', 'tx', 'ty'] };
+    const scales = { x: 10, y: 10, p: 100, tx: 1, ty: 1 };
+
+    return operations.map(operation => {
+      if (!operation.packedPoints) return operation;
+      const { packedPoints, ...rest } = operation;
+      const fields = fieldSets[packedPoints.fields] || fieldSets.xy;
+      const totals = {};
+      const points = [];
+      for (let i = 0; i + fields.length <= packedPoints.data.length; i += fields.length) {
+        const point = {};
+        fields.forEach((field, j) => {
+          totals[field] = (totals[field] || 0) + packedPoints.data[i + j];
+          point[field] = totals[field] / scales[field];
+        });
+        points.push(point);
+      }
+      return { ...rest, points };
+    });
+  }
+
+  // credentials: { password, invite } for password-protected rooms
+  joinRoom(username, room = 'default', board = null, credentials = {}) {
     if (!this.socket) {
       console.error('❌ Socket not initialized');
       return;
     }
 
+    // A session only resumes in the room it was issued for
+    const sessionToken = room === this.currentRoom ? this.sessionToken : null;
+
     this.currentUsername = username;
     this.currentRoom = room;
+    this.currentBoard = board;
+    this.currentCredentials = credentials;
+    this.removedFromRoom = false;
     
-    this.socket.emit('join-room', { username, room });
+    this.socket.emit('join-room', {
+      username,
+      room,
+      board,
+      sessionToken,
+      ownerKey: this.loadOwnerKey(room),
+      password: credentials.password,
+      invite: credentials.invite
+    });
+  }
+
+  // The key that makes us the owner of a room we created is kept by the browser
+  saveOwnerKey(room, key) {
+    try {
+      localStorage.setItem(`collaborative-canvas:owner:${room}`, key);
+    } catch (error) {
+      console.warn('⚠️ Could not store the room owner key:', error.message);
+    }
+  }
+
+  loadOwnerKey(room) {
+    try {
+      return localStorage.getItem(`collaborative-canvas:owner:${room}`);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Owner only: set the room's join password, or remove it with an empty one
+  setRoomPassword(password) {
+    if (!this.isConnected) {
+      console.warn('⚠️ Not connected, cannot change the room password');
+      return;
+    }
+    this.socket.emit('room-password', { password });
+  }
+
+  // Owner only: new invite link valid for expiresIn ms, optionally limited to maxUses joins
+  createInvite(expiresIn, maxUses = null) {
+    if (!this.isConnected) {
+      console.warn('⚠️ Not connected, cannot create an invite');
+      return;
+    }
+    this.socket.emit('invite-create', { expiresIn, maxUses });
+  }
+
+  revokeInvite(inviteId) {
+    if (!this.isConnected) {
+      console.warn('⚠️ Not connected, cannot revoke an invite');
+      return;
+    }
+    this.socket.emit('invite-revoke', { inviteId });
+  }
+
+  // Owner only: make another user an 'editor' or a 'viewer'
+  sendUserRole(userId, role) {
+    if (!this.isConnected) {
+      console.warn('⚠️ Not connected, cannot change a role');
+      return;
+    }
+    this.socket.emit('user-role', { userId, role });
+  }
+
+  sendChatMessage(text) {
+    if (!this.isConnected) {
+      console.warn('⚠️ Not connected, cannot send a chat message');
+      return false;
+    }
+    this.socket.emit('chat-message', { text });
+    return true;
+  }
+
+  setCommentThreads(threads) {
+    this.commentThreads = new Map(threads.map(thread => [thread.id, thread]));
+  }
+
+  // Open a comment thread at a board point. The id is chosen here so we can open
+  // the thread as soon as it comes back; returns it, or null when offline.
+  createCommentThread(x, y, text) {
+    if (!this.isConnected) {
+      console.warn('⚠️ Not connected, cannot add a comment');
+      return null;
+    }
+    const threadId = `thread-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    this.socket.emit('comment-create', { threadId, x, y, text });
+    return threadId;
+  }
+
+  replyToComment(threadId, text) {
+    if (!this.isConnected) {
+      console.warn('⚠️ Not connected, cannot reply to a comment');
+      return false;
+    }
+    this.socket.emit('comment-reply', { threadId, text });
+    return true;
+  }
+
+  resolveComment(threadId, resolved) {
+    if (!this.isConnected) {
+      console.warn('⚠️ Not connected, cannot resolve a comment');
+      return;
+    }
+    this.socket.emit('comment-resolve', { threadId, resolved });
+  }
+
+  deleteComment(threadId) {
+    if (!this.isConnected) {
+      console.warn('⚠️ Not connected, cannot delete a comment');
+      return;
+    }
+    this.socket.emit('comment-delete', { threadId });
+  }
+
+  // Owner only: moderation of another user in the room
+  kickUser(userId) {
+    if (!this.isConnected) {
+      console.warn('⚠️ Not connected, cannot kick a user');
+      return;
+    }
+    this.socket.emit('user-kick', { userId });
+  }
+
+  // Kick and keep out for duration ms
+  banUser(userId, duration) {
+    if (!this.isConnected) {
+      console.warn('⚠️ Not connected, cannot ban a user');
+      return;
+    }
+    this.socket.emit('user-ban', { userId, duration });
+  }
+
+  setUserMuted(userId, muted) {
+    if (!this.isConnected) {
+      console.warn('⚠️ Not connected, cannot mute a user');
+      return;
+    }
+    this.socket.emit('user-mute', { userId, muted });
+  }
+
+  liftBan(banId) {
+    if (!this.isConnected) {
+      console.warn('⚠️ Not connected, cannot lift a ban');
+      return;
+    }
+    this.socket.emit('ban-lift', { banId });
   }
 
   sendDrawStart(data) {
@@ -234,6 +654,14 @@ class WebSocketManager {
     this.socket.emit('draw-move', data);
   }
 
+  sendTextUpdate(data) {
+    if (!this.isConnected) {
+      console.warn('⚠️ Not connected, cannot send text-update');
+      return;
+    }
+    this.socket.emit('text-update', data);
+  }
+
   sendDrawEnd(data) {
     if (!this.isConnected) {
       console.warn('⚠️ Not connected, cannot send draw-end');
@@ -242,6 +670,46 @@ class WebSocketManager {
     this.socket.emit('draw-end', data);
   }
 
+  sendTransformOperations(data) {
+    if (!this.isConnected) {
+      console.warn('⚠️ Not connected, cannot send transform-operations');
+      return;
+    }
+    this.socket.emit('transform-operations', data);
+  }
+
+  sendDeleteOperations(data) {
+    if (!this.isConnected) {
+      console.warn('⚠️ Not connected, cannot send delete-operations');
+      return;
+    }
+    this.socket.emit('delete-operations', data);
+  }
+
+  sendLayerAdd(name) {
+    if (!this.isConnected) {
+      console.warn('⚠️ Not connected, cannot send layer-add');
+      return;
+    }
+    this.socket.emit('layer-add', { name });
+  }
+
+  sendLayerUpdate(data) {
+    if (!this.isConnected) {
+      console.warn('⚠️ Not connected, cannot send layer-update');
+      return;
+    }
+    this.socket.emit('layer-update', data);
+  }
+
+  sendLayerReorder(layerIds) {
+    if (!this.isConnected) {
+      console.warn('⚠️ Not connected, cannot send layer-reorder');
+      return;
+    }
+    this.socket.emit('layer-reorder', { layerIds });
+  }
+
   sendUndo() {
     if (!this.isConnected) {
       console.warn('⚠️ Not connected, cannot send undo');
@@ -277,6 +745,39 @@ class WebSocketManager {
     this.socket.emit('clear-canvas');
   }
 
+  // Password-protected rooms only serve their board to people in the room
+  sessionHeaders() {
+    return this.sessionToken ? { 'X-Session-Token': this.sessionToken } : {};
+  }
+
+  // Download the current room as a board snapshot (JSON object)
+  async fetchSnapshot() {
+    const room = encodeURIComponent(this.currentRoom || 'default');
+    const response = await fetch(`${this.serverUrl}/rooms/${room}/snapshot.json`, {
+      headers: this.sessionHeaders()
+    });
+    if (!response.ok) {
+      throw new Error(`Failed to download board (${response.status})`);
+    }
+    return response.json();
+  }
+
+  // Upload a board snapshot into the current room; mode is 'replace' or 'append'.
+  // The server sends the imported operations to everyone in the room as a delta.
+  async uploadSnapshot(snapshot, mode = 'replace') {
+    const room = encodeURIComponent(this.currentRoom || 'default');
+    const response = await fetch(`${this.serverUrl}/rooms/${room}/snapshot?mode=${mode}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...this.sessionHeaders() },
+      body: JSON.stringify(snapshot)
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(result.error || `Failed to import board (${response.status})`);
+    }
+    return result;
+  }
+
   updateConnectionStatus(connected) {
     const statusDot = document.getElementById('statusDot');
     const statusText = document.getElementById('statusText');